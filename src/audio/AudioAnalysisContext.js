@@ -0,0 +1,4 @@
+import { createContext } from 'react';
+
+// Holds the shared analysis engine (see analysisEngine.js), or null when no source is active.
+export const AudioAnalysisContext = createContext(null);
@@ -0,0 +1,46 @@
+import { useFrame } from '@react-three/fiber';
+import { useEffect, useMemo } from 'react';
+import { useLatest } from '../utils/useLatest';
+import { AudioAnalysisContext } from './AudioAnalysisContext';
+import { createAnalysisEngine } from './analysisEngine';
+import { createAnalyserSource } from './spectrumSource';
+
+// --- Component: Audio Analysis Provider ---
+// Must live inside <Canvas>. Samples the analyser at a negative priority so the
+// frame is ready before any visualizer's useFrame runs (negative priorities
+// keep R3F's automatic rendering enabled).
+// Pass either a live `analyzer` (plus optional [left, right] `channels` analysers for stereo)
+// or an injected spectrum `source` (e.g. the export's offline analysis).
+// `onBeat` lets UI outside the Canvas (e.g. the BPM readout) follow beat events, and `onEngine`
+// hands it the engine itself (null while there is none), so meters can subscribe to its frames.
+const AudioAnalysisProvider = ({ analyzer, channels, source, onBeat, onEngine, children }) => {
+  const engine = useMemo(() => {
+    if (source) return createAnalysisEngine(source);
+    return analyzer ? createAnalysisEngine(createAnalyserSource(analyzer, channels)) : null;
+  }, [analyzer, channels, source]);
+  const onBeatRef = useLatest(onBeat);
+  const onEngineRef = useLatest(onEngine);
+
+  useEffect(() => {
+    const announce = (value) => onEngineRef.current?.(value);
+    announce(engine);
+    return () => announce(null);
+  }, [engine, onEngineRef]);
+
+  useEffect(() => {
+    if (!engine) return undefined;
+    return engine.onBeat((event) => onBeatRef.current?.(event));
+  }, [engine, onBeatRef]);
+
+  useFrame(() => {
+    if (engine) engine.update();
+  }, -1);
+
+  return (
+    <AudioAnalysisContext.Provider value={engine}>
+      {children}
+    </AudioAnalysisContext.Provider>
+  );
+};
+
+export default AudioAnalysisProvider;
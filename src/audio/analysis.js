@@ -0,0 +1,86 @@
+// Pure analysis helpers. Nothing in here touches the Web Audio API, so the
+// math can be exercised in Node with synthetic Uint8Array buffers.
+
+// Frequency ranges (Hz) used for the band energy readout.
+export const BANDS = [
+  { name: 'sub', min: 20, max: 60 },
+  { name: 'bass', min: 60, max: 250 },
+  { name: 'mid', min: 250, max: 4000 },
+  { name: 'treble', min: 4000, max: 20000 },
+];
+
+// --- Utility: Bin <-> Frequency ---
+export const binToFrequency = (bin, sampleRate, fftSize) => (bin * sampleRate) / fftSize;
+
+export const frequencyToBin = (frequency, sampleRate, fftSize) => {
+  const binCount = fftSize / 2;
+  const bin = Math.round((frequency * fftSize) / sampleRate);
+  return Math.min(binCount - 1, Math.max(0, bin));
+};
+
+// Resolve each band to an inclusive [start, end] bin range.
+// Small FFTs have bins wider than the sub band, so every band is guaranteed at least one bin.
+export const computeBandRanges = (sampleRate, fftSize, bands = BANDS) => {
+  const binCount = fftSize / 2;
+  const binWidth = sampleRate / fftSize;
+
+  return bands.map(({ name, min, max }) => {
+    const start = Math.min(binCount - 1, Math.floor(min / binWidth));
+    const end = Math.min(binCount - 1, Math.max(start, Math.ceil(max / binWidth) - 1));
+    return { name, start, end };
+  });
+};
+
+// Mean magnitude (0-1) of a byte spectrum over an inclusive bin range.
+export const averageRange = (data, start, end) => {
+  let sum = 0;
+  for (let i = start; i <= end; i++) sum += data[i];
+  return sum / ((end - start + 1) * 255);
+};
+
+// Writes band energies into `out` (keyed by band name) to avoid per-frame allocations.
+export const computeBandEnergies = (frequencyData, ranges, out = {}) => {
+  for (let i = 0; i < ranges.length; i++) {
+    const { name, start, end } = ranges[i];
+    out[name] = averageRange(frequencyData, start, end);
+  }
+  return out;
+};
+
+// RMS and peak level (0-1) of byte time-domain data, which is centred at 128.
+export const computeLevels = (timeDomainData, out = {}) => {
+  let sumSquares = 0;
+  let peak = 0;
+
+  for (let i = 0; i < timeDomainData.length; i++) {
+    const sample = (timeDomainData[i] - 128) / 128;
+    sumSquares += sample * sample;
+    const magnitude = Math.abs(sample);
+    if (magnitude > peak) peak = magnitude;
+  }
+
+  out.rms = timeDomainData.length ? Math.sqrt(sumSquares / timeDomainData.length) : 0;
+  out.peak = Math.min(1, peak);
+  return out;
+};
+
+// Phase correlation (-1 to +1) between two byte time-domain buffers: +1 is mono, 0 is wide
+// or unrelated channels and negative values mean the channels are out of phase.
+// Silence reads as 0.
+export const computeCorrelation = (left, right) => {
+  let sumLR = 0;
+  let sumLL = 0;
+  let sumRR = 0;
+
+  const length = Math.min(left.length, right.length);
+  for (let i = 0; i < length; i++) {
+    const l = left[i] - 128;
+    const r = right[i] - 128;
+    sumLR += l * r;
+    sumLL += l * l;
+    sumRR += r * r;
+  }
+
+  const denominator = Math.sqrt(sumLL * sumRR);
+  return denominator > 0 ? sumLR / denominator : 0;
+};
@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  averageRange,
+  binToFrequency,
+  computeBandEnergies,
+  computeBandRanges,
+  computeCorrelation,
+  computeLevels,
+  frequencyToBin,
+} from './analysis.js';
+
+const SAMPLE_RATE = 48000;
+
+// Byte time-domain buffer (centred at 128) of a sine at `amplitude` (0-1)
+const byteSine = (length, cycles, amplitude = 1, phase = 0) => Uint8Array.from(
+  { length },
+  (_, i) => Math.round(128 + 127 * amplitude * Math.sin((2 * Math.PI * cycles * i) / length + phase))
+);
+
+describe('bin <-> frequency', () => {
+  it('maps bins to their frequency', () => {
+    assert.equal(binToFrequency(0, SAMPLE_RATE, 2048), 0);
+    assert.equal(binToFrequency(1024, SAMPLE_RATE, 2048), 24000);
+  });
+
+  it('rounds to the nearest bin and clamps to the spectrum', () => {
+    assert.equal(frequencyToBin(1000, SAMPLE_RATE, 2048), 43);
+    assert.equal(frequencyToBin(-50, SAMPLE_RATE, 2048), 0);
+    assert.equal(frequencyToBin(30000, SAMPLE_RATE, 2048), 1023);
+  });
+});
+
+describe('computeBandRanges', () => {
+  it('resolves bands to ordered, in-range bin ranges', () => {
+    const ranges = computeBandRanges(SAMPLE_RATE, 2048);
+    assert.deepEqual(ranges.map((range) => range.name), ['sub', 'bass', 'mid', 'treble']);
+    ranges.forEach(({ start, end }) => {
+      assert.ok(start <= end);
+      assert.ok(end < 1024);
+    });
+    // 23.4 Hz bins: 20-60 Hz is bins 0-2, 60-250 Hz starts at bin 2
+    assert.deepEqual(ranges[0], { name: 'sub', start: 0, end: 2 });
+    assert.equal(ranges[1].start, 2);
+  });
+
+  it('gives every band at least one bin at small FFT sizes', () => {
+    // 750 Hz bins: the sub band is narrower than one bin
+    computeBandRanges(SAMPLE_RATE, 64).forEach(({ start, end }) => assert.ok(end >= start));
+  });
+});
+
+describe('band energies', () => {
+  it('averages a bin range to 0-1', () => {
+    assert.equal(averageRange(new Uint8Array([255, 255, 0, 0]), 0, 1), 1);
+    assert.equal(averageRange(new Uint8Array([255, 255, 0, 0]), 0, 3), 0.5);
+  });
+
+  it('puts energy in the band that holds it and nowhere else', () => {
+    const ranges = computeBandRanges(SAMPLE_RATE, 2048);
+    const spectrum = new Uint8Array(1024);
+    const bass = ranges.find((range) => range.name === 'bass');
+    spectrum.fill(255, bass.start + 1, bass.end); // Leave the edge bins shared with sub and mid empty
+
+    const energies = computeBandEnergies(spectrum, ranges);
+    assert.ok(energies.bass > 0.7);
+    assert.equal(energies.sub, 0);
+    assert.equal(energies.mid, 0);
+    assert.equal(energies.treble, 0);
+  });
+
+  it('writes into the given object', () => {
+    const out = {};
+    assert.equal(computeBandEnergies(new Uint8Array(1024), computeBandRanges(SAMPLE_RATE, 2048), out), out);
+    assert.equal(out.sub, 0);
+  });
+});
+
+describe('computeLevels', () => {
+  it('reads silence as zero', () => {
+    assert.deepEqual(computeLevels(new Uint8Array(512).fill(128)), { rms: 0, peak: 0 });
+  });
+
+  it('measures a full-scale sine', () => {
+    const { rms, peak } = computeLevels(byteSine(1024, 8));
+    assert.ok(Math.abs(rms - Math.SQRT1_2) < 0.01);
+    assert.ok(peak > 0.99 && peak <= 1);
+  });
+
+  it('scales with amplitude', () => {
+    const { rms } = computeLevels(byteSine(1024, 8, 0.5));
+    assert.ok(Math.abs(rms - Math.SQRT1_2 / 2) < 0.01);
+  });
+});
+
+describe('computeCorrelation', () => {
+  const signal = byteSine(1024, 8);
+
+  it('is +1 for identical channels', () => {
+    assert.ok(computeCorrelation(signal, signal) > 0.99);
+  });
+
+  it('is -1 for inverted channels', () => {
+    assert.ok(computeCorrelation(signal, byteSine(1024, 8, 1, Math.PI)) < -0.99);
+  });
+
+  it('is about 0 for channels 90° apart', () => {
+    assert.ok(Math.abs(computeCorrelation(signal, byteSine(1024, 8, 1, Math.PI / 2))) < 0.02);
+  });
+
+  it('reads silence as 0', () => {
+    assert.equal(computeCorrelation(new Uint8Array(256).fill(128), signal), 0);
+  });
+});
@@ -0,0 +1,90 @@
+import { computeBandEnergies, computeBandRanges, computeCorrelation, computeLevels } from './analysis.js';
+import { createBeatDetector } from './beatDetector.js';
+
+// --- Engine: Shared Audio Analysis ---
+// Reads a spectrum source (see spectrumSource.js) once per frame into preallocated
+// buffers so every visualizer works from the same snapshot instead of pulling its own FFT.
+export const createAnalysisEngine = (source) => {
+  const listeners = new Set();
+  const beatListeners = new Set();
+  const levels = { rms: 0, peak: 0 };
+  const beatDetector = createBeatDetector();
+
+  const frame = {
+    sampleRate: source.sampleRate,
+    fftSize: 0,
+    frequencyData: new Uint8Array(0),
+    timeDomainData: new Uint8Array(0),
+    bands: { sub: 0, bass: 0, mid: 0, treble: 0 },
+    rms: 0,
+    peak: 0,
+    // Latest beat state; `isBeat` is only true on the frame an onset was detected
+    beat: { isBeat: false, time: 0, confidence: 0, bpm: 0 },
+    // [left, right] `{ frequencyData, timeDomainData }` when the source is stereo, else null
+    channels: null,
+    correlation: 1, // Phase correlation between the channels (-1 to +1); 1 for mono sources
+  };
+
+  let bandRanges = [];
+
+  // (Re)allocate buffers whenever the source's fftSize changes
+  const ensureBuffers = () => {
+    if (frame.fftSize === source.fftSize) return;
+
+    frame.fftSize = source.fftSize;
+    frame.frequencyData = new Uint8Array(source.fftSize / 2);
+    frame.timeDomainData = new Uint8Array(source.fftSize);
+    frame.channels = source.channels?.map(() => ({
+      frequencyData: new Uint8Array(source.fftSize / 2),
+      timeDomainData: new Uint8Array(source.fftSize),
+    })) ?? null;
+    bandRanges = computeBandRanges(frame.sampleRate, frame.fftSize);
+  };
+
+  const update = () => {
+    ensureBuffers();
+
+    source.getByteFrequencyData(frame.frequencyData);
+    source.getByteTimeDomainData(frame.timeDomainData);
+    if (frame.channels) {
+      frame.channels.forEach((channel, i) => {
+        source.channels[i].getByteFrequencyData(channel.frequencyData);
+        source.channels[i].getByteTimeDomainData(channel.timeDomainData);
+      });
+      frame.correlation = computeCorrelation(frame.channels[0].timeDomainData, frame.channels[1].timeDomainData);
+    }
+
+    computeBandEnergies(frame.frequencyData, bandRanges, frame.bands);
+    computeLevels(frame.timeDomainData, levels);
+    frame.rms = levels.rms;
+    frame.peak = levels.peak;
+
+    // Audio clock rather than frame time, so detection is independent of the render rate
+    const event = beatDetector.process(frame.frequencyData, source.currentTime);
+    frame.beat.isBeat = Boolean(event);
+    if (event) {
+      frame.beat.time = event.time;
+      frame.beat.confidence = event.confidence;
+      frame.beat.bpm = event.bpm;
+      beatListeners.forEach((listener) => listener(event));
+    }
+
+    listeners.forEach((listener) => listener(frame));
+    return frame;
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  // Listeners receive `{ time, strength, confidence, bpm }` for each detected onset
+  const onBeat = (listener) => {
+    beatListeners.add(listener);
+    return () => beatListeners.delete(listener);
+  };
+
+  ensureBuffers();
+
+  return { source, frame, update, subscribe, onBeat };
+};
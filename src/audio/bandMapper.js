@@ -0,0 +1,112 @@
+// Maps FFT bins onto display bands (bars) using a perceptual frequency scale.
+// Like analysis.js this is framework-free so it can be checked against synthetic spectra.
+
+export const BAND_MAPPING_MODES = ['linear', 'log', 'mel', 'third-octave'];
+
+const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+const melToHz = (mel) => 700 * (Math.pow(10, mel / 2595) - 1);
+
+// Split [min, max] into `count` contiguous edges, evenly spaced on the given scale
+const splitScale = (count, min, max, toScale, fromScale) => {
+  const lo = toScale(min);
+  const hi = toScale(max);
+  const edges = [];
+  for (let i = 0; i <= count; i++) edges.push(fromScale(lo + ((hi - lo) * i) / count));
+  return edges;
+};
+
+// Returns band descriptors `{ low, high, center }` in Hz.
+// 1/3-octave uses the ISO preferred centres (1 kHz * 2^(n/3)), so `count` is ignored for that mode.
+export const computeBandEdges = (mode, count, minFrequency, maxFrequency) => {
+  if (mode === 'third-octave') {
+    const bands = [];
+    for (let n = -30; n <= 14; n++) {
+      const center = 1000 * Math.pow(2, n / 3);
+      if (center < minFrequency || center > maxFrequency) continue;
+      bands.push({ low: center / Math.pow(2, 1 / 6), high: center * Math.pow(2, 1 / 6), center });
+    }
+    return bands;
+  }
+
+  let edges;
+  if (mode === 'log') {
+    edges = splitScale(count, Math.max(1, minFrequency), maxFrequency, Math.log, Math.exp);
+  } else if (mode === 'mel') {
+    edges = splitScale(count, minFrequency, maxFrequency, hzToMel, melToHz);
+  } else {
+    edges = splitScale(count, minFrequency, maxFrequency, (f) => f, (f) => f);
+  }
+
+  const bands = [];
+  for (let i = 0; i < count; i++) {
+    const low = edges[i];
+    const high = edges[i + 1];
+    // Geometric centre reads better on log-like scales; linear keeps the midpoint
+    const center = mode === 'linear' ? (low + high) / 2 : Math.sqrt(Math.max(low, 1) * high);
+    bands.push({ low, high, center });
+  }
+  return bands;
+};
+
+// Resolve each band to an inclusive [start, end] range of bins whose centre frequency falls inside it.
+// Bands narrower than a bin (common at fftSize 256) fall back to the nearest bin. DC (bin 0) is skipped.
+export const resolveBandBins = (bands, sampleRate, binCount) => {
+  const binWidth = sampleRate / (binCount * 2);
+  const clamp = (bin) => Math.min(binCount - 1, Math.max(1, bin));
+
+  return bands.map(({ low, high, center }) => {
+    let start = Math.ceil(low / binWidth);
+    let end = Math.ceil(high / binWidth) - 1;
+    if (end < start) start = end = Math.round(center / binWidth);
+    return { start: clamp(start), end: clamp(end) };
+  });
+};
+
+export const formatFrequency = (hz) => {
+  if (hz >= 1000) return `${(hz / 1000).toFixed(hz >= 10000 ? 0 : 1).replace(/\.0$/, '')}k`;
+  return `${Math.round(hz)}`;
+};
+
+// --- Factory: Band Mapper ---
+// `map(frequencyData)` fills `values` with 0-1 magnitudes, one per band, reducing each
+// bin range by its average or its max. Bin ranges are resolved lazily so the mapper
+// keeps working if the analyser's fftSize changes underneath it.
+export const createBandMapper = ({
+  mode = 'log',
+  count = 64,
+  sampleRate = 44100,
+  minFrequency = 20,
+  maxFrequency = 16000,
+  reducer = 'average',
+} = {}) => {
+  const nyquist = sampleRate / 2;
+  const bands = computeBandEdges(mode, count, minFrequency, Math.min(maxFrequency, nyquist));
+  const values = new Float32Array(bands.length);
+
+  let binCount = 0;
+  let ranges = [];
+
+  const map = (frequencyData, out = values) => {
+    if (frequencyData.length !== binCount) {
+      binCount = frequencyData.length;
+      ranges = resolveBandBins(bands, sampleRate, binCount);
+    }
+
+    for (let i = 0; i < ranges.length; i++) {
+      const { start, end } = ranges[i];
+      let result = 0;
+
+      if (reducer === 'max') {
+        for (let bin = start; bin <= end; bin++) if (frequencyData[bin] > result) result = frequencyData[bin];
+      } else {
+        for (let bin = start; bin <= end; bin++) result += frequencyData[bin];
+        result /= end - start + 1;
+      }
+
+      out[i] = result / 255;
+    }
+    return out;
+  };
+
+  return { mode, bands, count: bands.length, values, map };
+};
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { BAND_MAPPING_MODES, computeBandEdges, createBandMapper, resolveBandBins } from './bandMapper.js';
+
+const SAMPLE_RATE = 44100;
+const closeTo = (actual, expected, tolerance = 1e-6) => Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected));
+
+// ISO 266 preferred (nominal) 1/3-octave centres from 25 Hz to 16 kHz
+const ISO_CENTERS = [
+  25, 31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630, 800,
+  1000, 1250, 1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000, 10000, 12500, 16000,
+];
+
+describe('computeBandEdges', () => {
+  for (const mode of ['linear', 'log', 'mel']) {
+    it(`splits ${mode} bands into contiguous, increasing ranges from min to max`, () => {
+      const bands = computeBandEdges(mode, 64, 20, 16000);
+      assert.equal(bands.length, 64);
+      assert.ok(closeTo(bands[0].low, 20), `starts at ${bands[0].low}`);
+      assert.ok(closeTo(bands.at(-1).high, 16000), `ends at ${bands.at(-1).high}`);
+      bands.forEach(({ low, high, center }, i) => {
+        assert.ok(low < high);
+        assert.ok(center > low && center < high);
+        if (i > 0) assert.ok(closeTo(low, bands[i - 1].high));
+      });
+    });
+  }
+
+  it('spaces log bands by a constant ratio', () => {
+    const ratios = computeBandEdges('log', 10, 20, 20480).map(({ low, high }) => high / low);
+    ratios.forEach((ratio) => assert.ok(closeTo(ratio, 2)));
+  });
+
+  it('spaces linear bands evenly', () => {
+    const widths = computeBandEdges('linear', 8, 0, 16000).map(({ low, high }) => high - low);
+    widths.forEach((width) => assert.ok(closeTo(width, 2000)));
+  });
+
+  it('uses the ISO centres for 1/3-octave bands, whatever the count', () => {
+    const bands = computeBandEdges('third-octave', 64, 20, 16000);
+    assert.equal(bands.length, ISO_CENTERS.length);
+    bands.forEach(({ low, high, center }, i) => {
+      assert.ok(closeTo(center, ISO_CENTERS[i], 0.02), `${center.toFixed(1)} Hz is not ${ISO_CENTERS[i]} Hz`);
+      assert.ok(closeTo(high / low, 2 ** (1 / 3)));
+      if (i > 0) assert.ok(closeTo(low, bands[i - 1].high));
+    });
+  });
+});
+
+describe('resolveBandBins', () => {
+  for (const mode of BAND_MAPPING_MODES) {
+    it(`gives every ${mode} band a non-empty, in-range bin span at a small FFT`, () => {
+      // fftSize 256: 172 Hz bins, so the low bands are much narrower than a bin
+      const binCount = 128;
+      resolveBandBins(computeBandEdges(mode, 64, 20, 16000), SAMPLE_RATE, binCount).forEach(({ start, end }) => {
+        assert.ok(start >= 1, 'DC is skipped');
+        assert.ok(end >= start);
+        assert.ok(end <= binCount - 1);
+      });
+    });
+  }
+
+  it('covers each bin once when bands are wider than bins', () => {
+    const ranges = resolveBandBins(computeBandEdges('linear', 4, 0, 22050), SAMPLE_RATE, 1024);
+    assert.equal(ranges[0].start, 1);
+    assert.equal(ranges.at(-1).end, 1023);
+    ranges.slice(1).forEach(({ start }, i) => assert.equal(start, ranges[i].end + 1));
+  });
+});
+
+describe('createBandMapper', () => {
+  const spectrumWithPeak = (frequency, binCount = 1024) => {
+    const spectrum = new Uint8Array(binCount);
+    spectrum[Math.round(frequency / (SAMPLE_RATE / (binCount * 2)))] = 255;
+    return spectrum;
+  };
+
+  it('caps the bands at the Nyquist frequency', () => {
+    const mapper = createBandMapper({ mode: 'log', count: 32, sampleRate: 22050, maxFrequency: 20000 });
+    assert.ok(closeTo(mapper.bands.at(-1).high, 11025));
+  });
+
+  it('lights the band that holds a peak', () => {
+    const mapper = createBandMapper({ mode: 'log', count: 32, sampleRate: SAMPLE_RATE, reducer: 'max' });
+    const values = Array.from(mapper.map(spectrumWithPeak(1000)));
+    const band = mapper.bands[values.indexOf(1)];
+    assert.ok(band.low <= 1000 && band.high >= 1000);
+    assert.equal(values.filter((value) => value > 0).length, 1);
+  });
+
+  it('averages or takes the max over each band', () => {
+    const average = createBandMapper({ mode: 'linear', count: 4, sampleRate: SAMPLE_RATE, maxFrequency: 22050 });
+    const max = createBandMapper({ mode: 'linear', count: 4, sampleRate: SAMPLE_RATE, maxFrequency: 22050, reducer: 'max' });
+    const spectrum = spectrumWithPeak(1000);
+    assert.ok(average.map(spectrum)[0] > 0 && average.map(spectrum)[0] < 0.01);
+    assert.equal(max.map(spectrum)[0], 1);
+  });
+
+  it('follows a change of FFT size', () => {
+    const mapper = createBandMapper({ mode: 'log', count: 32, sampleRate: SAMPLE_RATE, reducer: 'max' });
+    for (const binCount of [128, 2048]) {
+      const values = Array.from(mapper.map(spectrumWithPeak(5000, binCount)));
+      const band = mapper.bands[values.indexOf(1)];
+      assert.ok(band.low <= 5100 && band.high >= 4900);
+    }
+  });
+});
@@ -0,0 +1,150 @@
+// Spectral-flux onset detection with an adaptive threshold, plus a running BPM estimate.
+// Framework-free: feed it byte spectra and timestamps (seconds) and it reports beats.
+
+const MIN_BPM = 80;
+const MAX_BPM = 160;
+
+// Fold an inter-onset interval into the [MIN_BPM, MAX_BPM) octave so half/double-time votes agree
+export const intervalToBpm = (interval) => {
+  if (interval <= 0) return 0;
+  let bpm = 60 / interval;
+  while (bpm < MIN_BPM) bpm *= 2;
+  while (bpm >= MAX_BPM) bpm /= 2;
+  return bpm;
+};
+
+// Sum of positive magnitude changes between two byte spectra, normalized to 0-1
+export const spectralFlux = (current, previous) => {
+  let flux = 0;
+  for (let i = 0; i < current.length; i++) {
+    const diff = current[i] - previous[i];
+    if (diff > 0) flux += diff;
+  }
+  return current.length ? flux / (current.length * 255) : 0;
+};
+
+// --- Factory: Tempo Estimator ---
+// Every onset votes for the tempo implied by its distance to recent onsets. Votes live in
+// a 1-BPM histogram that decays, so the estimate follows tempo changes within a few bars.
+export const createTempoEstimator = ({ windowSeconds = 4, decay = 0.96 } = {}) => {
+  const histogram = new Float32Array(MAX_BPM - MIN_BPM);
+  const onsets = [];
+  const state = { bpm: 0, confidence: 0 };
+
+  const addOnset = (time) => {
+    while (onsets.length && time - onsets[0] > windowSeconds) onsets.shift();
+
+    for (let i = 0; i < histogram.length; i++) histogram[i] *= decay;
+
+    onsets.forEach((previous) => {
+      const bpm = intervalToBpm(time - previous);
+      if (!bpm) return;
+      // Spread each vote over neighbouring bins to tolerate timing jitter
+      const center = bpm - MIN_BPM;
+      for (let offset = -2; offset <= 2; offset++) {
+        const bin = Math.round(center) + offset;
+        if (bin < 0 || bin >= histogram.length) continue;
+        histogram[bin] += Math.exp(-((bin - center) ** 2) / 2);
+      }
+    });
+    onsets.push(time);
+
+    let best = 0;
+    let total = 0;
+    for (let i = 0; i < histogram.length; i++) {
+      total += histogram[i];
+      if (histogram[i] > histogram[best]) best = i;
+    }
+
+    if (total > 0) {
+      state.bpm = best + MIN_BPM;
+      // Share of votes in the winning peak (+/- 2 BPM)
+      let peak = 0;
+      for (let i = Math.max(0, best - 2); i <= Math.min(histogram.length - 1, best + 2); i++) peak += histogram[i];
+      state.confidence = peak / total;
+    }
+    return state;
+  };
+
+  const reset = () => {
+    histogram.fill(0);
+    onsets.length = 0;
+    state.bpm = 0;
+    state.confidence = 0;
+  };
+
+  return { state, addOnset, reset };
+};
+
+// --- Factory: Beat Detector ---
+// `process(frequencyData, time)` returns a beat event `{ time, strength, confidence, bpm }`
+// when an onset is detected, otherwise null. The threshold is mean + sensitivity * stddev of
+// the recent flux history, and onsets closer than `minInterval` seconds are ignored.
+export const createBeatDetector = ({
+  historySize = 43, // ~0.7 s at 60 fps
+  sensitivity = 1.5,
+  minInterval = 0.25,
+  minFlux = 0.002,
+} = {}) => {
+  const history = new Float32Array(historySize);
+  const tempo = createTempoEstimator();
+  let previous = null;
+  let filled = 0;
+  let cursor = 0;
+  let lastFlux = 0;
+  let lastBeatTime = -Infinity;
+
+  const process = (frequencyData, time) => {
+    if (!previous || previous.length !== frequencyData.length) {
+      previous = new Uint8Array(frequencyData);
+      return null;
+    }
+
+    const flux = spectralFlux(frequencyData, previous);
+    previous.set(frequencyData);
+
+    // Adaptive threshold from the flux history (before adding the current value)
+    let mean = 0;
+    for (let i = 0; i < filled; i++) mean += history[i];
+    mean = filled ? mean / filled : 0;
+    let variance = 0;
+    for (let i = 0; i < filled; i++) variance += (history[i] - mean) ** 2;
+    const deviation = filled ? Math.sqrt(variance / filled) : 0;
+    const threshold = Math.max(minFlux, mean + sensitivity * deviation);
+
+    history[cursor] = flux;
+    cursor = (cursor + 1) % historySize;
+    filled = Math.min(historySize, filled + 1);
+
+    const rising = flux > lastFlux;
+    lastFlux = flux;
+
+    if (filled < historySize / 2 || !rising || flux <= threshold || time - lastBeatTime < minInterval) {
+      return null;
+    }
+
+    lastBeatTime = time;
+    const { bpm, confidence: tempoConfidence } = tempo.addOnset(time);
+    const strength = Math.min(1, (flux - threshold) / threshold);
+
+    return {
+      time,
+      strength,
+      // How far above threshold the onset was, weighted by how settled the tempo is
+      confidence: Math.min(1, strength * 0.6 + tempoConfidence * 0.4),
+      bpm,
+    };
+  };
+
+  const reset = () => {
+    previous = null;
+    filled = 0;
+    cursor = 0;
+    lastFlux = 0;
+    lastBeatTime = -Infinity;
+    history.fill(0);
+    tempo.reset();
+  };
+
+  return { process, reset, tempo: tempo.state };
+};
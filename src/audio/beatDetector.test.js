@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createBeatDetector, createTempoEstimator, intervalToBpm, spectralFlux } from './beatDetector.js';
+
+const FPS = 60;
+const BINS = 256;
+
+// Byte spectra at 60 fps: a quiet noise floor with a full-scale hit every `beatSeconds`
+const runBeats = (detector, { beatSeconds, seconds, floor = 10 }) => {
+  const quiet = new Uint8Array(BINS).fill(floor);
+  const hit = new Uint8Array(BINS).fill(200);
+  const beatFrames = Math.round(beatSeconds * FPS);
+  const events = [];
+  for (let frame = 0; frame < seconds * FPS; frame++) {
+    const event = detector.process(frame % beatFrames === 0 ? hit : quiet, frame / FPS);
+    if (event) events.push(event);
+  }
+  return events;
+};
+
+describe('intervalToBpm', () => {
+  it('converts an interval to BPM', () => {
+    assert.equal(intervalToBpm(0.5), 120);
+  });
+
+  it('folds half and double time into 80-160 BPM', () => {
+    assert.equal(intervalToBpm(1), 120); // 60 BPM
+    assert.equal(intervalToBpm(0.25), 120); // 240 BPM
+    assert.equal(intervalToBpm(60 / 160), 80);
+  });
+
+  it('ignores non-positive intervals', () => {
+    assert.equal(intervalToBpm(0), 0);
+    assert.equal(intervalToBpm(-1), 0);
+  });
+});
+
+describe('spectralFlux', () => {
+  it('counts only rising bins, normalized to 0-1', () => {
+    assert.equal(spectralFlux(new Uint8Array([255, 255]), new Uint8Array([0, 0])), 1);
+    assert.equal(spectralFlux(new Uint8Array([0, 0]), new Uint8Array([255, 255])), 0);
+    assert.equal(spectralFlux(new Uint8Array([255, 0]), new Uint8Array([0, 255])), 0.5);
+  });
+});
+
+describe('createTempoEstimator', () => {
+  it('settles on the tempo of regular onsets', () => {
+    const tempo = createTempoEstimator();
+    for (let i = 0; i < 16; i++) tempo.addOnset(i * 0.5);
+    assert.ok(Math.abs(tempo.state.bpm - 120) <= 1);
+    assert.ok(tempo.state.confidence > 0.5);
+  });
+
+  it('forgets everything on reset', () => {
+    const tempo = createTempoEstimator();
+    for (let i = 0; i < 8; i++) tempo.addOnset(i * 0.5);
+    tempo.reset();
+    assert.deepEqual({ ...tempo.state }, { bpm: 0, confidence: 0 });
+  });
+});
+
+describe('createBeatDetector', () => {
+  it('finds regular hits and their tempo', () => {
+    const events = runBeats(createBeatDetector(), { beatSeconds: 0.5, seconds: 8 });
+    // The first hits fall in the warm-up, while the flux history fills
+    assert.ok(events.length >= 14 && events.length <= 16, `${events.length} beats`);
+    events.slice(1).forEach((event, i) => assert.ok(Math.abs(event.time - events[i].time - 0.5) < 0.02));
+    assert.ok(Math.abs(events.at(-1).bpm - 120) <= 1);
+    events.forEach((event) => assert.ok(event.confidence > 0 && event.confidence <= 1));
+  });
+
+  it('stays quiet on a steady signal', () => {
+    const detector = createBeatDetector();
+    const steady = new Uint8Array(BINS).fill(120);
+    for (let frame = 0; frame < FPS * 4; frame++) assert.equal(detector.process(steady, frame / FPS), null);
+  });
+
+  it('ignores flux under minFlux', () => {
+    // Alternating between 10 and 11 is a flux of 1/255 on every other frame
+    const detector = createBeatDetector({ minFlux: 0.01 });
+    const a = new Uint8Array(BINS).fill(10);
+    const b = new Uint8Array(BINS).fill(11);
+    for (let frame = 0; frame < FPS * 4; frame++) assert.equal(detector.process(frame % 30 ? a : b, frame / FPS), null);
+  });
+
+  it('holds off for minInterval after a beat', () => {
+    // Hits every 0.2 s with a 0.45 s hold-off: every other hit is swallowed
+    const events = runBeats(createBeatDetector({ minInterval: 0.45 }), { beatSeconds: 0.2, seconds: 6 });
+    assert.ok(events.length > 0);
+    events.slice(1).forEach((event, i) => assert.ok(event.time - events[i].time >= 0.45));
+  });
+
+  it('needs a bigger jump to fire at a higher sensitivity', () => {
+    // A noisy floor with a small bump every half second
+    const spectra = Array.from({ length: FPS * 8 }, (_, frame) => {
+      const level = frame % 30 === 0 ? 40 : 10 + ((frame * 7) % 11);
+      return new Uint8Array(BINS).fill(level);
+    });
+    const count = (sensitivity) => {
+      const detector = createBeatDetector({ sensitivity });
+      return spectra.filter((spectrum, frame) => detector.process(spectrum, frame / FPS)).length;
+    };
+    assert.ok(count(1.5) > 0);
+    assert.equal(count(20), 0);
+  });
+
+  it('starts over on reset', () => {
+    const detector = createBeatDetector();
+    runBeats(detector, { beatSeconds: 0.5, seconds: 4 });
+    detector.reset();
+    assert.equal(detector.tempo.bpm, 0);
+    // The first frame after a reset only primes the previous spectrum
+    assert.equal(detector.process(new Uint8Array(BINS).fill(200), 10), null);
+  });
+});
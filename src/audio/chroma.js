@@ -0,0 +1,83 @@
+import { NOTE_NAMES } from './pitch.js';
+
+// --- Chromagram & Key ---
+// Folds a spectrum into 12 pitch classes (C, C#, ... B) regardless of octave, and guesses the
+// key from how that energy is spread (Krumhansl-Schmuckler). Works on polyphonic music, where
+// pitch detection (pitch.js) has nothing to lock on to.
+
+// Pitch classes going round the circle of fifths: C G D A E B F# C# G# D# A# F
+export const CIRCLE_OF_FIFTHS = Array.from({ length: 12 }, (_, i) => (i * 7) % 12);
+
+const MIN_FREQUENCY = 55; // A1
+const MAX_FREQUENCY = 5000; // Above this the partials blur together
+const SEMITONE = 2 ** (1 / 12) - 1; // Width of a semitone, relative to its frequency
+
+// Krumhansl-Kessler key profiles: how strongly each scale degree suggests the key
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Returns `analyze(frequencyData, out)`, which writes the 12 pitch-class energies of a byte
+// spectrum (AnalyserNode.getByteFrequencyData) into `out`, scaled so the strongest is 1.
+// Bins wider than a semitone can't tell neighbouring notes apart and are skipped, so the
+// lowest pitch that counts depends on the FFT size: about 200 Hz at 4096 and 48 kHz.
+export const createChromaAnalyzer = (sampleRate, binCount) => {
+  const binWidth = sampleRate / (binCount * 2);
+  const lowest = Math.max(MIN_FREQUENCY, binWidth / SEMITONE);
+  const classes = new Int8Array(binCount).fill(-1);
+  for (let i = 1; i < binCount; i++) {
+    const frequency = i * binWidth;
+    if (frequency < lowest || frequency > MAX_FREQUENCY) continue;
+    const midi = Math.round(69 + 12 * Math.log2(frequency / 440));
+    classes[i] = ((midi % 12) + 12) % 12;
+  }
+
+  const analyze = (frequencyData, out = new Float32Array(12)) => {
+    out.fill(0);
+    for (let i = 0; i < binCount; i++) {
+      if (classes[i] < 0) continue;
+      const value = frequencyData[i] / 255;
+      out[classes[i]] += value * value; // Squared, so strong partials count over the noise floor
+    }
+    const max = Math.max(...out);
+    if (max > 0) for (let pc = 0; pc < 12; pc++) out[pc] /= max;
+    return out;
+  };
+
+  return { analyze };
+};
+
+const correlate = (chroma, profile, tonic) => {
+  const n = 12;
+  let meanX = 0;
+  let meanY = 0;
+  for (let i = 0; i < n; i++) {
+    meanX += chroma[i] / n;
+    meanY += profile[i] / n;
+  }
+  let xy = 0;
+  let xx = 0;
+  let yy = 0;
+  for (let i = 0; i < n; i++) {
+    const x = chroma[(tonic + i) % n] - meanX;
+    const y = profile[i] - meanY;
+    xy += x * y;
+    xx += x * x;
+    yy += y * y;
+  }
+  return xx && yy ? xy / Math.sqrt(xx * yy) : 0;
+};
+
+// Most likely key for a chroma vector (ideally one averaged over a few seconds):
+// `{ tonic: 9, mode: 'minor', name: 'A minor', confidence }`, confidence being the correlation
+// (-1..1) with that key's profile. Null when the chroma is flat (silence, noise).
+export const estimateKey = (chroma) => {
+  let best = null;
+  for (let tonic = 0; tonic < 12; tonic++) {
+    for (const [mode, profile] of [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]]) {
+      const confidence = correlate(chroma, profile, tonic);
+      if (!best || confidence > best.confidence) best = { tonic, mode, confidence };
+    }
+  }
+  if (!best || best.confidence <= 0) return null;
+  return { ...best, name: `${NOTE_NAMES[best.tonic]} ${best.mode}` };
+};
@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { CIRCLE_OF_FIFTHS, createChromaAnalyzer, estimateKey } from './chroma.js';
+
+// Chroma of music in a key: the tonic triad strongest, the rest of the scale weaker and the
+// notes outside it close to silent. `scale` is in semitones above the tonic.
+const MAJOR_SCALE = [0, 2, 4, 5, 7, 9, 11];
+const MINOR_SCALE = [0, 2, 3, 5, 7, 8, 10];
+const chromaFor = (tonic, scale) => {
+  const third = scale[2];
+  const chroma = new Float32Array(12).fill(0.05);
+  for (const degree of scale) chroma[(tonic + degree) % 12] = 0.4;
+  chroma[tonic] = 1;
+  chroma[(tonic + third) % 12] = 0.8;
+  chroma[(tonic + 7) % 12] = 0.9;
+  return chroma;
+};
+
+describe('estimateKey', () => {
+  it('finds C major', () => {
+    const key = estimateKey(chromaFor(0, MAJOR_SCALE));
+    assert.equal(key.name, 'C major');
+    assert.equal(key.tonic, 0);
+    assert.equal(key.mode, 'major');
+    assert.ok(key.confidence > 0.8 && key.confidence <= 1);
+  });
+
+  it('finds A minor rather than its relative major', () => {
+    const key = estimateKey(chromaFor(9, MINOR_SCALE));
+    assert.equal(key.name, 'A minor');
+    assert.equal(key.tonic, 9);
+    assert.equal(key.mode, 'minor');
+  });
+
+  it('finds every major and minor key', () => {
+    for (let tonic = 0; tonic < 12; tonic++) {
+      const major = estimateKey(chromaFor(tonic, MAJOR_SCALE));
+      const minor = estimateKey(chromaFor(tonic, MINOR_SCALE));
+      assert.deepEqual([major.tonic, major.mode], [tonic, 'major']);
+      assert.deepEqual([minor.tonic, minor.mode], [tonic, 'minor']);
+    }
+  });
+
+  it('returns null for flat chroma', () => {
+    assert.equal(estimateKey(new Float32Array(12)), null);
+    assert.equal(estimateKey(new Float32Array(12).fill(0.5)), null);
+  });
+});
+
+describe('createChromaAnalyzer', () => {
+  const SAMPLE_RATE = 48000;
+  const BIN_COUNT = 2048; // fftSize 4096
+
+  it('folds a peak into its pitch class, in any octave', () => {
+    const { analyze } = createChromaAnalyzer(SAMPLE_RATE, BIN_COUNT);
+    for (const [frequency, pitchClass] of [[440, 9], [880, 9], [261.63 * 2, 0], [392, 7]]) {
+      const spectrum = new Uint8Array(BIN_COUNT);
+      spectrum[Math.round(frequency / (SAMPLE_RATE / (BIN_COUNT * 2)))] = 255;
+      const chroma = analyze(spectrum);
+      assert.equal(chroma.indexOf(1), pitchClass, `${frequency} Hz`);
+      assert.equal(chroma.filter((value) => value > 0).length, 1);
+    }
+  });
+
+  it('ignores bins too wide to tell semitones apart', () => {
+    const { analyze } = createChromaAnalyzer(SAMPLE_RATE, BIN_COUNT);
+    const spectrum = new Uint8Array(BIN_COUNT);
+    spectrum[Math.round(100 / (SAMPLE_RATE / (BIN_COUNT * 2)))] = 255; // 100 Hz: bins are 11.7 Hz, a semitone ~6 Hz
+    assert.deepEqual(Array.from(analyze(spectrum)), new Array(12).fill(0));
+  });
+
+  it('goes round the circle of fifths from C', () => {
+    assert.deepEqual(CIRCLE_OF_FIFTHS.slice(0, 4), [0, 7, 2, 9]);
+    assert.equal(new Set(CIRCLE_OF_FIFTHS).size, 12);
+  });
+});
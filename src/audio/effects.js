@@ -0,0 +1,138 @@
+// --- Effects Chain ---
+// Optional processing between the source and the speakers:
+//   input -> EQ -> compressor -> low/high-pass -> reverb -> output
+// Each stage can be bypassed, which takes it out of the graph entirely. The analyser taps
+// either the input (pre) or the output (post), so the spectrum can show the effect of the
+// chain. Configured from the flat settings object (see settings/settings.js).
+
+export const EQ_BANDS = [
+  { key: 'eq80', frequency: 80, type: 'lowshelf' },
+  { key: 'eq250', frequency: 250, type: 'peaking' },
+  { key: 'eq1k', frequency: 1000, type: 'peaking' },
+  { key: 'eq4k', frequency: 4000, type: 'peaking' },
+  { key: 'eq12k', frequency: 12000, type: 'highshelf' },
+];
+
+export const FILTER_TYPES = ['lowpass', 'highpass'];
+export const ANALYSER_POSITIONS = ['pre', 'post'];
+
+// Impulse responses are generated (decaying stereo noise), so no audio files ship with the app
+const IMPULSES = {
+  room: { duration: 0.8, decay: 3.5, damping: 0.6 },
+  hall: { duration: 3, decay: 2, damping: 0.4 },
+  plate: { duration: 1.8, decay: 2.8, damping: 0 },
+};
+export const REVERB_TYPES = Object.keys(IMPULSES);
+
+const PARAM_SMOOTHING = 0.02; // Seconds; avoids zipper noise while dragging sliders
+
+export const createImpulseResponse = (context, type) => {
+  const { duration, decay, damping } = IMPULSES[type];
+  const length = Math.floor(duration * context.sampleRate);
+  const buffer = context.createBuffer(2, length, context.sampleRate);
+
+  for (let c = 0; c < 2; c++) {
+    const data = buffer.getChannelData(c);
+    let previous = 0;
+    for (let i = 0; i < length; i++) {
+      const noise = Math.random() * 2 - 1;
+      // One-pole low-pass for darker (damped) rooms; plates stay bright
+      previous = previous * damping + noise * (1 - damping);
+      data[i] = previous * Math.pow(1 - i / length, decay);
+    }
+  }
+  return buffer;
+};
+
+export const createEffectsChain = (context, analyser) => {
+  const input = context.createGain();
+  const output = context.createGain();
+
+  const eq = EQ_BANDS.map(({ frequency, type }) => {
+    const filter = context.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    filter.Q.value = 1;
+    return filter;
+  });
+  eq.reduce((previous, filter) => previous.connect(filter));
+
+  const compressor = context.createDynamicsCompressor();
+  const sweep = context.createBiquadFilter();
+
+  // Reverb is a wet/dry mix inside its own in/out pair
+  const reverbIn = context.createGain();
+  const reverbOut = context.createGain();
+  const dry = context.createGain();
+  const wet = context.createGain();
+  const convolver = context.createConvolver();
+  reverbIn.connect(dry).connect(reverbOut);
+  reverbIn.connect(convolver).connect(wet).connect(reverbOut);
+
+  const stages = [
+    { key: 'eqEnabled', first: eq[0], last: eq[eq.length - 1] },
+    { key: 'compressorEnabled', first: compressor, last: compressor },
+    { key: 'filterEnabled', first: sweep, last: sweep },
+    { key: 'reverbEnabled', first: reverbIn, last: reverbOut },
+  ];
+
+  let routing = null;
+  let impulseType = null;
+  const impulses = new Map(); // Reverb type -> impulse response, built on first use
+  let analyserTap = null;
+
+  const setParam = (param, value) => param.setTargetAtTime(value, context.currentTime, PARAM_SMOOTHING);
+
+  // Rewires only when a bypass toggle changes, so moving a slider never interrupts the audio
+  const route = (settings) => {
+    const next = stages.map((stage) => Boolean(settings[stage.key])).join();
+    if (next === routing) return;
+    routing = next;
+
+    input.disconnect();
+    stages.forEach((stage) => stage.last.disconnect());
+
+    let tail = input;
+    for (const stage of stages) {
+      if (!settings[stage.key]) continue;
+      tail.connect(stage.first);
+      tail = stage.last;
+    }
+    tail.connect(output);
+    if (analyserTap === input) analyserTap = null; // input.disconnect() dropped the pre tap too
+  };
+
+  const update = (settings) => {
+    EQ_BANDS.forEach(({ key }, i) => setParam(eq[i].gain, settings[key]));
+
+    setParam(compressor.threshold, settings.compressorThreshold);
+    setParam(compressor.ratio, settings.compressorRatio);
+    setParam(compressor.attack, settings.compressorAttack);
+    setParam(compressor.release, settings.compressorRelease);
+
+    sweep.type = settings.filterType;
+    setParam(sweep.frequency, settings.filterFrequency);
+    setParam(sweep.Q, settings.filterQ);
+
+    // Impulse responses are seconds of stereo noise: only build one once the reverb is on,
+    // and keep it for switching back to that type later
+    if (settings.reverbEnabled && settings.reverbType !== impulseType) {
+      impulseType = settings.reverbType;
+      if (!impulses.has(impulseType)) impulses.set(impulseType, createImpulseResponse(context, impulseType));
+      convolver.buffer = impulses.get(impulseType);
+    }
+    setParam(dry.gain, 1 - settings.reverbMix);
+    setParam(wet.gain, settings.reverbMix);
+
+    route(settings);
+
+    const tap = settings.analyserPosition === 'pre' ? input : output;
+    if (analyser && tap !== analyserTap) {
+      if (analyserTap) analyserTap.disconnect(analyser);
+      tap.connect(analyser);
+      analyserTap = tap;
+    }
+  };
+
+  return { input, output, update };
+};
@@ -0,0 +1,181 @@
+// --- Test Signal Generator ---
+// Synthetic input for tuning and demoing the visualizers without music or a noisy room:
+//   tone (sine, square, saw), log sweep, white/pink noise, click track, chord -> output
+// Tones and sweeps are OscillatorNodes; noise and clicks are looped AudioBuffers filled here,
+// from a fixed seed, so every run produces the same samples. That makes the signals usable
+// for checking the band mapping and the analysis by hand. `meter` is an AnalyserNode on the
+// output for the level meter. Configured from the flat settings object (see settings/settings.js).
+
+export const GENERATOR_SIGNALS = ['sine', 'square', 'saw', 'sweep', 'white noise', 'pink noise', 'click', 'chord'];
+
+const OSCILLATOR_TYPES = { sine: 'sine', square: 'square', saw: 'sawtooth' };
+const SWEEP_FROM = 20; // Hz
+const SWEEP_TO = 20000; // Hz; capped at the context's Nyquist frequency
+const SCHEDULE_INTERVAL = 250; // ms between checks for the next sweep to queue
+const SCHEDULE_AHEAD = 2; // Seconds of sweeps kept queued; hidden tabs run timers once a second at most
+const NOISE_SECONDS = 4; // Length of the looped noise buffer
+const NOISE_SEED = 0x5eed;
+const CHORD = [0, 4, 7, 12]; // Semitones over the root: a major triad and the octave
+const CLICK_LENGTH = 0.01; // Seconds
+const BEATS_PER_BAR = 4; // The first click of each bar is higher
+
+const dbToGain = (db) => 10 ** (db / 20);
+
+// Small seeded PRNG (mulberry32), uniform in 0..1
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// `length` samples of white or pink noise (-1..1), the same every call. Pink uses Paul
+// Kellet's filter on the white: -3 dB per octave, equal energy in every octave band.
+export const noiseSamples = (length, color = 'white') => {
+  const random = createRandom(NOISE_SEED);
+  const samples = new Float32Array(length);
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+  let peak = 0;
+  for (let i = 0; i < length; i++) {
+    const white = random() * 2 - 1;
+    if (color === 'pink') {
+      b0 = 0.99886 * b0 + white * 0.0555179;
+      b1 = 0.99332 * b1 + white * 0.0750759;
+      b2 = 0.969 * b2 + white * 0.153852;
+      b3 = 0.8665 * b3 + white * 0.3104856;
+      b4 = 0.55 * b4 + white * 0.5329522;
+      b5 = -0.7616 * b5 - white * 0.016898;
+      samples[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+      b6 = white * 0.115926;
+    } else {
+      samples[i] = white;
+    }
+    peak = Math.max(peak, Math.abs(samples[i]));
+  }
+  for (let i = 0; i < length; i++) samples[i] /= peak;
+  return samples;
+};
+
+// One bar of clicks at `bpm`: short decaying sine bursts, accented on the first beat
+export const clickSamples = (sampleRate, bpm) => {
+  const beatLength = Math.round((sampleRate * 60) / bpm);
+  const clickLength = Math.round(sampleRate * CLICK_LENGTH);
+  const samples = new Float32Array(beatLength * BEATS_PER_BAR);
+  for (let beat = 0; beat < BEATS_PER_BAR; beat++) {
+    const frequency = beat === 0 ? 2000 : 1000;
+    for (let i = 0; i < clickLength; i++) {
+      const decay = 1 - i / clickLength;
+      samples[beat * beatLength + i] = Math.sin((2 * Math.PI * frequency * i) / sampleRate) * decay * decay;
+    }
+  }
+  return samples;
+};
+
+export const createSignalGenerator = (context) => {
+  const output = context.createGain();
+  const meter = context.createAnalyser();
+  meter.fftSize = 2048;
+  output.connect(meter);
+  const sweepTo = Math.min(SWEEP_TO, context.sampleRate / 2);
+  let bus = null; // The running signal's sources meet here, so stopping it is one disconnect
+  let sources = []; // { node, ratio } per running source; ratio scales the frequency setting
+  let built = null; // Settings the running sources were built for
+  let timer = null;
+
+  const stopSources = () => {
+    clearInterval(timer);
+    timer = null;
+    sources.forEach(({ node }) => node.stop());
+    sources = [];
+    bus?.disconnect();
+    bus = null;
+  };
+
+  const startOscillator = (type, frequency) => {
+    const node = context.createOscillator();
+    node.type = type;
+    node.frequency.value = frequency;
+    node.connect(bus);
+    node.start();
+    return node;
+  };
+
+  const startBuffer = (samples) => {
+    const buffer = context.createBuffer(1, samples.length, context.sampleRate);
+    buffer.copyToChannel(samples, 0);
+    const node = context.createBufferSource();
+    node.buffer = buffer;
+    node.loop = true;
+    node.connect(bus);
+    node.start();
+    return node;
+  };
+
+  // Keeps SCHEDULE_AHEAD seconds of sweeps queued, so they follow back to back even when
+  // the timer is throttled in a background tab
+  const startSweep = (sweepTime) => {
+    const node = startOscillator('sine', SWEEP_FROM);
+    let next = context.currentTime;
+    const schedule = () => {
+      while (next - context.currentTime < SCHEDULE_AHEAD) {
+        node.frequency.setValueAtTime(SWEEP_FROM, next);
+        node.frequency.exponentialRampToValueAtTime(sweepTo, next + sweepTime);
+        next += sweepTime;
+      }
+    };
+    schedule();
+    timer = setInterval(schedule, SCHEDULE_INTERVAL);
+    return node;
+  };
+
+  const build = (settings) => {
+    stopSources();
+    bus = context.createGain();
+    bus.connect(output);
+    const { generatorSignal: signal, generatorFrequency: frequency } = settings;
+    if (OSCILLATOR_TYPES[signal]) {
+      sources = [{ node: startOscillator(OSCILLATOR_TYPES[signal], frequency), ratio: 1 }];
+    } else if (signal === 'sweep') {
+      sources = [{ node: startSweep(settings.generatorSweepTime), ratio: null }];
+    } else if (signal === 'white noise' || signal === 'pink noise') {
+      const samples = noiseSamples(context.sampleRate * NOISE_SECONDS, signal === 'pink noise' ? 'pink' : 'white');
+      sources = [{ node: startBuffer(samples), ratio: null }];
+    } else if (signal === 'click') {
+      sources = [{ node: startBuffer(clickSamples(context.sampleRate, settings.generatorBpm)), ratio: null }];
+    } else if (signal === 'chord') {
+      bus.gain.value = 1 / CHORD.length; // Peaks stay under full scale when the notes line up
+      sources = CHORD.map((semitones) => {
+        const ratio = 2 ** (semitones / 12);
+        return { node: startOscillator('sine', frequency * ratio), ratio };
+      });
+    }
+    built = settings;
+  };
+
+  const update = (settings) => {
+    const now = context.currentTime;
+    output.gain.setTargetAtTime(dbToGain(settings.generatorLevel), now, 0.02);
+
+    // Frequency and level glide on the running sources; anything else starts the signal over
+    const needsRebuild = !built
+      || settings.generatorSignal !== built.generatorSignal
+      || (settings.generatorSignal === 'sweep' && settings.generatorSweepTime !== built.generatorSweepTime)
+      || (settings.generatorSignal === 'click' && settings.generatorBpm !== built.generatorBpm);
+    if (needsRebuild) {
+      build(settings);
+      return;
+    }
+    sources.forEach(({ node, ratio }) => {
+      if (ratio) node.frequency.setTargetAtTime(settings.generatorFrequency * ratio, now, 0.02);
+    });
+  };
+
+  // Stops the sources; the nodes go away with the AudioContext
+  const dispose = () => stopSources();
+
+  return { output, meter, update, dispose };
+};
@@ -0,0 +1,198 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+import { computeBandEnergies, computeBandRanges } from './analysis.js';
+import { createBandMapper } from './bandMapper.js';
+import { clickSamples, createSignalGenerator, noiseSamples } from './generator.js';
+
+const SAMPLE_RATE = 48000;
+const FFT_SIZE = 2048;
+const MIN_DB = -100; // AnalyserNode defaults
+const MAX_DB = -30;
+
+// In-place radix-2 FFT
+const fft = (re, im) => {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size *= 2) {
+    const step = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const [cos, sin] = [Math.cos(step * k), Math.sin(step * k)];
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * cos - im[b] * sin;
+        const tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+};
+
+// Byte spectrum the way AnalyserNode computes one (Blackman window, dB range mapped onto
+// 0-255), with the power averaged over every whole FFT block in `samples`
+const byteSpectrum = (samples) => {
+  const blocks = Math.floor(samples.length / FFT_SIZE);
+  const power = new Float64Array(FFT_SIZE / 2);
+  for (let block = 0; block < blocks; block++) {
+    const re = new Float64Array(FFT_SIZE);
+    const im = new Float64Array(FFT_SIZE);
+    for (let i = 0; i < FFT_SIZE; i++) {
+      const phase = (2 * Math.PI * i) / FFT_SIZE;
+      re[i] = samples[block * FFT_SIZE + i] * (0.42 - 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase));
+    }
+    fft(re, im);
+    for (let bin = 0; bin < power.length; bin++) power[bin] += (re[bin] ** 2 + im[bin] ** 2) / FFT_SIZE ** 2 / blocks;
+  }
+  return Uint8Array.from(power, (p) => {
+    const db = 10 * Math.log10(p || 1e-20);
+    return Math.max(0, Math.min(255, Math.round((255 * (db - MIN_DB)) / (MAX_DB - MIN_DB))));
+  });
+};
+
+const tone = (frequency, amplitude = 0.5) =>
+  Float32Array.from({ length: FFT_SIZE }, (_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE));
+
+const loudestBand = (energies) => Object.keys(energies).reduce((a, b) => (energies[a] >= energies[b] ? a : b));
+const loudestIndex = (values) => values.indexOf(Math.max(...values));
+
+// dB per octave of a 1/3-octave band readout between `from` and `to` Hz (0-1 values map
+// back onto the analyser's dB range)
+const slopePerOctave = (spectrum, from, to) => {
+  const mapper = createBandMapper({ mode: 'third-octave', sampleRate: SAMPLE_RATE });
+  const values = mapper.map(spectrum);
+  const valueAt = (frequency) => values[mapper.bands.findIndex((band) => band.high >= frequency)] * (MAX_DB - MIN_DB);
+  return (valueAt(to) - valueAt(from)) / Math.log2(to / from);
+};
+
+describe('noiseSamples', () => {
+  it('produces the same samples on every call', () => {
+    assert.deepEqual(noiseSamples(4096), noiseSamples(4096));
+    assert.deepEqual(noiseSamples(4096, 'pink'), noiseSamples(4096, 'pink'));
+    assert.notDeepEqual(noiseSamples(4096), noiseSamples(4096, 'pink'));
+  });
+
+  it('is normalized to full scale', () => {
+    for (const color of ['white', 'pink']) {
+      const peak = noiseSamples(SAMPLE_RATE, color).reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+      assert.ok(Math.abs(peak - 1) < 1e-6, `${color} peaks at ${peak}`);
+    }
+  });
+
+  it('has a flat spectrum when white', () => {
+    const slope = slopePerOctave(byteSpectrum(noiseSamples(SAMPLE_RATE * 4)), 125, 8000);
+    assert.ok(Math.abs(slope) < 1, `white noise slopes ${slope.toFixed(2)} dB/octave`);
+  });
+
+  it('falls 3 dB per octave when pink', () => {
+    const slope = slopePerOctave(byteSpectrum(noiseSamples(SAMPLE_RATE * 4, 'pink')), 125, 8000);
+    assert.ok(slope < -2 && slope > -4, `pink noise slopes ${slope.toFixed(2)} dB/octave`);
+  });
+});
+
+describe('tones through the analysis', () => {
+  const ranges = computeBandRanges(SAMPLE_RATE, FFT_SIZE);
+
+  it('puts each tone in its energy band', () => {
+    assert.equal(loudestBand(computeBandEnergies(byteSpectrum(tone(40)), ranges)), 'sub');
+    assert.equal(loudestBand(computeBandEnergies(byteSpectrum(tone(120)), ranges)), 'bass');
+    assert.equal(loudestBand(computeBandEnergies(byteSpectrum(tone(1000)), ranges)), 'mid');
+    assert.equal(loudestBand(computeBandEnergies(byteSpectrum(tone(8000)), ranges)), 'treble');
+  });
+
+  it('lights the display band that holds the tone', () => {
+    for (const mode of ['linear', 'log', 'mel', 'third-octave']) {
+      const mapper = createBandMapper({ mode, count: 48, sampleRate: SAMPLE_RATE });
+      for (const frequency of [250, 1000, 5000]) {
+        const band = mapper.bands[loudestIndex(Array.from(mapper.map(byteSpectrum(tone(frequency)))))];
+        assert.ok(band.low <= frequency * 1.05 && band.high >= frequency / 1.05, `${mode}: ${frequency} Hz lit ${band.low.toFixed(0)}-${band.high.toFixed(0)} Hz`);
+      }
+    }
+  });
+});
+
+describe('clickSamples', () => {
+  const bpm = 120;
+  const beatLength = (SAMPLE_RATE * 60) / bpm;
+  const samples = clickSamples(SAMPLE_RATE, bpm);
+
+  it('lasts one bar of four beats', () => {
+    assert.equal(samples.length, beatLength * 4);
+  });
+
+  it('clicks on each beat and is silent in between', () => {
+    for (let beat = 0; beat < 4; beat++) {
+      const start = beat * beatLength;
+      assert.ok(samples.subarray(start, start + 100).some((sample) => Math.abs(sample) > 0.5));
+      assert.ok(samples.subarray(start + SAMPLE_RATE * 0.01, start + beatLength).every((sample) => sample === 0));
+    }
+  });
+
+  it('accents the first beat with a higher click', () => {
+    const pitchOf = (beat) => {
+      const spectrum = byteSpectrum(samples.subarray(beat * beatLength, beat * beatLength + FFT_SIZE));
+      return (loudestIndex(Array.from(spectrum)) * SAMPLE_RATE) / FFT_SIZE;
+    };
+    assert.ok(Math.abs(pitchOf(0) - 2000) < 50);
+    for (const beat of [1, 2, 3]) assert.ok(Math.abs(pitchOf(beat) - 1000) < 50);
+  });
+});
+
+describe('sweep scheduling', () => {
+  // Just enough of an AudioContext to record the sweep's frequency automation
+  const createFakeContext = () => {
+    const param = () => {
+      const events = [];
+      const record = (value, time) => events.push({ value, time });
+      return { value: 0, events, setValueAtTime: record, exponentialRampToValueAtTime: record, setTargetAtTime() {} };
+    };
+    const node = () => ({ connect: (next) => next, disconnect() {} });
+    return {
+      currentTime: 0,
+      sampleRate: SAMPLE_RATE,
+      oscillators: [],
+      createGain: () => ({ ...node(), gain: param() }),
+      createAnalyser: () => node(),
+      createOscillator() {
+        const oscillator = { ...node(), frequency: param(), start() {}, stop() {} };
+        this.oscillators.push(oscillator);
+        return oscillator;
+      },
+    };
+  };
+
+  it('keeps sweeps queued past a throttled background timer', () => {
+    mock.timers.enable({ apis: ['setInterval'] });
+    const context = createFakeContext();
+    const generator = createSignalGenerator(context);
+    try {
+      generator.update({ generatorSignal: 'sweep', generatorSweepTime: 1, generatorFrequency: 440, generatorLevel: -12 });
+      const { events } = context.oscillators[0].frequency;
+      const queuedUntil = () => events.at(-1).time;
+      assert.ok(queuedUntil() - context.currentTime > 1, 'less than a second of sweeps queued');
+
+      // A hidden tab: the timer only gets to run once a second
+      for (let second = 1; second <= 5; second++) {
+        context.currentTime = second - 0.01;
+        mock.timers.tick(1000);
+        assert.ok(queuedUntil() - context.currentTime > 1, `ran dry at ${second} s`);
+      }
+
+      // Back to back: every sweep starts where the last one ended
+      for (let i = 2; i < events.length; i += 2) assert.equal(events[i].time, events[i - 1].time);
+    } finally {
+      generator.dispose();
+      mock.timers.reset();
+    }
+  });
+});
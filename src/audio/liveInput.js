@@ -0,0 +1,88 @@
+// --- Live Input Processing ---
+// Level controls for microphone and system capture, in front of the effects chain:
+//   input -> input gain -> noise gate -> auto level -> output
+// The gate and the auto level are plain GainNodes steered by a level detector that is polled
+// on a timer, so no AudioWorklet is needed. `meter` and `tunerTap` are AnalyserNodes on the
+// output for the level meter and the tuner. Configured from the flat settings object (see settings/settings.js).
+
+const DETECT_INTERVAL = 20; // ms between level readings
+const SILENCE = -70; // dBFS; quieter than this never moves the auto level
+const GATE_HYSTERESIS = 4; // dB; the gate closes this far below the threshold so it doesn't chatter
+const AUTO_LEVEL_TARGET = -20; // dBFS RMS
+const AUTO_LEVEL_MIN = -12; // dB
+const AUTO_LEVEL_MAX = 30; // dB
+
+export const toDb = (rms) => 20 * Math.log10(Math.max(rms, 1e-6));
+const dbToGain = (db) => 10 ** (db / 20);
+
+export const rmsOf = (samples) => {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  return Math.sqrt(sum / samples.length);
+};
+
+export const createLiveInputChain = (context) => {
+  const input = context.createGain();
+  const gain = context.createGain();
+  const gate = context.createGain();
+  const autoLevel = context.createGain();
+  input.connect(gain).connect(gate).connect(autoLevel);
+
+  // The detector reads the signal after the input gain, before the gate and auto level
+  const detector = context.createAnalyser();
+  detector.fftSize = 1024;
+  gain.connect(detector);
+
+  const meter = context.createAnalyser();
+  meter.fftSize = 1024;
+  autoLevel.connect(meter);
+
+  // Two periods of a low E (82 Hz), whatever FFT size the visualizers use
+  const tunerTap = context.createAnalyser();
+  tunerTap.fftSize = 2048;
+  autoLevel.connect(tunerTap);
+
+  const samples = new Float32Array(detector.fftSize);
+  let settings = null;
+  let isGateOpen = true;
+  let autoLevelDb = 0;
+
+  const tick = () => {
+    if (!settings) return;
+    detector.getFloatTimeDomainData(samples);
+    const level = toDb(rmsOf(samples));
+    const now = context.currentTime;
+
+    const shouldOpen = !settings.noiseGateEnabled
+      || level > settings.noiseGateThreshold - (isGateOpen ? GATE_HYSTERESIS : 0);
+    if (shouldOpen !== isGateOpen) {
+      isGateOpen = shouldOpen;
+      // Open fast so transients get through, close slowly so tails don't get chopped
+      gate.gain.setTargetAtTime(isGateOpen ? 1 : 0, now, isGateOpen ? 0.005 : 0.08);
+    }
+
+    if (settings.autoLevelEnabled) {
+      // Hold through silence (or a closed gate) instead of turning the noise floor up
+      if (!isGateOpen || level < SILENCE) return;
+      // Turn down quickly when it gets loud, up slowly in quiet passages
+      const error = AUTO_LEVEL_TARGET - (level + autoLevelDb);
+      autoLevelDb += error * (error < 0 ? 0.2 : 0.02);
+      autoLevelDb = Math.min(AUTO_LEVEL_MAX, Math.max(AUTO_LEVEL_MIN, autoLevelDb));
+      autoLevel.gain.setTargetAtTime(dbToGain(autoLevelDb), now, 0.05);
+    } else if (autoLevelDb !== 0) {
+      autoLevelDb = 0;
+      autoLevel.gain.setTargetAtTime(1, now, 0.05);
+    }
+  };
+  const timer = setInterval(tick, DETECT_INTERVAL);
+
+  const update = (next) => {
+    settings = next;
+    gain.gain.setTargetAtTime(dbToGain(next.inputGain), context.currentTime, 0.02);
+  };
+
+  // Stops the detector; the nodes go away with the AudioContext
+  const dispose = () => clearInterval(timer);
+
+  return { input, output: autoLevel, meter, tunerTap, update, dispose };
+};
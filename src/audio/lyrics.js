@@ -0,0 +1,97 @@
+// LRC lyrics parsing and lookup. Supports:
+//   - `[mm:ss.xx]` line timestamps, several on one line for repeated choruses
+//   - enhanced LRC `<mm:ss.xx>` word timestamps inside a line
+//   - `[ar:Artist]`-style metadata tags, including `[offset:+/-ms]`
+//
+// `parseLrc(text)` returns `{ tags, lines }`: `tags` maps lowercased tag names to values, and
+// `lines` is sorted by time, each `{ time, text, words }` (seconds). `words` is null unless
+// the line had word timestamps, then `[{ time, text }]` with the spacing kept in `text`.
+
+const LINE_TIME = /^\[(\d+):(\d+(?:[.:]\d+)?)\]/;
+const WORD_TIME = /<(\d+):(\d+(?:[.:]\d+)?)>/;
+const TAG = /^\[([a-z#]+):(.*)\]$/i;
+
+// Some files use 'mm:ss:xx' instead of 'mm:ss.xx'
+const toSeconds = (minutes, seconds) => Number(minutes) * 60 + Number(seconds.replace(':', '.'));
+
+// Rounds to hundredths first, so 59.999 comes out as 01:00.00 rather than 00:60.00
+export const formatLrcTime = (time) => {
+  const hundredths = Math.round(time * 100);
+  const minutes = Math.floor(hundredths / 6000);
+  const seconds = ((hundredths % 6000) / 100).toFixed(2).padStart(5, '0');
+  return `${String(minutes).padStart(2, '0')}:${seconds}`;
+};
+
+// Words of an enhanced line; text before the first word timestamp starts at the line's time
+const parseWords = (text, lineTime) => {
+  const parts = text.split(WORD_TIME); // [before, min, sec, word, min, sec, word, ...]
+  if (parts.length === 1) return null;
+
+  const words = [];
+  if (parts[0]) words.push({ time: lineTime, text: parts[0] });
+  for (let i = 1; i < parts.length; i += 3) {
+    // A trailing timestamp with no text only marks where the last word ends
+    if (parts[i + 2]) words.push({ time: toSeconds(parts[i], parts[i + 1]), text: parts[i + 2] });
+  }
+  return words.length ? words : null;
+};
+
+export const parseLrc = (text) => {
+  const tags = {};
+  const lines = [];
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    const tag = TAG.exec(line);
+    if (tag) {
+      tags[tag[1].toLowerCase()] = tag[2].trim();
+      continue;
+    }
+
+    const times = [];
+    let rest = line;
+    let match;
+    while ((match = LINE_TIME.exec(rest))) {
+      times.push(toSeconds(match[1], match[2]));
+      rest = rest.slice(match[0].length);
+    }
+    if (!times.length) continue; // Plain text or a comment
+
+    const words = parseWords(rest, times[0]);
+    const content = (words ? words.map((word) => word.text).join('') : rest).trim();
+    for (const time of times) {
+      // Word times are absolute, so a repeated line moves its words along with it
+      const shift = time - times[0];
+      lines.push({ time, text: content, words: words && words.map((word) => ({ time: word.time + shift, text: word.text })) });
+    }
+  }
+
+  // A positive offset makes the lyrics show up sooner
+  const offset = Number(tags.offset) / 1000 || 0;
+  if (offset) {
+    for (const line of lines) {
+      line.time -= offset;
+      line.words?.forEach((word) => { word.time -= offset; });
+    }
+  }
+
+  lines.sort((a, b) => a.time - b.time);
+  return { tags, lines };
+};
+
+// Index of the last item (line or word) starting at or before `time`, or -1 before the first
+export const findLyricIndex = (items, time) => {
+  let low = 0;
+  let high = items.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (items[middle].time <= time) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found;
+};
@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { findLyricIndex, formatLrcTime, parseLrc } from './lyrics.js';
+
+const times = (items) => items.map((item) => item.time);
+const texts = (items) => items.map((item) => item.text);
+
+// Offsets and shifted word times are float sums, so compare them with a tolerance
+const assertTimes = (items, expected) => {
+  assert.equal(items.length, expected.length);
+  items.forEach((item, i) => assert.ok(Math.abs(item.time - expected[i]) < 1e-9, `${item.time} is not ${expected[i]}`));
+};
+
+describe('formatLrcTime', () => {
+  it('writes mm:ss.xx', () => {
+    assert.equal(formatLrcTime(0), '00:00.00');
+    assert.equal(formatLrcTime(1.5), '00:01.50');
+    assert.equal(formatLrcTime(62.25), '01:02.25');
+    assert.equal(formatLrcTime(600), '10:00.00');
+  });
+
+  it('carries a rounded-up second into the minute', () => {
+    assert.equal(formatLrcTime(59.999), '01:00.00');
+    assert.equal(formatLrcTime(119.996), '02:00.00');
+  });
+
+  it('reads back to the same time', () => {
+    for (const time of [0, 0.01, 9.99, 59.5, 61.07, 3599.99]) {
+      assertTimes(parseLrc(`[${formatLrcTime(time)}]x`).lines, [time]);
+    }
+  });
+});
+
+describe('parseLrc', () => {
+  it('reads line timestamps', () => {
+    const { lines } = parseLrc('[00:01.00]First\n[00:02.50]Second\n[01:00.00]Third');
+    assert.deepEqual(lines, [
+      { time: 1, text: 'First', words: null },
+      { time: 2.5, text: 'Second', words: null },
+      { time: 60, text: 'Third', words: null },
+    ]);
+  });
+
+  it('accepts whole seconds and mm:ss:xx', () => {
+    assert.deepEqual(times(parseLrc('[00:05]Whole\n[00:06:50]Colon').lines), [5, 6.5]);
+  });
+
+  it('repeats a line with several timestamps, sorted by time', () => {
+    const { lines } = parseLrc('[00:30.00][00:10.00]Chorus\n[00:20.00]Verse\n[00:40.00]Chorus again');
+    assert.deepEqual(times(lines), [10, 20, 30, 40]);
+    assert.deepEqual(texts(lines), ['Chorus', 'Verse', 'Chorus', 'Chorus again']);
+  });
+
+  it('picks up tags without turning them into lines', () => {
+    const { tags, lines } = parseLrc('[ti:Song Title]\n[AR: The Artist ]\n[al:Album]\n[by:]\n[00:01.00]Only line');
+    assert.deepEqual(tags, { ti: 'Song Title', ar: 'The Artist', al: 'Album', by: '' });
+    assert.deepEqual(texts(lines), ['Only line']);
+  });
+
+  it('shows lines sooner with a positive offset', () => {
+    assertTimes(parseLrc('[offset:+500]\n[00:02.00]Line').lines, [1.5]);
+  });
+
+  it('shows lines later with a negative offset', () => {
+    assertTimes(parseLrc('[offset:-250]\n[00:02.00]Line').lines, [2.25]);
+  });
+
+  it('ignores an offset that is not a number', () => {
+    assert.deepEqual(times(parseLrc('[offset:soon]\n[00:02.00]Line').lines), [2]);
+  });
+
+  it('reads enhanced word timestamps', () => {
+    const [line] = parseLrc('[00:01.00]<00:01.00>Hel<00:01.50>lo <00:02.00>world<00:03.00>').lines;
+    assert.equal(line.text, 'Hello world');
+    assert.deepEqual(line.words, [
+      { time: 1, text: 'Hel' },
+      { time: 1.5, text: 'lo ' },
+      { time: 2, text: 'world' },
+    ]);
+  });
+
+  it('starts text before the first word timestamp at the line time', () => {
+    const [line] = parseLrc('[00:04.00]Oh <00:05.00>yeah').lines;
+    assert.deepEqual(line.words, [{ time: 4, text: 'Oh ' }, { time: 5, text: 'yeah' }]);
+  });
+
+  it('moves the words of a repeated line, and applies the offset to them', () => {
+    const { lines } = parseLrc('[offset:1000]\n[00:10.00][00:20.00]<00:10.00>La <00:10.50>la');
+    assertTimes(lines, [9, 19]);
+    assertTimes(lines[0].words, [9, 9.5]);
+    assertTimes(lines[1].words, [19, 19.5]);
+  });
+
+  it('skips blank, untimed and malformed lines', () => {
+    const text = '\n   \nJust some text\n# a comment\n[00:xx]Bad time\n[1:2:3:4]Too many parts\n[00:03.00]  Good  \r\n';
+    assert.deepEqual(parseLrc(text).lines, [{ time: 3, text: 'Good', words: null }]);
+  });
+
+  it('keeps an empty timed line as a break between verses', () => {
+    assert.deepEqual(parseLrc('[00:01.00]Sung\n[00:05.00]\n[00:09.00]Sung again').lines[1], { time: 5, text: '', words: null });
+  });
+
+  it('reads nothing from an empty file', () => {
+    assert.deepEqual(parseLrc(''), { tags: {}, lines: [] });
+  });
+});
+
+describe('findLyricIndex', () => {
+  const { lines } = parseLrc('[00:10.00]One\n[00:20.00]Two\n[00:30.00]Three');
+
+  it('is -1 before the first line', () => {
+    assert.equal(findLyricIndex(lines, 0), -1);
+    assert.equal(findLyricIndex(lines, 9.99), -1);
+  });
+
+  it('switches exactly on a line timestamp', () => {
+    assert.equal(findLyricIndex(lines, 10), 0);
+    assert.equal(findLyricIndex(lines, 19.99), 0);
+    assert.equal(findLyricIndex(lines, 20), 1);
+  });
+
+  it('stays on the last line after it', () => {
+    assert.equal(findLyricIndex(lines, 30), 2);
+    assert.equal(findLyricIndex(lines, 1e6), 2);
+  });
+
+  it('is -1 without lines', () => {
+    assert.equal(findLyricIndex([], 5), -1);
+  });
+
+  it('finds the word being sung', () => {
+    const [line] = parseLrc('[00:01.00]<00:01.00>a <00:02.00>b <00:03.00>c').lines;
+    assert.deepEqual([0.5, 1, 2.5, 3, 9].map((time) => findLyricIndex(line.words, time)), [-1, 0, 1, 2, 2]);
+  });
+});
@@ -0,0 +1,330 @@
+import { formatLrcTime } from './lyrics.js';
+
+// Reads title, artist, album, cover art and lyrics from an audio file's tags without decoding it:
+//   - ID3v2.2-2.4, with ID3v1 as a fallback (MP3, and anything else carrying them)
+//   - Vorbis comments and PICTURE blocks (FLAC)
+//   - iTunes-style ilst atoms (MP4 / M4A)
+// Only the tag bytes are read, never the whole file.
+//
+// `readMetadata(file)` resolves to `{ title, artist, album, picture, lyrics }`. Any of them may
+// be null; `picture` is an image Blob (the front cover when the file says which one that is)
+// and `lyrics` is text, in LRC format when the tags had timings (see lyrics.js). Damaged or
+// truncated tags read as missing rather than failing.
+
+const EMPTY = { title: null, artist: null, album: null, picture: null, lyrics: null };
+const FRONT_COVER = 3; // Picture type shared by ID3 and FLAC
+
+const latin1 = new TextDecoder('latin1');
+const utf8 = new TextDecoder('utf-8');
+const utf16le = new TextDecoder('utf-16le');
+const utf16be = new TextDecoder('utf-16be');
+
+const readBytes = async (file, start, end) => new Uint8Array(await file.slice(start, end).arrayBuffer());
+
+const uint32 = (bytes, i) => bytes[i] * 2 ** 24 + (bytes[i + 1] << 16) + (bytes[i + 2] << 8) + bytes[i + 3];
+const synchsafe = (bytes, i) => (bytes[i] << 21) | (bytes[i + 1] << 14) | (bytes[i + 2] << 7) | bytes[i + 3];
+
+// Pictures are `{ type, blob }`, or null when the image data is missing or cut off
+const pickCover = (pictures) => (pictures.find((p) => p?.type === FRONT_COVER) ?? pictures.find(Boolean))?.blob ?? null;
+
+// Fills the gaps in `tags` from `fallback`
+const mergeTags = (tags, fallback) => Object.fromEntries(Object.keys(EMPTY).map((key) => [key, tags[key] ?? fallback[key]]));
+
+// --- ID3v2 ---
+
+// Text encodings: 0 Latin-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8
+const isWide = (encoding) => encoding === 1 || encoding === 2;
+
+const decodeRaw = (bytes, encoding) => {
+  let decoder = utf8;
+  if (encoding === 0) decoder = latin1;
+  else if (encoding === 1) decoder = bytes[0] === 0xfe && bytes[1] === 0xff ? utf16be : utf16le;
+  else if (encoding === 2) decoder = utf16be;
+  return decoder.decode(bytes);
+};
+
+// v2.4 separates multiple values (several artists) with nulls
+const decodeId3Text = (bytes, encoding) =>
+  decodeRaw(bytes, encoding).split('\0').map((value) => value.trim()).filter(Boolean).join(', ') || null;
+
+// Index of the string terminator at or after `start` (two null bytes for UTF-16)
+const findTerminator = (bytes, start, encoding) => {
+  const step = isWide(encoding) ? 2 : 1;
+  for (let i = start; i < bytes.length; i += step) {
+    if (bytes[i] === 0 && (step === 1 || bytes[i + 1] === 0)) return i;
+  }
+  return bytes.length;
+};
+
+// Offset just past the string starting at `start`
+const skipString = (bytes, start, encoding) => findTerminator(bytes, start, encoding) + (isWide(encoding) ? 2 : 1);
+
+// USLT: encoding, language, description, then the lyrics
+const parseUslt = (data) => {
+  const encoding = data[0];
+  return decodeRaw(data.subarray(skipString(data, 4, encoding)), encoding).trim() || null;
+};
+
+// SYLT: encoding, language, timestamp format, content type, description, then pairs of
+// text and a 32-bit time. Converted to LRC; syllables that start with a newline begin a new
+// line (karaoke style), otherwise every entry is a line of its own.
+const parseSylt = (data) => {
+  const encoding = data[0];
+  if (data[4] !== 2) return null; // Only millisecond times; MPEG frame counts would need the bitrate
+
+  const entries = [];
+  let offset = skipString(data, 6, encoding);
+  while (offset < data.length) {
+    const end = skipString(data, offset, encoding);
+    if (end + 4 > data.length) break;
+    entries.push({ text: decodeRaw(data.subarray(offset, findTerminator(data, offset, encoding)), encoding), time: uint32(data, end) / 1000 });
+    offset = end + 4;
+  }
+
+  const isKaraoke = entries.some((entry, i) => i > 0 && /^[\r\n]/.test(entry.text));
+  const lines = [];
+  for (const entry of entries) {
+    if (!isKaraoke || !lines.length || /^[\r\n]/.test(entry.text)) lines.push({ time: entry.time, words: [] });
+    lines[lines.length - 1].words.push({ time: entry.time, text: entry.text.replace(/^[\r\n]+/, '') });
+  }
+
+  return lines.map(({ time, words }) => {
+    const text = words.length > 1 ? words.map((word) => `<${formatLrcTime(word.time)}>${word.text}`).join('') : words[0].text;
+    return `[${formatLrcTime(time)}]${text}`;
+  }).join('\n') || null;
+};
+
+// Undoes unsynchronisation: every 0xFF 0x00 pair was written for a plain 0xFF
+const removeUnsync = (bytes) => {
+  const out = new Uint8Array(bytes.length);
+  let n = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    out[n++] = bytes[i];
+    if (bytes[i] === 0xff && bytes[i + 1] === 0) i++;
+  }
+  return out.subarray(0, n);
+};
+
+const ID3_TEXT_FRAMES = { TIT2: 'title', TT2: 'title', TPE1: 'artist', TP1: 'artist', TALB: 'album', TAL: 'album' };
+
+// APIC (v2.3+) names a MIME type, PIC (v2.2) a three letter format
+const parseId3Picture = (data, isV22) => {
+  const encoding = data[0];
+  let format;
+  let offset;
+  if (isV22) {
+    format = latin1.decode(data.subarray(1, 4));
+    offset = 4;
+  } else {
+    const end = findTerminator(data, 1, 0);
+    format = latin1.decode(data.subarray(1, end));
+    offset = end + 1;
+  }
+  // Some taggers write 'jpg' or 'PNG' instead of a MIME type
+  const mime = format.includes('/') ? format : `image/${format.toLowerCase() === 'png' ? 'png' : 'jpeg'}`;
+  const type = data[offset];
+  const start = skipString(data, offset + 1, encoding); // After the description
+  if (start >= data.length) return null;
+  return { type, blob: new Blob([data.subarray(start)], { type: mime }) };
+};
+
+const parseId3v2 = async (file, header) => {
+  const major = header[3];
+  const flags = header[5];
+  let tag = await readBytes(file, 10, 10 + synchsafe(header, 6));
+  if (flags & 0x80 && major < 4) tag = removeUnsync(tag); // v2.4 unsyncs per frame instead
+
+  let offset = 0;
+  if (flags & 0x40) offset = major === 3 ? uint32(tag, 0) + 4 : synchsafe(tag, 0); // Extended header
+
+  const tags = { ...EMPTY };
+  const pictures = [];
+  let unsyncedLyrics = null;
+  const idLength = major === 2 ? 3 : 4;
+  const headerLength = major === 2 ? 6 : 10;
+
+  while (offset + headerLength <= tag.length) {
+    const id = latin1.decode(tag.subarray(offset, offset + idLength));
+    if (!/^[A-Z0-9]+$/.test(id)) break; // Reached the padding
+
+    let size;
+    if (major === 2) size = (tag[offset + 3] << 16) | (tag[offset + 4] << 8) | tag[offset + 5];
+    else if (major === 4) size = synchsafe(tag, offset + 4);
+    else size = uint32(tag, offset + 4);
+
+    if (offset + headerLength + size > tag.length) break; // Runs past the tag: damaged or truncated
+
+    const format = major === 2 ? 0 : tag[offset + 9];
+    const isPacked = major === 3 ? format & 0xc0 : major === 4 && format & 0x0c; // Compressed or encrypted
+    let data = tag.subarray(offset + headerLength, offset + headerLength + size);
+    offset += headerLength + size;
+    if (isPacked || !data.length) continue;
+
+    if (major === 4) {
+      if (format & 0x01) data = data.subarray(4); // Data length indicator
+      if (format & 0x02) data = removeUnsync(data);
+    }
+
+    const key = ID3_TEXT_FRAMES[id];
+    if (key && !tags[key]) tags[key] = decodeId3Text(data.subarray(1), data[0]);
+    else if (id === 'APIC' || id === 'PIC') pictures.push(parseId3Picture(data, major === 2));
+    else if (id === 'SYLT' || id === 'SLT') tags.lyrics ??= parseSylt(data);
+    else if (id === 'USLT' || id === 'ULT') unsyncedLyrics ??= parseUslt(data);
+  }
+
+  // Timed lyrics win; plain ones may still carry LRC timestamps of their own
+  tags.lyrics ??= unsyncedLyrics;
+  tags.picture = pickCover(pictures);
+  return tags;
+};
+
+// ID3v1: fixed-width Latin-1 fields in the last 128 bytes
+const parseId3v1 = (bytes) => {
+  const field = (start, end) => latin1.decode(bytes.subarray(start, end)).replace(/\0.*$/s, '').trim() || null;
+  return { title: field(3, 33), artist: field(33, 63), album: field(63, 93), picture: null, lyrics: null };
+};
+
+// --- FLAC ---
+
+const parseVorbisComments = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 4 + view.getUint32(0, true); // Skip the vendor string
+  const count = view.getUint32(offset, true);
+  offset += 4;
+
+  const values = {};
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+    const length = view.getUint32(offset, true);
+    const comment = utf8.decode(bytes.subarray(offset + 4, offset + 4 + length));
+    offset += 4 + length;
+
+    const split = comment.indexOf('=');
+    if (split > 0) (values[comment.slice(0, split).toUpperCase()] ??= []).push(comment.slice(split + 1).trim());
+  }
+
+  const get = (key) => values[key]?.filter(Boolean).join(', ') || null;
+  return { title: get('TITLE'), artist: get('ARTIST'), album: get('ALBUM'), lyrics: get('LYRICS') ?? get('UNSYNCEDLYRICS') };
+};
+
+const parseFlacPicture = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const type = view.getUint32(0);
+  const mimeLength = view.getUint32(4);
+  const mime = latin1.decode(bytes.subarray(8, 8 + mimeLength));
+  let offset = 8 + mimeLength;
+  offset += 4 + view.getUint32(offset); // Description
+  offset += 16; // Width, height, color depth, palette size
+  const length = view.getUint32(offset);
+  if (!length || offset + 4 + length > bytes.length) return null;
+  return { type, blob: new Blob([bytes.subarray(offset + 4, offset + 4 + length)], { type: mime }) };
+};
+
+// Walks the metadata blocks after the 'fLaC' marker, reading only the ones we want
+const parseFlac = async (file) => {
+  let tags = { ...EMPTY };
+  const pictures = [];
+  let offset = 4;
+  let isLast = false;
+
+  while (!isLast && offset + 4 <= file.size) {
+    const header = await readBytes(file, offset, offset + 4);
+    isLast = Boolean(header[0] & 0x80);
+    const type = header[0] & 0x7f;
+    const length = (header[1] << 16) | (header[2] << 8) | header[3];
+    offset += 4;
+
+    const block = type === 4 || type === 6 ? await readBytes(file, offset, offset + length) : null;
+    try {
+      if (type === 4) tags = { ...tags, ...parseVorbisComments(block) };
+      else if (type === 6) pictures.push(parseFlacPicture(block));
+    } catch {
+      break; // A block running past its end (or the file's); keep what was read so far
+    }
+    offset += length;
+  }
+
+  tags.picture = pickCover(pictures);
+  return tags;
+};
+
+// --- MP4 ---
+
+// Size of the atom at `offset` (64-bit sizes included; 0 means "to the end")
+const atomSize = (bytes, offset, remaining) => {
+  const size = uint32(bytes, offset);
+  if (size === 1) return { size: uint32(bytes, offset + 8) * 2 ** 32 + uint32(bytes, offset + 12), header: 16 };
+  return { size: size === 0 ? remaining : size, header: 8 };
+};
+
+// First child atom of each type between `start` and `end`, as { start, end } of its body
+const childAtoms = (bytes, start, end) => {
+  const atoms = {};
+  let offset = start;
+  while (offset + 8 <= end) {
+    const { size, header } = atomSize(bytes, offset, end - offset);
+    if (size < header) break;
+    const type = latin1.decode(bytes.subarray(offset + 4, offset + 8));
+    atoms[type] ??= { start: offset + header, end: Math.min(end, offset + size) };
+    offset += size;
+  }
+  return atoms;
+};
+
+// The tags live in 'moov', which may sit before or after the media data
+const readMoov = async (file) => {
+  let offset = 0;
+  while (offset + 8 <= file.size) {
+    const header = await readBytes(file, offset, offset + 16);
+    const { size } = atomSize(header, 0, file.size - offset);
+    if (size < 8) return null;
+    if (latin1.decode(header.subarray(4, 8)) === 'moov') return readBytes(file, offset, offset + size);
+    offset += size;
+  }
+  return null;
+};
+
+const parseMp4 = async (file) => {
+  const moov = await readMoov(file);
+  if (!moov) return { ...EMPTY };
+
+  const root = childAtoms(moov, 0, moov.length).moov;
+  const udta = root && childAtoms(moov, root.start, root.end).udta;
+  const meta = udta && childAtoms(moov, udta.start, udta.end).meta;
+  const ilst = meta && childAtoms(moov, meta.start + 4, meta.end).ilst; // 'meta' has version/flags first
+  if (!ilst) return { ...EMPTY };
+
+  // Each item holds a 'data' atom: type (1 UTF-8, 13 JPEG, 14 PNG), locale, then the value
+  const items = childAtoms(moov, ilst.start, ilst.end);
+  const value = (key) => {
+    const data = items[key] && childAtoms(moov, items[key].start, items[key].end).data;
+    return data ? { type: uint32(moov, data.start) & 0xffffff, bytes: moov.subarray(data.start + 8, data.end) } : null;
+  };
+  const text = (key) => {
+    const item = value(key);
+    return item ? utf8.decode(item.bytes).trim() || null : null;
+  };
+
+  const cover = value('covr');
+  return {
+    title: text('©nam'),
+    artist: text('©ART'),
+    album: text('©alb'),
+    lyrics: text('©lyr'),
+    picture: cover?.bytes.length ? new Blob([cover.bytes], { type: cover.type === 14 ? 'image/png' : 'image/jpeg' }) : null,
+  };
+};
+
+export const readMetadata = async (file) => {
+  const head = await readBytes(file, 0, 10);
+  const magic = latin1.decode(head.subarray(0, 4));
+
+  if (magic === 'fLaC') return parseFlac(file);
+  if (latin1.decode(head.subarray(4, 8)) === 'ftyp') return parseMp4(file);
+
+  let tags = magic.startsWith('ID3') ? await parseId3v2(file, head) : { ...EMPTY };
+  if (file.size >= 128 && (!tags.title || !tags.artist || !tags.album)) {
+    const tail = await readBytes(file, file.size - 128, file.size);
+    if (latin1.decode(tail.subarray(0, 3)) === 'TAG') tags = mergeTags(tags, parseId3v1(tail));
+  }
+  return tags;
+};
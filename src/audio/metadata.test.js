@@ -0,0 +1,292 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { readMetadata } from './metadata.js';
+
+// --- Byte builders ---
+// Strings are written as Latin-1 (so '©nam' is the MP4 atom name); use utf8() or utf16()
+// for text in other encodings.
+
+// Each part is a string, an array of byte values or a typed array
+const bytes = (...parts) => {
+  const chunks = parts.map((part) => (typeof part === 'string' ? Buffer.from(part, 'latin1') : Uint8Array.from(part)));
+  return new Uint8Array(Buffer.concat(chunks));
+};
+const utf8 = (text) => Buffer.from(text, 'utf8');
+const utf16 = (text) => [0xff, 0xfe, ...Buffer.from(text, 'utf16le')]; // With a little-endian BOM
+const be32 = (n) => [n >>> 24, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+const le32 = (n) => be32(n).reverse();
+const be24 = (n) => be32(n).slice(1);
+const synchsafe = (n) => [(n >> 21) & 0x7f, (n >> 14) & 0x7f, (n >> 7) & 0x7f, n & 0x7f];
+
+const toFile = (...parts) => new Blob([bytes(...parts)]);
+const audio = (length = 256) => new Uint8Array(length).fill(0xaa); // Stands in for the frames
+
+// Stand-ins for image data; the JPEG one has 0xFF bytes for unsynchronisation to work on
+const PNG = bytes([0x89], 'PNG\r\n', [0x1a], '\n', [1, 2, 3]);
+const JPEG = bytes([0xff, 0xd8, 0xff, 0xe0, 0, 0x10, 0xff, 0x00, 0xff, 0xd9]);
+
+const pictureBytes = async (blob) => new Uint8Array(await blob.arrayBuffer());
+
+// --- ID3 ---
+
+const id3Frame = (major, id, data) => {
+  const size = major === 4 ? synchsafe(data.length) : be32(data.length);
+  return bytes(id, size, [0, 0], data);
+};
+
+// `flags` is the tag header's (0x80: unsynchronised)
+const id3Tag = (major, frames, flags = 0) => {
+  const body = bytes(...frames, new Uint8Array(32)); // Padding after the frames
+  return bytes('ID3', [major, 0, flags], synchsafe(body.length), body);
+};
+
+// Inserts a 0x00 after every 0xFF that a sync pattern could be read into
+const unsynchronise = (data) => {
+  const out = [];
+  data.forEach((byte, i) => {
+    out.push(byte);
+    if (byte === 0xff && (i + 1 === data.length || data[i + 1] === 0 || data[i + 1] >= 0xe0)) out.push(0);
+  });
+  return Uint8Array.from(out);
+};
+
+const id3v1 = ({ title = '', artist = '', album = '' }) => {
+  const field = (text) => bytes(text, new Uint8Array(30 - text.length));
+  return bytes('TAG', field(title), field(artist), field(album), '2024', new Uint8Array(31));
+};
+
+const apic = (mime, type, image, description = 'Cover') => bytes([0], mime, [0], [type], description, [0], image);
+
+describe('readMetadata: ID3v2', () => {
+  it('reads v2.3 text frames in each encoding', async () => {
+    const tag = id3Tag(3, [
+      id3Frame(3, 'TIT2', bytes([0], 'Caf\xe9 Song')),
+      id3Frame(3, 'TPE1', bytes([1], utf16('Ärtist'))),
+      id3Frame(3, 'TALB', bytes([3], utf8('Album ✓'))),
+    ]);
+    const tags = await readMetadata(toFile(tag, audio()));
+    assert.deepEqual(tags, { title: 'Café Song', artist: 'Ärtist', album: 'Album ✓', picture: null, lyrics: null });
+  });
+
+  it('joins v2.4 multi-value frames', async () => {
+    const tag = id3Tag(4, [id3Frame(4, 'TPE1', bytes([3], 'One\0Two\0'))]);
+    assert.equal((await readMetadata(toFile(tag, audio()))).artist, 'One, Two');
+  });
+
+  it('prefers the front cover and keeps its MIME type and bytes', async () => {
+    const tag = id3Tag(3, [
+      id3Frame(3, 'APIC', apic('image/jpeg', 4, JPEG, 'Back')),
+      id3Frame(3, 'APIC', apic('image/png', 3, PNG)),
+    ]);
+    const { picture } = await readMetadata(toFile(tag, audio()));
+    assert.equal(picture.type, 'image/png');
+    assert.deepEqual(await pictureBytes(picture), PNG);
+  });
+
+  it('turns a bare format into a MIME type', async () => {
+    const tag = id3Tag(3, [id3Frame(3, 'APIC', apic('jpg', 0, JPEG))]);
+    assert.equal((await readMetadata(toFile(tag, audio()))).picture.type, 'image/jpeg');
+  });
+
+  it('undoes v2.3 whole-tag unsynchronisation', async () => {
+    const frames = bytes(id3Frame(3, 'TIT2', bytes([0], 'Synced')), id3Frame(3, 'APIC', apic('image/jpeg', 3, JPEG)));
+    const body = bytes(unsynchronise(frames), new Uint8Array(16));
+    const tag = bytes('ID3', [3, 0, 0x80], synchsafe(body.length), body);
+
+    const { title, picture } = await readMetadata(toFile(tag, audio()));
+    assert.equal(title, 'Synced');
+    assert.deepEqual(await pictureBytes(picture), JPEG);
+  });
+
+  it('undoes v2.4 per-frame unsynchronisation and skips the data length indicator', async () => {
+    const data = apic('image/jpeg', 3, JPEG);
+    const stored = bytes(synchsafe(data.length), unsynchronise(data));
+    const frame = bytes('APIC', synchsafe(stored.length), [0, 0x03], stored);
+    const { picture } = await readMetadata(toFile(id3Tag(4, [frame]), audio()));
+    assert.deepEqual(await pictureBytes(picture), JPEG);
+  });
+
+  it('skips the extended header', async () => {
+    const frames = bytes(id3Frame(3, 'TIT2', bytes([0], 'Extended')), new Uint8Array(16));
+    const body = bytes(be32(6), [0, 0], be32(0), frames); // Size excludes its own 4 bytes
+    const tag = bytes('ID3', [3, 0, 0x40], synchsafe(body.length), body);
+    assert.equal((await readMetadata(toFile(tag, audio()))).title, 'Extended');
+  });
+
+  it('reads v2.2 three-letter frames and PIC', async () => {
+    const frame = (id, data) => bytes(id, be24(data.length), data);
+    const body = bytes(frame('TT2', bytes([0], 'Old Tag')), frame('PIC', bytes([0], 'PNG', [3], 'x', [0], PNG)), new Uint8Array(8));
+    const tag = bytes('ID3', [2, 0, 0], synchsafe(body.length), body);
+
+    const { title, picture } = await readMetadata(toFile(tag, audio()));
+    assert.equal(title, 'Old Tag');
+    assert.equal(picture.type, 'image/png');
+    assert.deepEqual(await pictureBytes(picture), PNG);
+  });
+
+  it('reads USLT lyrics', async () => {
+    const tag = id3Tag(3, [id3Frame(3, 'USLT', bytes([0], 'eng', 'Description', [0], 'Line one\nLine two'))]);
+    assert.equal((await readMetadata(toFile(tag, audio()))).lyrics, 'Line one\nLine two');
+  });
+
+  it('turns SYLT lines into LRC and prefers them over USLT', async () => {
+    const sylt = bytes([0], 'eng', [2, 1], [0], 'Hello', [0], be32(1500), 'World', [0], be32(62000));
+    const tag = id3Tag(3, [
+      id3Frame(3, 'USLT', bytes([0], 'eng', [0], 'Plain lyrics')),
+      id3Frame(3, 'SYLT', sylt),
+    ]);
+    assert.equal((await readMetadata(toFile(tag, audio()))).lyrics, '[00:01.50]Hello\n[01:02.00]World');
+  });
+
+  it('turns karaoke SYLT syllables into word timings', async () => {
+    const sylt = bytes([0], 'eng', [2, 1], [0], 'Hel', [0], be32(0), 'lo', [0], be32(500), '\nWorld', [0], be32(2000));
+    const tag = id3Tag(3, [id3Frame(3, 'SYLT', sylt)]);
+    assert.equal((await readMetadata(toFile(tag, audio()))).lyrics, '[00:00.00]<00:00.00>Hel<00:00.50>lo\n[00:02.00]World');
+  });
+
+  it('ignores SYLT with MPEG frame timestamps', async () => {
+    const sylt = bytes([0], 'eng', [1, 1], [0], 'Frame', [0], be32(100));
+    const tag = id3Tag(3, [id3Frame(3, 'SYLT', sylt)]);
+    assert.equal((await readMetadata(toFile(tag, audio()))).lyrics, null);
+  });
+});
+
+describe('readMetadata: ID3v1', () => {
+  it('reads the fixed fields at the end of the file', async () => {
+    const tags = await readMetadata(toFile(audio(), id3v1({ title: 'V1 Title', artist: 'V1 Artist', album: 'V1 Album' })));
+    assert.deepEqual(tags, { title: 'V1 Title', artist: 'V1 Artist', album: 'V1 Album', picture: null, lyrics: null });
+  });
+
+  it('fills only the fields ID3v2 left empty', async () => {
+    const tag = id3Tag(3, [id3Frame(3, 'TIT2', bytes([0], 'V2 Title'))]);
+    const tags = await readMetadata(toFile(tag, audio(), id3v1({ title: 'V1 Title', artist: 'V1 Artist' })));
+    assert.equal(tags.title, 'V2 Title');
+    assert.equal(tags.artist, 'V1 Artist');
+    assert.equal(tags.album, null);
+  });
+});
+
+// --- FLAC ---
+
+const flacBlock = (type, data, isLast = false) => bytes([type | (isLast ? 0x80 : 0)], be24(data.length), data);
+const STREAMINFO = flacBlock(0, new Uint8Array(34));
+
+const vorbisComments = (...comments) => {
+  const vendor = utf8('reference libFLAC');
+  return bytes(le32(vendor.length), vendor, le32(comments.length), ...comments.map((comment) => bytes(le32(utf8(comment).length), utf8(comment))));
+};
+
+const flacPicture = (type, mime, image) => bytes(be32(type), be32(mime.length), mime, be32(4), 'Desc', new Uint8Array(16), be32(image.length), image);
+
+describe('readMetadata: FLAC', () => {
+  it('reads Vorbis comments and the front cover', async () => {
+    const file = toFile(
+      'fLaC',
+      STREAMINFO,
+      flacBlock(4, vorbisComments('TITLE=Flac Title', 'artist=First', 'ARTIST=Second', 'ALBUM=Flac Album', 'LYRICS=[00:01.00]Hi')),
+      flacBlock(6, flacPicture(4, 'image/jpeg', JPEG)),
+      flacBlock(6, flacPicture(3, 'image/png', PNG), true),
+      audio(),
+    );
+    const { picture, ...tags } = await readMetadata(file);
+    assert.deepEqual(tags, { title: 'Flac Title', artist: 'First, Second', album: 'Flac Album', lyrics: '[00:01.00]Hi' });
+    assert.equal(picture.type, 'image/png');
+    assert.deepEqual(await pictureBytes(picture), PNG);
+  });
+
+  it('stops at the last block', async () => {
+    const file = toFile('fLaC', flacBlock(0, new Uint8Array(34), true), flacBlock(4, vorbisComments('TITLE=After the end')));
+    assert.equal((await readMetadata(file)).title, null);
+  });
+
+  it('keeps the tags read before a truncated block', async () => {
+    const picture = flacPicture(3, 'image/png', PNG);
+    const file = toFile('fLaC', STREAMINFO, flacBlock(4, vorbisComments('TITLE=Survivor')), [6], be24(picture.length), picture.subarray(0, 10));
+    const tags = await readMetadata(file);
+    assert.equal(tags.title, 'Survivor');
+    assert.equal(tags.picture, null);
+  });
+});
+
+// --- MP4 ---
+
+const atom = (type, ...children) => {
+  const body = bytes(...children);
+  return bytes(be32(body.length + 8), type, body);
+};
+const dataAtom = (type, value) => atom('data', be32(type), be32(0), value);
+const ilst = (...items) => atom('moov', atom('mvhd', new Uint8Array(8)), atom('udta', atom('meta', be32(0), atom('hdlr', new Uint8Array(8)), atom('ilst', ...items))));
+const FTYP = atom('ftyp', 'M4A ', be32(0));
+
+describe('readMetadata: MP4', () => {
+  const moov = ilst(
+    atom('\xa9nam', dataAtom(1, utf8('Mp4 Title'))),
+    atom('\xa9ART', dataAtom(1, utf8('Mp4 Artist'))),
+    atom('\xa9alb', dataAtom(1, utf8('Mp4 Album'))),
+    atom('\xa9lyr', dataAtom(1, utf8('Some words'))),
+    atom('covr', dataAtom(14, PNG)),
+  );
+
+  it('reads the ilst items and the cover', async () => {
+    const { picture, ...tags } = await readMetadata(toFile(FTYP, moov, atom('mdat', audio())));
+    assert.deepEqual(tags, { title: 'Mp4 Title', artist: 'Mp4 Artist', album: 'Mp4 Album', lyrics: 'Some words' });
+    assert.equal(picture.type, 'image/png');
+    assert.deepEqual(await pictureBytes(picture), PNG);
+  });
+
+  it('finds moov after the media data, past a 64-bit mdat size', async () => {
+    const media = audio(64);
+    const mdat = bytes(be32(1), 'mdat', be32(0), be32(media.length + 16), media);
+    assert.equal((await readMetadata(toFile(FTYP, mdat, moov))).title, 'Mp4 Title');
+  });
+
+  it('reads JPEG covers', async () => {
+    const { picture } = await readMetadata(toFile(FTYP, ilst(atom('covr', dataAtom(13, JPEG)))));
+    assert.equal(picture.type, 'image/jpeg');
+    assert.deepEqual(await pictureBytes(picture), JPEG);
+  });
+
+  it('reads nothing from a file without tags', async () => {
+    const tags = await readMetadata(toFile(FTYP, atom('mdat', audio())));
+    assert.deepEqual(tags, { title: null, artist: null, album: null, picture: null, lyrics: null });
+  });
+});
+
+// --- Damaged files ---
+
+describe('readMetadata: damaged files', () => {
+  const EMPTY = { title: null, artist: null, album: null, picture: null, lyrics: null };
+
+  const damaged = {
+    'an empty file': toFile(),
+    'random bytes': toFile(Uint8Array.from({ length: 300 }, (_, i) => (i * 97 + 13) & 0xff)),
+    'an ID3 header alone': toFile('ID3', [3, 0, 0], synchsafe(4096)),
+    'an ID3 frame larger than the tag': toFile(id3Tag(3, []).subarray(0, 10), 'TIT2', be32(0x7fffffff), [0, 0], [0], 'Cut'),
+    'an APIC cut off in its MIME type': toFile(id3Tag(3, [id3Frame(3, 'APIC', bytes([0], 'image/pn'))])),
+    'a SYLT cut off in a timestamp': toFile(id3Tag(3, [id3Frame(3, 'SYLT', bytes([0], 'eng', [2, 1], [0], 'Hi', [0], [0, 0]))])),
+    'an extended header past the tag': toFile('ID3', [3, 0, 0x40], synchsafe(20), be32(0xffffff), new Uint8Array(16)),
+    'a FLAC marker alone': toFile('fLaC'),
+    'Vorbis comments with a huge vendor length': toFile('fLaC', flacBlock(4, bytes(le32(0xffffff), 'x'), true)),
+    'a Vorbis comment count past the block': toFile('fLaC', flacBlock(4, bytes(le32(0), le32(1000)), true)),
+    'a FLAC picture with a huge MIME length': toFile('fLaC', flacBlock(6, bytes(be32(3), be32(0xffffff)), true)),
+    'an MP4 atom shorter than its header': toFile(FTYP, be32(4), 'moov'),
+    'an MP4 atom larger than the file': toFile(FTYP, atom('moov', be32(0xffffff), 'udta')),
+    'an MP4 with a truncated 64-bit size': toFile(FTYP, be32(1), 'mdat', [0, 0]),
+    'an ilst item without data': toFile(FTYP, ilst(atom('\xa9nam'), atom('covr', be32(0xff), 'data'))),
+    'a FLAC picture cut off in its image': toFile('fLaC', flacBlock(6, flacPicture(3, 'image/png', PNG).subarray(0, 50), true)),
+  };
+
+  for (const [name, file] of Object.entries(damaged)) {
+    it(`reads ${name} as no tags`, async () => {
+      assert.deepEqual({ ...EMPTY, ...(await readMetadata(file)) }, EMPTY);
+    });
+  }
+
+  it('never reads a frame cut off by the end of the file', async () => {
+    const tag = id3Tag(3, [id3Frame(3, 'TIT2', bytes([0], 'Whole title'))]);
+    for (let length = 0; length < tag.length - 32; length++) {
+      const { title } = await readMetadata(toFile(tag.subarray(0, length)));
+      assert.ok(title === null || title === 'Whole title', `read '${title}' from ${length} bytes`);
+    }
+  });
+});
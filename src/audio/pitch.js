@@ -0,0 +1,72 @@
+// --- Pitch Detection ---
+// YIN (de Cheveigné & Kawahara, 2002) on a block of time-domain samples, for monophonic
+// sources: a voice, a single instrument into the mic. Chords and full mixes have no single
+// pitch; see chroma.js for those.
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const MAX_WINDOW = 1024; // Samples compared per lag; more only costs time
+const SILENCE_RMS = 0.01;
+
+// Returns `detect(samples, sampleRate, options)`: the fundamental frequency of `samples` (a
+// Float32Array, -1..1) as `{ frequency, clarity }`, or null when there is no clear pitch.
+// Clarity runs from `1 - threshold` to 1. `minFrequency` needs at least
+// 2 * sampleRate / minFrequency samples to be found. Each detector keeps its own scratch
+// buffer, so calling it every frame doesn't allocate.
+export const createPitchDetector = () => {
+  let diff = new Float32Array(0);
+
+  const detect = (samples, sampleRate, { minFrequency = 50, maxFrequency = 2000, threshold = 0.15 } = {}) => {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+    if (Math.sqrt(sum / samples.length) < SILENCE_RMS) return null;
+
+    const maxLag = Math.min(Math.floor(sampleRate / minFrequency), Math.floor(samples.length / 2));
+    const minLag = Math.max(2, Math.floor(sampleRate / maxFrequency));
+    const window = Math.min(MAX_WINDOW, samples.length - maxLag);
+    if (minLag >= maxLag) return null;
+
+    // Cumulative mean normalized difference: how unlike the signal is to itself `lag` samples on
+    if (diff.length < maxLag + 1) diff = new Float32Array(maxLag + 1);
+    diff[0] = 1;
+    let runningSum = 0;
+    for (let lag = 1; lag <= maxLag; lag++) {
+      let d = 0;
+      for (let i = 0; i < window; i++) {
+        const delta = samples[i] - samples[i + lag];
+        d += delta * delta;
+      }
+      runningSum += d;
+      diff[lag] = runningSum ? (d * lag) / runningSum : 1;
+    }
+
+    // First dip under the threshold, followed down to its bottom. Taking the first rather than
+    // the deepest keeps it from jumping an octave down.
+    let lag = minLag;
+    while (lag < maxLag && diff[lag] >= threshold) lag++;
+    if (lag >= maxLag) return null;
+    while (lag + 1 < maxLag && diff[lag + 1] < diff[lag]) lag++;
+
+    // Parabola through the neighbours for a sub-sample lag
+    const [a, b, c] = [diff[lag - 1], diff[lag], diff[lag + 1]];
+    const curve = a - 2 * b + c;
+    const offset = curve > 0 ? (a - c) / (2 * curve) : 0;
+
+    return { frequency: sampleRate / (lag + offset), clarity: 1 - b };
+  };
+
+  return { detect };
+};
+
+// Nearest equal-tempered note to `frequency`, with `reference` the pitch of A4:
+// `{ name: 'A', octave: 4, cents: -3, midi: 69 }`. Cents run from -50 to +50.
+export const frequencyToNote = (frequency, reference = 440) => {
+  const exact = 69 + 12 * Math.log2(frequency / reference);
+  const midi = Math.round(exact);
+  return {
+    name: NOTE_NAMES[((midi % 12) + 12) % 12],
+    octave: Math.floor(midi / 12) - 1,
+    cents: Math.round((exact - midi) * 100),
+    midi,
+  };
+};
@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { noiseSamples } from './generator.js';
+import { createPitchDetector, frequencyToNote } from './pitch.js';
+
+const SAMPLE_RATE = 48000;
+const LENGTH = 2048; // The tuner's analyser size
+
+const sine = (frequency, amplitude = 0.5, sampleRate = SAMPLE_RATE) =>
+  Float32Array.from({ length: LENGTH }, (_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate + 0.3));
+
+const centsBetween = (a, b) => 1200 * Math.log2(a / b);
+
+describe('createPitchDetector', () => {
+  const { detect } = createPitchDetector();
+
+  for (const frequency of [82.41, 440, 1000]) {
+    it(`finds ${frequency} Hz within a cent`, () => {
+      for (const sampleRate of [44100, SAMPLE_RATE]) {
+        const pitch = detect(sine(frequency, 0.5, sampleRate), sampleRate);
+        const cents = centsBetween(pitch.frequency, frequency);
+        assert.ok(Math.abs(cents) < 1, `${cents.toFixed(2)} cents off at ${sampleRate} Hz`);
+        assert.ok(pitch.clarity > 0.95);
+      }
+    });
+  }
+
+  it('finds the fundamental of a tone with strong harmonics', () => {
+    const tone = Float32Array.from({ length: LENGTH }, (_, i) => {
+      const phase = (2 * Math.PI * 220 * i) / SAMPLE_RATE;
+      return 0.3 * Math.sin(phase) + 0.4 * Math.sin(2 * phase) + 0.2 * Math.sin(3 * phase);
+    });
+    assert.ok(Math.abs(centsBetween(detect(tone, SAMPLE_RATE).frequency, 220)) < 1);
+  });
+
+  it('returns null for silence and near silence', () => {
+    assert.equal(detect(new Float32Array(LENGTH), SAMPLE_RATE), null);
+    assert.equal(detect(sine(440, 0.005), SAMPLE_RATE), null);
+  });
+
+  it('returns null for noise', () => {
+    assert.equal(detect(noiseSamples(LENGTH), SAMPLE_RATE), null);
+  });
+
+  it('returns null below the lowest frequency the samples can hold', () => {
+    // 2048 samples hold two periods of 47 Hz at 48 kHz at most
+    assert.equal(detect(sine(30), SAMPLE_RATE, { minFrequency: 25 }), null);
+  });
+
+  it('gives the same answer call after call, and across sample block sizes', () => {
+    const first = detect(sine(440), SAMPLE_RATE);
+    detect(Float32Array.from({ length: 8192 }, (_, i) => Math.sin(i / 10)), SAMPLE_RATE); // Grows the buffer
+    assert.deepEqual(detect(sine(440), SAMPLE_RATE), first);
+  });
+
+  it('keeps a separate buffer per detector', () => {
+    const other = createPitchDetector();
+    const low = sine(82.41);
+    const expected = detect(low, SAMPLE_RATE);
+    other.detect(sine(1000), SAMPLE_RATE);
+    assert.deepEqual(detect(low, SAMPLE_RATE), expected);
+  });
+});
+
+describe('frequencyToNote', () => {
+  it('names notes and octaves', () => {
+    assert.deepEqual(frequencyToNote(440), { name: 'A', octave: 4, cents: 0, midi: 69 });
+    assert.deepEqual(frequencyToNote(261.626), { name: 'C', octave: 4, cents: 0, midi: 60 });
+    assert.deepEqual(frequencyToNote(82.407), { name: 'E', octave: 2, cents: 0, midi: 40 });
+    assert.deepEqual(frequencyToNote(8.176), { name: 'C', octave: -1, cents: 0, midi: 0 });
+  });
+
+  it('gives the cents off the nearest note', () => {
+    assert.equal(frequencyToNote(440 * 2 ** (10 / 1200)).cents, 10);
+    assert.equal(frequencyToNote(440 * 2 ** (-25 / 1200)).cents, -25);
+  });
+
+  it('switches notes halfway between them', () => {
+    const justBelow = frequencyToNote(440 * 2 ** (49 / 1200));
+    const justAbove = frequencyToNote(440 * 2 ** (51 / 1200));
+    assert.deepEqual([justBelow.name, justBelow.cents], ['A', 49]);
+    assert.deepEqual([justAbove.name, justAbove.cents], ['A#', -49]);
+  });
+
+  it('moves to the next octave at C', () => {
+    const b3 = frequencyToNote(261.626 * 2 ** (-51 / 1200));
+    const c4 = frequencyToNote(261.626 * 2 ** (-49 / 1200));
+    assert.deepEqual([b3.name, b3.octave, b3.cents], ['B', 3, 49]);
+    assert.deepEqual([c4.name, c4.octave, c4.cents], ['C', 4, -49]);
+  });
+
+  it('tunes to a custom reference', () => {
+    assert.deepEqual(frequencyToNote(432, 432), { name: 'A', octave: 4, cents: 0, midi: 69 });
+    assert.equal(frequencyToNote(440, 432).cents, 32);
+    assert.equal(frequencyToNote(415.3, 415.3).name, 'A');
+  });
+});
@@ -0,0 +1,74 @@
+// Queue helpers for file playback. Tracks are plain objects and the play order is a list
+// of track ids, so shuffle, reorder and remove never have to touch the File objects.
+// Tracks from the web (see streams.js) have a `url` instead of a `file`.
+
+export const REPEAT_MODES = ['off', 'all', 'one'];
+
+const AUDIO_EXTENSIONS = /\.(mp3|wav|ogg|oga|opus|flac|m4a|aac|webm|weba)$/i;
+const baseName = (name) => name.replace(/\.[^/.]+$/, '');
+
+let trackCounter = 0;
+
+export const isAudioFile = (file) => file.type.startsWith('audio/') || AUDIO_EXTENSIONS.test(file.name);
+export const isLyricsFile = (file) => /\.lrc$/i.test(file.name);
+
+// The .lrc among `candidates` with the same name as `file` ('song.mp3' -> 'song.lrc'), or null
+export const findLyricsFile = (file, candidates) =>
+  candidates.find((candidate) => baseName(candidate.name).toLowerCase() === baseName(file.name).toLowerCase()) ?? null;
+
+// `lyricsFile` is an optional .lrc that goes with the audio
+export const createTrack = (file, lyricsFile = null) => ({
+  id: `track-${Date.now()}-${trackCounter++}`,
+  file,
+  lyricsFile,
+  name: baseName(file.name),
+});
+
+// `stream` is what resolveStream returns; stations without a title are named by their host
+export const createStreamTrack = ({ url, title, isHls }) => ({
+  id: `track-${Date.now()}-${trackCounter++}`,
+  file: null,
+  lyricsFile: null,
+  url,
+  isHls,
+  name: title ?? new URL(url).host,
+});
+
+// Fisher-Yates shuffle of `ids`, keeping `firstId` (usually the playing track) at the front
+export const shuffleIds = (ids, firstId = null, random = Math.random) => {
+  const rest = ids.filter((id) => id !== firstId);
+  for (let i = rest.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [rest[i], rest[j]] = [rest[j], rest[i]];
+  }
+  return firstId !== null && ids.includes(firstId) ? [firstId, ...rest] : rest;
+};
+
+// Id of the track before/after `currentId` in `order` (direction -1 or 1), or null at the ends.
+// Repeat-all wraps around; repeat-one only affects auto-advance, so it is handled by the caller.
+export const getAdjacentTrackId = (order, currentId, direction, repeatMode = 'off') => {
+  if (!order.length) return null;
+
+  const position = order.indexOf(currentId);
+  if (position === -1) return order[0];
+
+  const next = position + direction;
+  if (next >= 0 && next < order.length) return order[next];
+  if (repeatMode !== 'all') return null;
+  return order[(next + order.length) % order.length];
+};
+
+// Id of the track to play when the playing `removedId` is taken out of `order`: the next one
+// (wrapping around with repeat-all), or null when nothing else is left to play
+export const getIdAfterRemoval = (order, removedId, repeatMode = 'off') => {
+  const next = getAdjacentTrackId(order, removedId, 1, repeatMode);
+  return next === removedId ? null : next;
+};
+
+export const moveItem = (list, from, to) => {
+  if (from === to || from < 0 || to < 0 || from >= list.length || to >= list.length) return list;
+  const result = [...list];
+  const [item] = result.splice(from, 1);
+  result.splice(to, 0, item);
+  return result;
+};
@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getAdjacentTrackId, getIdAfterRemoval, moveItem, shuffleIds } from './playlist.js';
+
+const ORDER = ['a', 'b', 'c', 'd'];
+
+// Deterministic stand-in for Math.random
+const seededRandom = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+
+describe('shuffleIds', () => {
+  it('keeps every id exactly once', () => {
+    const ids = Array.from({ length: 20 }, (_, i) => `t${i}`);
+    assert.deepEqual([...shuffleIds(ids, null, seededRandom(1))].sort(), [...ids].sort());
+  });
+
+  it('puts the first id at the front', () => {
+    for (let seed = 1; seed <= 20; seed++) assert.equal(shuffleIds(ORDER, 'c', seededRandom(seed))[0], 'c');
+  });
+
+  it('ignores a first id that is not in the list', () => {
+    assert.deepEqual([...shuffleIds(ORDER, 'x', seededRandom(1))].sort(), ORDER);
+  });
+
+  it('follows the random source', () => {
+    assert.deepEqual(shuffleIds(ORDER, null, seededRandom(7)), shuffleIds(ORDER, null, seededRandom(7)));
+    // random() always 0: every element swaps with the first, which rotates the list
+    assert.deepEqual(shuffleIds(ORDER, null, () => 0), ['b', 'c', 'd', 'a']);
+  });
+
+  it('leaves the input alone', () => {
+    const ids = [...ORDER];
+    shuffleIds(ids, 'b', seededRandom(3));
+    assert.deepEqual(ids, ORDER);
+  });
+
+  it('handles empty and single lists', () => {
+    assert.deepEqual(shuffleIds([], null), []);
+    assert.deepEqual(shuffleIds(['a'], 'a'), ['a']);
+  });
+});
+
+describe('getAdjacentTrackId', () => {
+  it('steps through the middle of the list in every mode', () => {
+    for (const mode of ['off', 'all', 'one']) {
+      assert.equal(getAdjacentTrackId(ORDER, 'b', 1, mode), 'c');
+      assert.equal(getAdjacentTrackId(ORDER, 'b', -1, mode), 'a');
+    }
+  });
+
+  it('stops at both ends without repeat', () => {
+    assert.equal(getAdjacentTrackId(ORDER, 'd', 1, 'off'), null);
+    assert.equal(getAdjacentTrackId(ORDER, 'a', -1, 'off'), null);
+    assert.equal(getAdjacentTrackId(ORDER, 'd', 1), null);
+  });
+
+  it('wraps around at both ends with repeat-all', () => {
+    assert.equal(getAdjacentTrackId(ORDER, 'd', 1, 'all'), 'a');
+    assert.equal(getAdjacentTrackId(ORDER, 'a', -1, 'all'), 'd');
+  });
+
+  it('stops at both ends with repeat-one, which only applies to auto-advance', () => {
+    assert.equal(getAdjacentTrackId(ORDER, 'd', 1, 'one'), null);
+    assert.equal(getAdjacentTrackId(ORDER, 'a', -1, 'one'), null);
+  });
+
+  it('starts from the top when the current track is not in the list', () => {
+    assert.equal(getAdjacentTrackId(ORDER, null, 1), 'a');
+    assert.equal(getAdjacentTrackId(ORDER, 'x', -1, 'all'), 'a');
+  });
+
+  it('finds nothing in an empty list', () => {
+    assert.equal(getAdjacentTrackId([], 'a', 1, 'all'), null);
+  });
+});
+
+describe('getIdAfterRemoval', () => {
+  it('moves on to the next track', () => {
+    assert.equal(getIdAfterRemoval(ORDER, 'b', 'off'), 'c');
+  });
+
+  it('stops after the last track without repeat', () => {
+    assert.equal(getIdAfterRemoval(ORDER, 'd', 'off'), null);
+    assert.equal(getIdAfterRemoval(ORDER, 'd', 'one'), null);
+  });
+
+  it('wraps to the first track with repeat-all', () => {
+    assert.equal(getIdAfterRemoval(ORDER, 'd', 'all'), 'a');
+  });
+
+  it('stops when the removed track was the only one', () => {
+    assert.equal(getIdAfterRemoval(['a'], 'a', 'all'), null);
+  });
+});
+
+describe('moveItem', () => {
+  it('moves an item down the list', () => {
+    assert.deepEqual(moveItem(ORDER, 0, 2), ['b', 'c', 'a', 'd']);
+  });
+
+  it('moves an item up the list', () => {
+    assert.deepEqual(moveItem(ORDER, 3, 0), ['d', 'a', 'b', 'c']);
+  });
+
+  it('returns a new list and leaves the input alone', () => {
+    const list = [...ORDER];
+    assert.notEqual(moveItem(list, 1, 2), list);
+    assert.deepEqual(list, ORDER);
+  });
+
+  it('returns the same list for no-op and out-of-range moves', () => {
+    for (const [from, to] of [[1, 1], [-1, 2], [0, 4], [4, 0], [2, -1]]) assert.equal(moveItem(ORDER, from, to), ORDER);
+  });
+});
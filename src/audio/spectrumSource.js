@@ -0,0 +1,21 @@
+// A spectrum source is what the analysis engine samples each frame. It mirrors the parts of
+// AnalyserNode the engine needs, so a live analyser and the export's offline analysis (see
+// export/offlineAnalysis.js) are interchangeable:
+//   { sampleRate, fftSize, currentTime, getByteFrequencyData(array), getByteTimeDomainData(array) }
+// A source may also have `channels`: a [left, right] pair of sources with the same shape,
+// for stereo-aware visualizers. Without it the engine treats the signal as mono.
+
+// --- Source: Live AnalyserNode ---
+// `channels` is an optional [left, right] pair of AnalyserNodes (see stereo.js).
+export const createAnalyserSource = (analyzer, channels) => ({
+  sampleRate: analyzer.context.sampleRate,
+  get fftSize() {
+    return analyzer.fftSize;
+  },
+  get currentTime() {
+    return analyzer.context.currentTime;
+  },
+  getByteFrequencyData: (array) => analyzer.getByteFrequencyData(array),
+  getByteTimeDomainData: (array) => analyzer.getByteTimeDomainData(array),
+  channels: channels ? channels.map((node) => createAnalyserSource(node)) : null,
+});
@@ -0,0 +1,22 @@
+// --- Stereo Analysis ---
+// Splits a node's output into left and right AnalyserNodes. Mono inputs (most microphones)
+// are upmixed first, so both channels carry the same signal instead of the right one
+// going silent. The analysers aren't connected onwards: like the main analyser on the
+// mic path, they are pulled by the audio graph on their own.
+export const createStereoAnalysers = (context, input) => {
+  const upmix = context.createGain();
+  upmix.channelCount = 2;
+  upmix.channelCountMode = 'explicit';
+  upmix.channelInterpretation = 'speakers';
+
+  const splitter = context.createChannelSplitter(2);
+  const left = context.createAnalyser();
+  const right = context.createAnalyser();
+
+  input.connect(upmix);
+  upmix.connect(splitter);
+  splitter.connect(left, 0);
+  splitter.connect(right, 1);
+
+  return [left, right];
+};
@@ -0,0 +1,237 @@
+// Internet audio: direct file URLs, Icecast/SHOUTcast radio, HLS and M3U/PLS playlists.
+// Network access goes through `fetchImpl` (fetch by default), so everything here can run
+// against a stub server. Errors thrown from here carry messages fit for the user.
+
+const PLAYLIST_EXTENSIONS = ['m3u', 'm3u8', 'pls'];
+const MAX_PLAYLIST_DEPTH = 3; // Playlists pointing at playlists
+const utf8 = new TextDecoder('utf-8');
+
+const HLS_TYPE = 'application/vnd.apple.mpegurl';
+const SILENT_MESSAGE = "No sound is reaching the visualizer. The server most likely doesn't allow other sites to read its audio (CORS). Try a different stream URL for the same station.";
+const unreachableMessage = (url) =>
+  `Couldn't load audio from ${new URL(url).host}. The server is either unreachable or doesn't allow other sites to read its audio (CORS), which the visualizer needs.`;
+
+const extensionOf = (url) => url.pathname.split('.').pop().toLowerCase();
+
+// Absolute http(s) URL for `entry` relative to `baseUrl`, or null
+const toStreamUrl = (entry, baseUrl) => {
+  try {
+    const url = new URL(entry, baseUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+// --- Playlists ---
+
+// HLS media/master playlists look like M3U but describe segments, not stations
+export const isHlsPlaylist = (text) => /^#EXT-X-/m.test(text);
+
+const parseM3u = (lines, baseUrl) => {
+  const entries = [];
+  let title = null;
+  for (const line of lines) {
+    if (line.startsWith('#EXTINF:')) title = line.slice(line.indexOf(',') + 1).trim() || null;
+    else if (!line.startsWith('#')) {
+      entries.push({ url: toStreamUrl(line, baseUrl), title });
+      title = null;
+    }
+  }
+  return entries;
+};
+
+// [playlist] / File1=... / Title1=... (numbered, in any order)
+const parsePls = (lines, baseUrl) => {
+  const numbered = {};
+  for (const line of lines) {
+    const match = /^(file|title)(\d+)=(.*)$/i.exec(line);
+    if (match) (numbered[match[2]] ??= {})[match[1].toLowerCase()] = match[3].trim();
+  }
+  return Object.keys(numbered)
+    .sort((a, b) => a - b)
+    .map((n) => ({ url: numbered[n].file ? toStreamUrl(numbered[n].file, baseUrl) : null, title: numbered[n].title || null }));
+};
+
+// Station entries of an M3U or PLS playlist: `[{ url, title }]`, relative URLs resolved
+// against `baseUrl`. Entries without a usable http(s) URL are dropped.
+export const parsePlaylist = (text, baseUrl) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  const entries = /^\[playlist\]$/i.test(lines[0] ?? '') ? parsePls(lines, baseUrl) : parseM3u(lines, baseUrl);
+  return entries.filter((entry) => entry.url);
+};
+
+const fetchOrThrow = async (url, fetchImpl, options) => {
+  let response;
+  try {
+    response = await fetchImpl(url, options);
+  } catch {
+    throw new Error(unreachableMessage(url));
+  }
+  if (!response.ok) throw new Error(`The server answered with an error (HTTP ${response.status}).`);
+  return response;
+};
+
+// Turns what the user typed into something the audio element can play: playlists are
+// fetched and followed to their first station. Resolves to `{ url, title, isHls }`.
+export const resolveStream = async (input, { fetchImpl = fetch, depth = 0 } = {}) => {
+  const url = toStreamUrl(String(input).trim());
+  if (!url) throw new Error('Enter a full http:// or https:// address.');
+  const parsed = new URL(url);
+  if (!PLAYLIST_EXTENSIONS.includes(extensionOf(parsed))) return { url, title: null, isHls: false };
+
+  const text = await (await fetchOrThrow(url, fetchImpl)).text();
+  if (isHlsPlaylist(text)) return { url, title: null, isHls: true };
+
+  const [first] = parsePlaylist(text, url);
+  if (!first) throw new Error('The playlist has no streams in it.');
+  if (depth >= MAX_PLAYLIST_DEPTH) throw new Error('The playlist only points at more playlists.');
+  const resolved = await resolveStream(first.url, { fetchImpl, depth: depth + 1 });
+  return { ...resolved, title: resolved.title ?? first.title };
+};
+
+// Plays an HLS stream on `audio`: natively where the browser can (Safari, some mobile
+// browsers), otherwise through hls.js, which is only downloaded when first needed.
+// Resolves to the hls.js instance (destroy it before reusing the element) or null.
+// `onFatalError` is called when hls.js gives up on the stream.
+export const attachHls = async (audio, url, onFatalError) => {
+  if (audio.canPlayType(HLS_TYPE)) {
+    audio.src = url;
+    return null;
+  }
+
+  const { default: Hls } = await import('hls.js');
+  if (!Hls.isSupported()) throw new Error("This browser can't play HLS streams.");
+  // Live streams report an infinite duration, as they do when played natively, so the player
+  // treats them as radio (no seek bar, speed or loop); by default hls.js reports a sliding window
+  const hls = new Hls({ liveDurationInfinity: true });
+  hls.on(Hls.Events.ERROR, (event, data) => {
+    if (data.fatal) onFatalError();
+  });
+  hls.loadSource(url);
+  hls.attachMedia(audio);
+  return hls;
+};
+
+// --- Errors ---
+
+// Works out why the audio element failed to load `url`: unreachable or blocked by CORS, an
+// HTTP error, or a format the browser can't play. Only waits for the response headers.
+export const describeStreamError = async (url, { fetchImpl = fetch } = {}) => {
+  const controller = new AbortController();
+  try {
+    const response = await fetchOrThrow(url, fetchImpl, { signal: controller.signal });
+    const type = response.headers.get('content-type');
+    return `This browser can't play the stream${type ? ` (${type})` : ''}.`;
+  } catch (err) {
+    return err.message;
+  } finally {
+    controller.abort(); // Never download the stream itself
+  }
+};
+
+// Cross-origin audio that slipped past the CORS check (some redirects do) reaches the audio
+// graph as pure silence. Calls `onSilent` once `audio` has played for `seconds` without the
+// analyser seeing a single sample; stops watching as soon as there is signal.
+// Returns a function that stops the watch.
+export const watchForSilence = ({ analyser, audio, onSilent, seconds = 6 }) => {
+  let silentFor = 0;
+  let lastTime = audio.currentTime;
+
+  const timer = setInterval(() => {
+    const samples = new Uint8Array(analyser.fftSize);
+    analyser.getByteTimeDomainData(samples);
+    if (samples.some((value) => value !== 128)) {
+      clearInterval(timer);
+      return;
+    }
+
+    const isAdvancing = audio.currentTime > lastTime;
+    lastTime = audio.currentTime;
+    silentFor = isAdvancing ? silentFor + 1 : 0;
+    if (silentFor >= seconds) {
+      clearInterval(timer);
+      onSilent(SILENT_MESSAGE);
+    }
+  }, 1000);
+
+  return () => clearInterval(timer);
+};
+
+// --- ICY Metadata ---
+
+// `StreamTitle='Artist - Title';StreamUrl='...';` -> { StreamTitle, StreamUrl }
+export const parseIcyMetadata = (text) => {
+  const fields = {};
+  for (const [, key, value] of text.replace(/\0+$/, '').matchAll(/(\w+)='(.*?)';/g)) fields[key] = value;
+  return fields;
+};
+
+// Splits an ICY response body into audio and metadata: after every `metaint` audio bytes comes
+// one length byte (times 16) and then that much metadata text. Feed it the body's chunks.
+export const createIcyParser = (metaint, onMetadata) => {
+  let audioLeft = metaint;
+  let metadata = null; // Buffer for the block being read
+  let filled = 0;
+
+  const feed = (chunk) => {
+    let i = 0;
+    while (i < chunk.length) {
+      if (audioLeft > 0) {
+        const skip = Math.min(audioLeft, chunk.length - i);
+        audioLeft -= skip;
+        i += skip;
+      } else if (!metadata) {
+        const length = chunk[i++] * 16;
+        if (length) {
+          metadata = new Uint8Array(length);
+          filled = 0;
+        } else {
+          audioLeft = metaint; // No change since the last block
+        }
+      } else {
+        const take = Math.min(metadata.length - filled, chunk.length - i);
+        metadata.set(chunk.subarray(i, i + take), filled);
+        filled += take;
+        i += take;
+        if (filled === metadata.length) {
+          onMetadata(parseIcyMetadata(utf8.decode(metadata)));
+          metadata = null;
+          audioLeft = metaint;
+        }
+      }
+    }
+  };
+
+  return { feed };
+};
+
+// Reads the now-playing titles of an Icecast/SHOUTcast stream, calling `onTitle` with each.
+// This is a second connection next to the audio element's (which can't ask for metadata),
+// so it costs the stream's bandwidth again. Resolves to false when the server doesn't send
+// metadata (or won't let us ask for it across origins); runs until `signal` aborts otherwise.
+export const watchIcyTitles = async (url, { onTitle, signal, fetchImpl = fetch }) => {
+  let response;
+  try {
+    response = await fetchImpl(url, { headers: { 'Icy-MetaData': '1' }, signal });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    return false;
+  }
+
+  const metaint = Number(response.headers.get('icy-metaint'));
+  if (!response.ok || !metaint || !response.body) {
+    response.body?.cancel();
+    return false;
+  }
+
+  const parser = createIcyParser(metaint, (fields) => {
+    if (fields.StreamTitle) onTitle(fields.StreamTitle);
+  });
+  const reader = response.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return true;
+    parser.feed(value);
+  }
+};
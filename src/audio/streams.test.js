@@ -0,0 +1,203 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { after, before, describe, it } from 'node:test';
+import { createIcyParser, describeStreamError, parseIcyMetadata, parsePlaylist, resolveStream, watchIcyTitles } from './streams.js';
+
+// --- Stub server ---
+// Routes answer with `{ status, type, body, cors }`. Like a real radio server, only
+// routes marked `cors` send Access-Control-Allow-Origin; corsFetch below plays the browser.
+const routes = {
+  '/station.mp3': { type: 'audio/mpeg', body: 'ID3', cors: true },
+  '/radio.m3u': { type: 'audio/x-mpegurl', body: '#EXTM3U\n#EXTINF:-1,Stub FM\nstation.mp3\n', cors: true },
+  '/radio.pls': {
+    type: 'audio/x-scpls',
+    body: '[playlist]\r\nFile2=http://example.invalid/backup.mp3\r\nTitle1=Stub FM (PLS)\r\nFile1=radio.m3u\r\nNumberOfEntries=2\r\n',
+    cors: true,
+  },
+  '/untitled.pls': { type: 'audio/x-scpls', body: '[playlist]\nFile1=station.mp3\nTitle1=From PLS\n', cors: true },
+  '/live.m3u8': { type: 'application/vnd.apple.mpegurl', body: '#EXTM3U\n#EXT-X-TARGETDURATION:6\n#EXTINF:6,\nsegment0.aac\n', cors: true },
+  '/stations.m3u8': { type: 'audio/x-mpegurl', body: '﻿#EXTM3U\nstation.mp3\n', cors: true },
+  '/empty.m3u': { type: 'audio/x-mpegurl', body: '#EXTM3U\n# nothing here\nftp://example.invalid/old.mp3\n', cors: true },
+  '/loop.m3u': { type: 'audio/x-mpegurl', body: 'loop.m3u\n', cors: true },
+  '/missing.m3u': { status: 404, body: 'Not Found', cors: true },
+  '/private.m3u': { type: 'audio/x-mpegurl', body: 'station.mp3\n' },
+  '/video.webm': { type: 'video/x-unknown', body: 'not audio', cors: true },
+  '/gone.mp3': { status: 404, body: 'Not Found', cors: true },
+  '/blocked.mp3': { type: 'audio/mpeg', body: 'ID3' },
+};
+
+const METAINT = 16;
+
+// ICY body: `METAINT` audio bytes, then a length byte (x16) and the padded metadata block
+const icyBlock = (text) => {
+  const bytes = Buffer.from(text, 'utf8');
+  const length = Math.ceil(bytes.length / 16);
+  return Buffer.concat([Buffer.from([length]), bytes, Buffer.alloc(length * 16 - bytes.length)]);
+};
+const audioBytes = () => Buffer.alloc(METAINT, 0xff);
+const icyBody = Buffer.concat([
+  audioBytes(), icyBlock("StreamTitle='Artist - First Song';StreamUrl='';"),
+  audioBytes(), Buffer.from([0]), // No change
+  audioBytes(), icyBlock("StreamTitle='Artist - Second Song';"),
+  audioBytes(),
+]);
+
+let server;
+let base;
+
+before(async () => {
+  server = createServer((request, response) => {
+    const path = new URL(request.url, 'http://stub').pathname;
+
+    if (path === '/icy.mp3') {
+      const wantsMetadata = request.headers['icy-metadata'] === '1';
+      response.writeHead(200, {
+        'content-type': 'audio/mpeg',
+        'access-control-allow-origin': '*',
+        ...(wantsMetadata && { 'icy-metaint': String(METAINT) }),
+      });
+      // Split mid-block, like a network would
+      const body = wantsMetadata ? icyBody : Buffer.concat([audioBytes(), audioBytes()]);
+      response.write(body.subarray(0, 21));
+      response.end(body.subarray(21));
+      return;
+    }
+
+    const route = routes[path] ?? { status: 404, body: 'Not Found', cors: true };
+    response.writeHead(route.status ?? 200, {
+      ...(route.type && { 'content-type': route.type }),
+      ...(route.cors && { 'access-control-allow-origin': '*' }),
+    });
+    response.end(route.body);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+// Node's fetch has no same-origin policy, so this applies the browser's: a cross-origin
+// response without Access-Control-Allow-Origin rejects like a network error
+const corsFetch = async (url, options) => {
+  const response = await fetch(url, options);
+  if (!response.headers.get('access-control-allow-origin')) {
+    await response.body?.cancel();
+    throw new TypeError('Failed to fetch');
+  }
+  return response;
+};
+
+describe('parsePlaylist', () => {
+  it('reads M3U entries with their #EXTINF titles', () => {
+    const entries = parsePlaylist('#EXTM3U\n#EXTINF:-1,One\nhttp://a.test/1\nhttp://a.test/2\n', 'http://a.test/list.m3u');
+    assert.deepEqual(entries, [{ url: 'http://a.test/1', title: 'One' }, { url: 'http://a.test/2', title: null }]);
+  });
+
+  it('reads numbered PLS entries in order', () => {
+    const entries = parsePlaylist('[playlist]\nFile2=b.mp3\nFile1=a.mp3\nTitle1=A\n', 'http://a.test/dir/list.pls');
+    assert.deepEqual(entries, [{ url: 'http://a.test/dir/a.mp3', title: 'A' }, { url: 'http://a.test/dir/b.mp3', title: null }]);
+  });
+
+  it('drops entries without an http(s) URL', () => {
+    assert.deepEqual(parsePlaylist('ftp://a.test/x.mp3\nfile:///x.mp3\n', 'http://a.test/'), []);
+  });
+});
+
+describe('resolveStream', () => {
+  const resolve = (path) => resolveStream(`${base}${path}`, { fetchImpl: corsFetch });
+
+  it('passes plain stream URLs through without fetching', async () => {
+    let fetched = false;
+    const result = await resolveStream(`${base}/station.mp3`, { fetchImpl: () => { fetched = true; } });
+    assert.deepEqual(result, { url: `${base}/station.mp3`, title: null, isHls: false });
+    assert.equal(fetched, false);
+  });
+
+  it('follows an M3U to its first station', async () => {
+    assert.deepEqual(await resolve('/radio.m3u'), { url: `${base}/station.mp3`, title: 'Stub FM', isHls: false });
+  });
+
+  it('follows a PLS through an M3U, keeping the nearest title', async () => {
+    assert.deepEqual(await resolve('/radio.pls'), { url: `${base}/station.mp3`, title: 'Stub FM', isHls: false });
+    assert.deepEqual(await resolve('/untitled.pls'), { url: `${base}/station.mp3`, title: 'From PLS', isHls: false });
+  });
+
+  it('hands HLS playlists to the player', async () => {
+    assert.deepEqual(await resolve('/live.m3u8'), { url: `${base}/live.m3u8`, title: null, isHls: true });
+  });
+
+  it('treats an .m3u8 without HLS tags as a station list', async () => {
+    assert.deepEqual(await resolve('/stations.m3u8'), { url: `${base}/station.mp3`, title: null, isHls: false });
+  });
+
+  it('rejects what is not a web address', async () => {
+    await assert.rejects(resolveStream('radio.example'), /full http:\/\/ or https:\/\//);
+    await assert.rejects(resolveStream('ftp://example.com/radio.mp3'), /full http:\/\/ or https:\/\//);
+  });
+
+  it('rejects empty playlists and playlists that only point at playlists', async () => {
+    await assert.rejects(resolve('/empty.m3u'), /no streams/);
+    await assert.rejects(resolve('/loop.m3u'), /only points at more playlists/);
+  });
+
+  it('reports HTTP errors', async () => {
+    await assert.rejects(resolve('/missing.m3u'), /HTTP 404/);
+  });
+
+  it('reports playlists the browser may not read (CORS)', async () => {
+    await assert.rejects(resolve('/private.m3u'), /doesn't allow other sites to read its audio \(CORS\)/);
+  });
+
+  it('reports unreachable servers', async () => {
+    const closed = createServer();
+    await new Promise((done) => closed.listen(0, '127.0.0.1', done));
+    const { port } = closed.address();
+    await new Promise((done) => closed.close(done));
+    await assert.rejects(resolveStream(`http://127.0.0.1:${port}/radio.m3u`), /Couldn't load audio from 127\.0\.0\.1/);
+  });
+});
+
+describe('describeStreamError', () => {
+  const describeError = (path) => describeStreamError(`${base}${path}`, { fetchImpl: corsFetch });
+
+  it('names the type the browser could not play', async () => {
+    assert.equal(await describeError('/video.webm'), "This browser can't play the stream (video/x-unknown).");
+  });
+
+  it('reports HTTP errors', async () => {
+    assert.equal(await describeError('/gone.mp3'), 'The server answered with an error (HTTP 404).');
+  });
+
+  it('reports streams blocked by CORS', async () => {
+    assert.match(await describeError('/blocked.mp3'), /^Couldn't load audio from 127\.0\.0\.1.*\(CORS\)/);
+  });
+});
+
+describe('ICY metadata', () => {
+  it('parses the metadata fields and ignores the padding', () => {
+    assert.deepEqual(parseIcyMetadata("StreamTitle='A - B';StreamUrl='http://x';\0\0\0"), { StreamTitle: 'A - B', StreamUrl: 'http://x' });
+  });
+
+  it('finds the blocks in a body fed in odd-sized chunks', () => {
+    const blocks = [];
+    const parser = createIcyParser(METAINT, (fields) => blocks.push(fields.StreamTitle));
+    for (let i = 0; i < icyBody.length; i += 7) parser.feed(icyBody.subarray(i, i + 7));
+    assert.deepEqual(blocks, ['Artist - First Song', 'Artist - Second Song']);
+  });
+
+  it('reads the titles from a server that sends metadata', async () => {
+    const titles = [];
+    const result = await watchIcyTitles(`${base}/icy.mp3`, { onTitle: (title) => titles.push(title), fetchImpl: corsFetch });
+    assert.equal(result, true);
+    assert.deepEqual(titles, ['Artist - First Song', 'Artist - Second Song']);
+  });
+
+  it('gives up on servers without metadata', async () => {
+    const noMetadata = (url, options) => corsFetch(url, { ...options, headers: {} });
+    assert.equal(await watchIcyTitles(`${base}/icy.mp3`, { onTitle: () => {}, fetchImpl: noMetadata }), false);
+  });
+
+  it('gives up when the browser may not read the stream (CORS)', async () => {
+    assert.equal(await watchIcyTitles(`${base}/blocked.mp3`, { onTitle: () => {}, fetchImpl: corsFetch }), false);
+  });
+});
@@ -0,0 +1,12 @@
+import { useContext } from 'react';
+import { AudioAnalysisContext } from './AudioAnalysisContext';
+
+// Returns the shared analysis frame (buffers, bands, levels), or null when no source is active.
+// The frame object is mutated in place every tick, so read it inside useFrame rather than render.
+export const useAudioAnalysis = () => {
+  const engine = useContext(AudioAnalysisContext);
+  return engine ? engine.frame : null;
+};
+
+// Returns the engine itself, for consumers that need `subscribe`, `onBeat` or the spectrum source.
+export const useAnalysisEngine = () => useContext(AudioAnalysisContext);
@@ -0,0 +1,15 @@
+import { useEffect } from 'react';
+import { useLatest } from '../utils/useLatest';
+import { useAnalysisEngine } from './useAudioAnalysis';
+
+// Calls `handler(event)` for every detected beat. The latest handler is always used,
+// so callers can pass an inline function without resubscribing each render.
+export const useBeat = (handler) => {
+  const engine = useAnalysisEngine();
+  const handlerRef = useLatest(handler);
+
+  useEffect(() => {
+    if (!engine) return undefined;
+    return engine.onBeat((event) => handlerRef.current(event));
+  }, [engine, handlerRef]);
+};
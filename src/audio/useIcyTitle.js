@@ -0,0 +1,24 @@
+import { useEffect, useState } from 'react';
+import { watchIcyTitles } from './streams';
+
+// --- Hook: ICY Stream Title ---
+// Now-playing title of an Icecast/SHOUTcast stream at `url` (see watchIcyTitles), or null
+// until the station sends one. Pass null to stop listening, e.g. while paused: the titles
+// come over a second connection that downloads the stream again.
+export const useIcyTitle = (url) => {
+  const [result, setResult] = useState({ url: null, title: null });
+
+  useEffect(() => {
+    if (!url) return undefined;
+    const controller = new AbortController();
+
+    watchIcyTitles(url, { signal: controller.signal, onTitle: (title) => setResult({ url, title }) })
+      .catch((err) => {
+        if (!controller.signal.aborted) console.warn('Could not read stream titles:', err);
+      });
+
+    return () => controller.abort();
+  }, [url]);
+
+  return url && result.url === url ? result.title : null;
+};
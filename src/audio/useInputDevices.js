@@ -0,0 +1,47 @@
+import { useCallback, useEffect, useState } from 'react';
+
+const STORAGE_KEY = 'sonic-waves:input-device';
+
+const loadDeviceId = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY) ?? '';
+  } catch {
+    return '';
+  }
+};
+
+// --- Hook: Audio Input Devices ---
+// The audio inputs from enumerateDevices, kept up to date as devices are plugged in and out.
+// `deviceId` is the chosen one ('' for the system default) and persists in localStorage; it
+// reads as '' while the chosen device is missing. Labels stay empty until the page has had
+// microphone permission, so call `refresh` after getUserMedia succeeds.
+export const useInputDevices = () => {
+  const [devices, setDevices] = useState([]);
+  const [selectedId, setSelectedId] = useState(loadDeviceId);
+
+  const refresh = useCallback(() => {
+    navigator.mediaDevices?.enumerateDevices()
+      // Chrome lists the default device a second time under the id 'default'
+      .then((list) => setDevices(list.filter((device) => device.kind === 'audioinput' && device.deviceId && device.deviceId !== 'default')))
+      .catch((err) => console.warn('Could not list audio inputs:', err));
+  }, []);
+
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices) return undefined;
+    refresh();
+    mediaDevices.addEventListener('devicechange', refresh);
+    return () => mediaDevices.removeEventListener('devicechange', refresh);
+  }, [refresh]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, selectedId);
+    } catch (err) {
+      console.warn('Could not save input device:', err);
+    }
+  }, [selectedId]);
+
+  const deviceId = devices.some((device) => device.deviceId === selectedId) ? selectedId : '';
+  return { devices, deviceId, selectDevice: setSelectedId, refresh };
+};
@@ -0,0 +1,34 @@
+import { useEffect, useMemo, useState } from 'react';
+import { parseLrc } from './lyrics';
+
+// --- Hook: Lyrics ---
+// Parsed lyrics (see lyrics.js) for a track: its .lrc `file` when there is one, otherwise the
+// `embedded` lyrics text from its tags. Returns null when neither has any timed lines.
+export const useLyrics = (file, embedded) => {
+  const [loaded, setLoaded] = useState({ file: null, text: null });
+
+  useEffect(() => {
+    if (!file) return undefined;
+    let cancelled = false;
+
+    file.text()
+      .then((text) => {
+        if (!cancelled) setLoaded({ file, text });
+      })
+      .catch((err) => {
+        console.warn('Could not read lyrics file:', err);
+        if (!cancelled) setLoaded({ file, text: null });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  const text = file ? (loaded.file === file ? loaded.text : null) : embedded;
+  return useMemo(() => {
+    if (!text) return null;
+    const lyrics = parseLrc(text);
+    return lyrics.lines.length ? lyrics : null;
+  }, [text]);
+};
@@ -0,0 +1,60 @@
+import { useEffect } from 'react';
+import { useLatest } from '../utils/useLatest';
+
+const isSupported = typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+
+// --- Hook: Media Session ---
+// Publishes the playing track to the OS (lock screen, notification and media overlays) and
+// routes hardware media keys and those controls back into the app.
+// `track` is `{ title, artist, album, artworkUrl }`, or null when there is nothing to control.
+// `position` is `{ duration, currentTime, playbackRate }`. `actions` maps Media Session action
+// names ('play', 'seekto', 'nexttrack', ...) to handlers; actions left out are unregistered.
+export const useMediaSession = ({ track, isPlaying, position, actions }) => {
+  const { title, artist, album, artworkUrl } = track ?? {};
+  const hasTrack = Boolean(track);
+  const { duration, currentTime, playbackRate } = position;
+
+  // Handlers change every render; the registered callbacks call the latest ones
+  const actionsRef = useLatest(actions);
+
+  const actionNames = Object.keys(actions).join();
+  useEffect(() => {
+    if (!isSupported || !actionNames) return undefined;
+    const names = actionNames.split(',');
+
+    const register = (name, handler) => {
+      try {
+        navigator.mediaSession.setActionHandler(name, handler);
+      } catch {
+        // This browser doesn't know the action
+      }
+    };
+    names.forEach((name) => register(name, (details) => actionsRef.current[name]?.(details)));
+    return () => names.forEach((name) => register(name, null));
+  }, [actionNames, actionsRef]);
+
+  useEffect(() => {
+    if (!isSupported) return;
+    navigator.mediaSession.metadata = hasTrack
+      ? new MediaMetadata({ title, artist: artist ?? '', album: album ?? '', artwork: artworkUrl ? [{ src: artworkUrl }] : [] })
+      : null;
+  }, [hasTrack, title, artist, album, artworkUrl]);
+
+  useEffect(() => {
+    if (!isSupported) return;
+    navigator.mediaSession.playbackState = !hasTrack ? 'none' : isPlaying ? 'playing' : 'paused';
+  }, [hasTrack, isPlaying]);
+
+  useEffect(() => {
+    if (!isSupported || !navigator.mediaSession.setPositionState) return;
+    try {
+      if (hasTrack && Number.isFinite(duration) && duration > 0) {
+        navigator.mediaSession.setPositionState({ duration, playbackRate, position: Math.min(currentTime, duration) });
+      } else {
+        navigator.mediaSession.setPositionState(); // Clears it
+      }
+    } catch (err) {
+      console.warn('Could not update media position:', err);
+    }
+  }, [hasTrack, duration, currentTime, playbackRate]);
+};
@@ -0,0 +1,115 @@
+import { useEffect, useState } from 'react';
+
+const NO_LOOP = { start: null, end: null };
+
+// --- Hook: Playback ---
+// Volume, speed, position and A-B loop of file playback. `audioRef` holds the playing <audio>
+// element and `outputGainRef` the gain node after the analyser, so volume never changes the
+// visuals; either is null while there is none. Hand each new element to `attach` and call
+// `resetTrack` when it gets a new src.
+export const usePlayback = ({ audioRef, outputGainRef, isPlaying }) => {
+  const [duration, setDuration] = useState(0);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [volume, setVolume] = useState(1); // 0-1
+  const [isMuted, setIsMuted] = useState(false);
+  const [playbackRate, setPlaybackRate] = useState(1); // Pitch preserved
+  const [loop, setLoop] = useState(NO_LOOP); // A-B repeat points (seconds)
+  const isLive = duration === Infinity; // Radio: no end, so no seeking, speed or loops
+  const gain = isMuted ? 0 : volume; // For new output gain nodes
+
+  useEffect(() => {
+    if (outputGainRef.current) outputGainRef.current.gain.value = gain;
+  }, [gain, outputGainRef]);
+
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.defaultPlaybackRate = playbackRate;
+    audio.playbackRate = playbackRate;
+  }, [playbackRate, audioRef]);
+
+  // Jump back from B to A. Checked every frame, as `timeupdate` only fires a few times a second
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio || !isPlaying || loop.start === null || loop.end === null) return undefined;
+
+    let frameId;
+    const tick = () => {
+      if (audio.currentTime >= loop.end) audio.currentTime = loop.start;
+      frameId = requestAnimationFrame(tick);
+    };
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [isPlaying, loop, audioRef]);
+
+  const attach = (audio) => {
+    audio.preservesPitch = true;
+    audio.defaultPlaybackRate = playbackRate; // `playbackRate` resets to this on every new src
+    audio.playbackRate = playbackRate;
+    audio.addEventListener('loadedmetadata', () => {
+      setDuration(audio.duration);
+      if (audio.duration === Infinity) audio.playbackRate = 1; // Live streams can't run ahead
+    });
+    audio.addEventListener('timeupdate', () => setCurrentTime(audio.currentTime));
+  };
+
+  const resetTrack = () => {
+    setCurrentTime(0);
+    setDuration(0);
+    setLoop(NO_LOOP);
+  };
+
+  const seek = (time) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.currentTime = time;
+    setCurrentTime(time);
+  };
+
+  const seekBy = (seconds) => {
+    const audio = audioRef.current;
+    if (!audio || !duration || isLive) return;
+    seek(Math.min(duration, Math.max(0, audio.currentTime + seconds)));
+  };
+
+  const changeVolume = (next) => {
+    setVolume(next);
+    setIsMuted(false);
+  };
+
+  // Marks A or B at the current position. Returns false when B would not come after A
+  const setLoopPoint = (point) => {
+    const audio = audioRef.current;
+    if (!audio) return true;
+    const time = audio.currentTime;
+
+    if (point === 'start') {
+      setLoop((prev) => ({ start: time, end: prev.end !== null && prev.end > time ? prev.end : null }));
+    } else if (loop.start !== null && time > loop.start) {
+      setLoop((prev) => ({ ...prev, end: time }));
+    } else {
+      return false;
+    }
+    return true;
+  };
+
+  return {
+    duration,
+    currentTime,
+    isLive,
+    volume,
+    isMuted,
+    gain,
+    playbackRate,
+    loop,
+    attach,
+    resetTrack,
+    seek,
+    seekBy,
+    changeVolume,
+    toggleMute: () => setIsMuted((muted) => !muted),
+    setPlaybackRate,
+    setLoopPoint,
+    clearLoop: () => setLoop(NO_LOOP),
+  };
+};
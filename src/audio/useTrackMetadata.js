@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+import { readMetadata } from './metadata';
+
+// --- Hook: Track Metadata ---
+// Reads `file`'s tags in the background (see metadata.js). Returns
+// `{ title, artist, album, artworkUrl }`, or null while reading, when there is no file or
+// when the tags can't be read. `artworkUrl` is an object URL, revoked when the file changes.
+export const useTrackMetadata = (file) => {
+  const [result, setResult] = useState({ file: null, metadata: null });
+
+  useEffect(() => {
+    if (!file) return undefined;
+    let cancelled = false;
+    let artworkUrl = null;
+
+    readMetadata(file)
+      .then(({ picture, ...tags }) => {
+        if (cancelled) return;
+        artworkUrl = picture ? URL.createObjectURL(picture) : null;
+        setResult({ file, metadata: { ...tags, artworkUrl } });
+      })
+      .catch((err) => {
+        console.warn('Could not read track tags:', err);
+        if (!cancelled) setResult({ file, metadata: null });
+      });
+
+    return () => {
+      cancelled = true;
+      if (artworkUrl) URL.revokeObjectURL(artworkUrl);
+    };
+  }, [file]);
+
+  // Ignore a result that belongs to the previous file
+  return result.file === file ? result.metadata : null;
+};
@@ -0,0 +1,31 @@
+import { useEffect, useState } from 'react';
+import { decodeAudioFile } from '../export/offlineAnalysis';
+import { computeWaveformPeaks, WAVEFORM_SAMPLE_RATE } from './waveform';
+
+// --- Hook: Waveform Overview ---
+// Decodes `file` in the background and returns its peaks (see waveform.js), or null while
+// decoding, when there is no file or when it can't be decoded.
+export const useWaveform = (file) => {
+  const [result, setResult] = useState({ file: null, peaks: null });
+
+  useEffect(() => {
+    if (!file) return undefined;
+    let cancelled = false;
+
+    decodeAudioFile(file, WAVEFORM_SAMPLE_RATE)
+      .then((audioBuffer) => {
+        if (!cancelled) setResult({ file, peaks: computeWaveformPeaks(audioBuffer) });
+      })
+      .catch((err) => {
+        console.warn('Could not build waveform:', err);
+        if (!cancelled) setResult({ file, peaks: null });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  // Ignore a result that belongs to the previous file
+  return result.file === file ? result.peaks : null;
+};
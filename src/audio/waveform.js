@@ -0,0 +1,27 @@
+// Waveform overview for the seek bar: the loudest sample in each of `bucketCount` slices of
+// the track, across all channels, normalised so the loudest slice is 1.
+
+// Peaks only need the envelope, so files are decoded at a low rate to save time and memory
+export const WAVEFORM_SAMPLE_RATE = 8000;
+
+export const computeWaveformPeaks = (audioBuffer, bucketCount = 400) => {
+  const peaks = new Float32Array(bucketCount);
+  const { length, numberOfChannels } = audioBuffer;
+  const bucketSize = length / bucketCount;
+
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let b = 0; b < bucketCount; b++) {
+      const end = Math.min(length, Math.floor((b + 1) * bucketSize));
+      for (let i = Math.floor(b * bucketSize); i < end; i++) {
+        const magnitude = Math.abs(data[i]);
+        if (magnitude > peaks[b]) peaks[b] = magnitude;
+      }
+    }
+  }
+
+  let max = 0;
+  for (const peak of peaks) max = Math.max(max, peak);
+  if (max > 0) for (let b = 0; b < bucketCount; b++) peaks[b] /= max;
+  return peaks;
+};
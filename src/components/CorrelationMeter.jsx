@@ -0,0 +1,43 @@
+import { useEffect, useRef } from 'react';
+
+// --- Component: Phase Correlation Meter ---
+// Follows the correlation the analysis engine computes every frame (see audio/analysisEngine.js)
+// and moves the marker through refs, so the player bar doesn't re-render 60 times a second.
+// +1 is mono, around 0 is wide stereo, below 0 the channels are out of phase.
+const CorrelationMeter = ({ engine }) => {
+  const meterRef = useRef(null);
+  const markerRef = useRef(null);
+
+  useEffect(() => {
+    if (!engine) return undefined;
+    let value = 0;
+
+    return engine.subscribe((frame) => {
+      value += (frame.correlation - value) * 0.1;
+      markerRef.current.style.left = `${(value + 1) * 50}%`;
+      markerRef.current.style.backgroundColor = value < 0 ? '#f87171' : ''; // Red when out of phase
+      meterRef.current.setAttribute('aria-valuenow', value.toFixed(2));
+    });
+  }, [engine]);
+
+  if (!engine) return null;
+
+  return (
+    <div className="flex items-center gap-2" title="Phase correlation: +1 mono, 0 wide, below 0 out of phase">
+      <span className="text-[10px] uppercase tracking-widest text-white/40">Phase</span>
+      <div
+        ref={meterRef}
+        role="meter"
+        aria-label="Phase correlation"
+        aria-valuemin={-1}
+        aria-valuemax={1}
+        className="relative w-16 h-1.5 bg-white/10 rounded-full"
+      >
+        <div className="absolute top-0 bottom-0 left-1/2 w-px bg-white/30" />
+        <div ref={markerRef} className="absolute top-1/2 w-2 h-2 -ml-1 -mt-1 rounded-full bg-accent-400" style={{ left: '50%' }} />
+      </div>
+    </div>
+  );
+};
+
+export default CorrelationMeter;
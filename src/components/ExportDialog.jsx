@@ -0,0 +1,97 @@
+import { useState } from 'react';
+import { EXPORT_FORMATS, isWebCodecsSupported } from '../export/frameWriters';
+import { RECORDING_PRESETS } from '../recording/recording';
+import Modal from './Modal';
+
+const SIZE_PRESETS = RECORDING_PRESETS.filter((preset) => preset.width);
+const FRAME_RATES = [24, 30, 60];
+
+// --- Component: Export Dialog ---
+// Options and progress for the offline (frame-accurate) export of the current track.
+const ExportDialog = ({ trackName, onStart, onCancel, onClose, progress, error }) => {
+  const formats = EXPORT_FORMATS.filter((format) => format.id !== 'webm' || isWebCodecsSupported());
+  const [formatId, setFormatId] = useState(formats[0].id);
+  const [presetId, setPresetId] = useState('1080p30');
+  const [frameRate, setFrameRate] = useState(30);
+
+  const isRunning = progress !== null;
+  const selectClass = 'w-full bg-white/5 border border-white/10 rounded-lg px-2 py-1.5 text-sm text-white focus:outline-none focus:border-accent-400';
+
+  const handleStart = () => {
+    const preset = SIZE_PRESETS.find((p) => p.id === presetId) ?? SIZE_PRESETS[0];
+    onStart({ format: formatId, width: preset.width, height: preset.height, frameRate });
+  };
+
+  return (
+    <Modal
+      title="Export Video"
+      description={<span className="block text-xs truncate">Frame-accurate render of <span className="text-white/80">{trackName}</span></span>}
+      onClose={isRunning ? undefined : onClose}
+    >
+      <div className="flex flex-col gap-3 mb-5">
+        <label className="text-xs text-white/60 flex flex-col gap-1">
+          Format
+          <select value={formatId} onChange={(e) => setFormatId(e.target.value)} disabled={isRunning} className={selectClass}>
+            {formats.map((format) => <option key={format.id} value={format.id} className="bg-black">{format.label}</option>)}
+          </select>
+        </label>
+        <div className="grid grid-cols-2 gap-3">
+          <label className="text-xs text-white/60 flex flex-col gap-1">
+            Size
+            <select value={presetId} onChange={(e) => setPresetId(e.target.value)} disabled={isRunning} className={selectClass}>
+              {SIZE_PRESETS.map((preset) => (
+                <option key={preset.id} value={preset.id} className="bg-black">{preset.width}×{preset.height}</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-xs text-white/60 flex flex-col gap-1">
+            Frame rate
+            <select value={frameRate} onChange={(e) => setFrameRate(Number(e.target.value))} disabled={isRunning} className={selectClass}>
+              {FRAME_RATES.map((fps) => <option key={fps} value={fps} className="bg-black">{fps} fps</option>)}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      {isRunning && (
+        <div className="mb-5">
+          <div className="flex justify-between text-xs text-white/60 mb-1">
+            <span role="status">{progress.phase}…</span>
+            <span className="font-mono">{Math.round(progress.value * 100)}%</span>
+          </div>
+          <div
+            className="h-1.5 bg-white/10 rounded-full overflow-hidden"
+            role="progressbar"
+            aria-label="Export progress"
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={Math.round(progress.value * 100)}
+          >
+            <div className="h-full bg-accent-400 transition-all" style={{ width: `${progress.value * 100}%` }} />
+          </div>
+        </div>
+      )}
+
+      {error && <p role="alert" className="text-xs text-red-300 mb-4">{error}</p>}
+
+      <div className="flex justify-end gap-2">
+        {isRunning ? (
+          <button onClick={onCancel} className="px-4 py-2 rounded-full bg-white/10 hover:bg-white/20 border border-white/10 text-sm font-medium transition-all">
+            Cancel
+          </button>
+        ) : (
+          <>
+            <button onClick={onClose} className="px-4 py-2 rounded-full text-white/60 hover:text-white text-sm font-medium transition-all">
+              Close
+            </button>
+            <button onClick={handleStart} className="px-4 py-2 rounded-full bg-accent-500 text-black text-sm font-bold hover:bg-accent-400 transition-all">
+              Start Export
+            </button>
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default ExportDialog;
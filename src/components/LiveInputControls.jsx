@@ -0,0 +1,82 @@
+import { useEffect, useRef } from 'react';
+import { rmsOf, toDb } from '../audio/liveInput';
+
+const FLOOR = -60; // dBFS at the left end of the meter
+const CLIP = -1; // dBFS; peaks above this turn the meter red
+
+const toPercent = (db) => `${Math.min(100, Math.max(0, (1 - db / FLOOR) * 100))}%`;
+
+// --- Component: Live Input Controls ---
+// Input level meter for mic and system capture, plus the input device picker for the mic.
+// The meter reads `meter` (the live input chain's output analyser, see audio/liveInput.js) on
+// its own animation frame loop and moves through refs, like the phase meter. The bar shows
+// RMS level, the tick the recent peak.
+const LiveInputControls = ({ meter, devices, deviceId, onSelectDevice, showDevices }) => {
+  const meterRef = useRef(null);
+  const levelRef = useRef(null);
+  const peakRef = useRef(null);
+
+  useEffect(() => {
+    if (!meter) return undefined;
+    let samples = new Float32Array(0);
+    let level = FLOOR;
+    let peak = FLOOR;
+    let frameId;
+
+    const tick = () => {
+      if (samples.length !== meter.fftSize) samples = new Float32Array(meter.fftSize);
+      meter.getFloatTimeDomainData(samples);
+
+      let max = 0;
+      for (let i = 0; i < samples.length; i++) max = Math.max(max, Math.abs(samples[i]));
+      // Fast attack, slower fall, so the bar is readable
+      const rms = toDb(rmsOf(samples));
+      level = rms > level ? rms : level + (rms - level) * 0.15;
+      peak = Math.max(toDb(max), peak - 0.5);
+
+      levelRef.current.style.width = toPercent(level);
+      levelRef.current.style.backgroundColor = peak > CLIP ? '#f87171' : '';
+      peakRef.current.style.left = toPercent(peak);
+      meterRef.current.setAttribute('aria-valuenow', Math.round(Math.max(FLOOR, level)));
+      frameId = requestAnimationFrame(tick);
+    };
+
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [meter]);
+
+  return (
+    <div className="flex items-center gap-3">
+      <div
+        ref={meterRef}
+        role="meter"
+        aria-label="Input level"
+        aria-valuemin={FLOOR}
+        aria-valuemax={0}
+        title="Input level (dBFS)"
+        className="relative flex-1 h-1.5 bg-white/10 rounded-full overflow-hidden"
+      >
+        <div ref={levelRef} className="absolute inset-y-0 left-0 bg-accent-400 rounded-full" style={{ width: 0 }} />
+        <div ref={peakRef} className="absolute inset-y-0 w-0.5 bg-white/80" style={{ left: 0 }} />
+      </div>
+
+      {showDevices && (
+        <select
+          value={deviceId}
+          onChange={(e) => onSelectDevice(e.target.value)}
+          aria-label="Input device"
+          className="max-w-48 bg-white/5 border border-white/10 rounded-lg px-1.5 py-0.5 text-[10px] font-bold text-white/70 focus:outline-none truncate"
+        >
+          <option value="" className="bg-black">Default input</option>
+          {devices.map((device, i) => (
+            <option key={device.deviceId} value={device.deviceId} className="bg-black">
+              {device.label || `Input ${i + 1}`}
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+};
+
+export default LiveInputControls;
@@ -0,0 +1,52 @@
+import { useEffect, useState } from 'react';
+import { findLyricIndex } from '../audio/lyrics';
+
+// --- Component: Lyrics Overlay ---
+// The current lyric line over the scene, with the next one below it. Follows the audio
+// element's clock on its own animation frame loop (the `currentTime` state only updates a few
+// times a second) and only re-renders when the line or word changes. Lines with enhanced LRC
+// word timings light up word by word. `offset` (seconds) delays the lyrics when positive.
+const LyricsOverlay = ({ lyrics, audioRef, offset = 0 }) => {
+  const [position, setPosition] = useState({ line: -1, word: -1 });
+
+  useEffect(() => {
+    let frameId;
+
+    const tick = () => {
+      const audio = audioRef.current;
+      if (audio) {
+        const time = audio.currentTime - offset;
+        const line = findLyricIndex(lyrics.lines, time);
+        const words = lyrics.lines[line]?.words;
+        const word = words ? findLyricIndex(words, time) : -1;
+        setPosition((prev) => (prev.line === line && prev.word === word ? prev : { line, word }));
+      }
+      frameId = requestAnimationFrame(tick);
+    };
+
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [lyrics, audioRef, offset]);
+
+  const current = lyrics.lines[position.line];
+  const next = lyrics.lines[position.line + 1];
+
+  return (
+    <div role="region" aria-label="Lyrics" className="absolute inset-x-8 bottom-56 text-center pointer-events-none select-none">
+      <p className="text-2xl md:text-4xl font-bold tracking-tight drop-shadow-[0_2px_12px_rgba(0,0,0,0.8)] min-h-[1.25em]">
+        {current?.words
+          ? current.words.map((word, i) => (
+            <span key={i} className={`transition-colors duration-150 ${i <= position.word ? 'text-accent-300' : 'text-white/50'}`}>
+              {word.text}
+            </span>
+          ))
+          : <span className="text-white">{current?.text}</span>}
+      </p>
+      <p className="mt-2 text-sm md:text-lg text-white/40 drop-shadow-[0_2px_8px_rgba(0,0,0,0.8)] min-h-[1.5em]">
+        {next?.text}
+      </p>
+    </div>
+  );
+};
+
+export default LyricsOverlay;
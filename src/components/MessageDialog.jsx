@@ -0,0 +1,28 @@
+import Modal from './Modal';
+
+// --- Component: Message Dialog ---
+// Alert / confirm dialog driven by useDialogs. Escape or a backdrop click counts as "Cancel".
+const MessageDialog = ({ dialog, onClose }) => {
+  const isConfirm = dialog.kind === 'confirm';
+
+  return (
+    <Modal title={dialog.title} description={dialog.message} onClose={() => onClose(false)}>
+      <div className="flex justify-end gap-2">
+        {isConfirm && (
+          <button onClick={() => onClose(false)} className="px-4 py-2 rounded-full text-white/60 hover:text-white text-sm font-medium transition-all">
+            Cancel
+          </button>
+        )}
+        <button
+          data-autofocus
+          onClick={() => onClose(true)}
+          className="px-4 py-2 rounded-full bg-accent-500 text-black text-sm font-bold hover:bg-accent-400 transition-all"
+        >
+          {isConfirm ? dialog.confirmLabel ?? 'OK' : 'OK'}
+        </button>
+      </div>
+    </Modal>
+  );
+};
+
+export default MessageDialog;
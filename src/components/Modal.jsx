@@ -0,0 +1,69 @@
+import { useEffect, useId, useRef } from 'react';
+
+const FOCUSABLE = 'button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// --- Component: Modal ---
+// Accessible dialog shell: labelled by its title, traps Tab focus inside, closes on Escape
+// (when `onClose` is given) and hands focus back to whatever had it before opening.
+// The element marked `data-autofocus` gets initial focus, else the first focusable one.
+const Modal = ({ title, description, onClose, children, className = 'max-w-sm' }) => {
+  const dialogRef = useRef(null);
+  const titleId = useId();
+  const descriptionId = useId();
+
+  useEffect(() => {
+    const previous = document.activeElement;
+    const dialog = dialogRef.current;
+    const initial = dialog.querySelector('[data-autofocus]') ?? dialog.querySelector(FOCUSABLE) ?? dialog;
+    initial.focus();
+    return () => previous?.focus?.();
+  }, []);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape' && onClose) {
+      e.stopPropagation();
+      onClose();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const focusable = [...dialogRef.current.querySelectorAll(FOCUSABLE)];
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 backdrop-blur-sm pointer-events-auto"
+      onMouseDown={(e) => { if (e.target === e.currentTarget) onClose?.(); }}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        aria-describedby={description ? descriptionId : undefined}
+        tabIndex={-1}
+        onKeyDown={handleKeyDown}
+        className={`w-full ${className} mx-4 bg-[#0b0b1a] border border-white/10 rounded-2xl p-6 shadow-2xl focus:outline-none`}
+      >
+        <h2 id={titleId} className="text-lg font-bold tracking-tight mb-1">{title}</h2>
+        {description && <div id={descriptionId} className="text-sm text-white/60 mb-5">{description}</div>}
+        {children}
+      </div>
+    </div>
+  );
+};
+
+export default Modal;
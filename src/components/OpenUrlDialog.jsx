@@ -0,0 +1,63 @@
+import { useState } from 'react';
+import Modal from './Modal';
+
+// --- Component: Open URL Dialog ---
+// Asks for an audio file URL, radio stream or playlist. `onOpen` resolves the address and
+// starts playback; when it throws, its message shows here and the dialog stays open.
+const OpenUrlDialog = ({ onOpen, onClose }) => {
+  const [url, setUrl] = useState('');
+  const [error, setError] = useState(null);
+  const [isOpening, setIsOpening] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsOpening(true);
+    setError(null);
+    try {
+      await onOpen(url);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setIsOpening(false);
+    }
+  };
+
+  return (
+    <Modal
+      title="Open URL"
+      description="A direct link to an audio file, an Icecast/SHOUTcast or HLS stream, or an M3U/PLS playlist."
+      onClose={onClose}
+      className="max-w-md"
+    >
+      <form onSubmit={handleSubmit}>
+        <input
+          type="url"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder="https://radio.example.com/stream.m3u"
+          aria-label="Stream URL"
+          required
+          data-autofocus
+          className="w-full bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm text-white placeholder:text-white/30 focus:outline-none focus:border-accent-400 mb-4"
+        />
+
+        {error && <p role="alert" className="text-xs text-red-300 mb-4">{error}</p>}
+
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-4 py-2 rounded-full text-white/60 hover:text-white text-sm font-medium transition-all">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isOpening}
+            className="px-4 py-2 rounded-full bg-accent-500 text-black text-sm font-bold hover:bg-accent-400 disabled:opacity-50 transition-all"
+          >
+            {isOpening ? 'Opening…' : 'Play'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default OpenUrlDialog;
@@ -0,0 +1,102 @@
+import { formatTime } from '../utils/formatTime';
+
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2];
+
+// --- Component: Playback Controls ---
+// Volume with mute, playback speed and A-B loop buttons for file playback.
+// `loop` is `{ start, end }` in seconds, either may be null. Live streams (`isLive`) can't
+// change speed or loop, so they only get the volume.
+const PlaybackControls = ({
+  volume,
+  isMuted,
+  onVolumeChange,
+  onToggleMute,
+  playbackRate,
+  onPlaybackRateChange,
+  loop,
+  onSetLoopPoint,
+  onClearLoop,
+  isLive = false,
+}) => {
+  const buttonClass = 'px-2 py-0.5 rounded-md text-[10px] font-bold uppercase tracking-widest transition-all disabled:opacity-30';
+  const idleClass = 'text-white/50 hover:text-white hover:bg-white/10';
+  const activeClass = 'bg-accent-500/20 text-accent-300';
+  const isSilent = isMuted || volume === 0;
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mt-3">
+      {/* Volume */}
+      <div className="flex items-center gap-1.5">
+        <button
+          onClick={onToggleMute}
+          aria-label={isMuted ? 'Unmute' : 'Mute'}
+          aria-pressed={isMuted}
+          title={isMuted ? 'Unmute' : 'Mute'}
+          className="w-6 h-6 rounded-full flex items-center justify-center text-white/60 hover:text-white hover:bg-white/10 transition-all"
+        >
+          {isSilent ? (
+            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5" /><line x1="23" y1="9" x2="17" y2="15" /><line x1="17" y1="9" x2="23" y2="15" /></svg>
+          ) : (
+            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5" /><path d="M15.54 8.46a5 5 0 0 1 0 7.07" /><path d="M19.07 4.93a10 10 0 0 1 0 14.14" /></svg>
+          )}
+        </button>
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.01"
+          value={isMuted ? 0 : volume}
+          onChange={(e) => onVolumeChange(Number(e.target.value))}
+          aria-label="Volume"
+          aria-valuetext={`${Math.round((isMuted ? 0 : volume) * 100)}%`}
+          aria-keyshortcuts="ArrowUp ArrowDown"
+          className="w-20 accent-accent-400"
+        />
+      </div>
+
+      {!isLive && (
+        <>
+          {/* Speed (pitch is preserved) */}
+          <label className="flex items-center gap-1.5 text-[10px] uppercase tracking-widest text-white/40">
+            Speed
+            <select
+              value={playbackRate}
+              onChange={(e) => onPlaybackRateChange(Number(e.target.value))}
+              className="bg-white/5 border border-white/10 rounded-lg px-1.5 py-0.5 text-[10px] font-bold text-white/70 focus:outline-none"
+            >
+              {PLAYBACK_RATES.map((rate) => <option key={rate} value={rate} className="bg-black">{rate}×</option>)}
+            </select>
+          </label>
+
+          {/* A-B loop */}
+          <div role="group" aria-label="A-B loop" className="flex items-center gap-1">
+            <button
+              onClick={() => onSetLoopPoint('start')}
+              aria-pressed={loop.start !== null}
+              title={loop.start !== null ? `Loop start at ${formatTime(loop.start)}; click to move it here` : 'Set loop start here'}
+              className={`${buttonClass} ${loop.start !== null ? activeClass : idleClass}`}
+            >
+              A
+            </button>
+            <button
+              onClick={() => onSetLoopPoint('end')}
+              disabled={loop.start === null}
+              aria-pressed={loop.end !== null}
+              title={loop.end !== null ? `Loop end at ${formatTime(loop.end)}; click to move it here` : 'Set loop end here'}
+              className={`${buttonClass} ${loop.end !== null ? activeClass : idleClass}`}
+            >
+              B
+            </button>
+            {(loop.start !== null || loop.end !== null) && (
+              <button onClick={onClearLoop} className={`${buttonClass} ${idleClass}`} aria-label="Clear loop" title="Clear loop">
+                ✕
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PlaybackControls;
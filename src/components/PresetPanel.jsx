@@ -0,0 +1,76 @@
+import { useState } from 'react';
+
+// --- Component: Preset Panel ---
+// Apply built-in or saved presets, save the current look under a name, copy a share link,
+// or load a preset from a pasted link/code.
+const PresetPanel = ({ presets, onApply, onSave, onDelete, onCopyLink, onLoadCode }) => {
+  const [name, setName] = useState('');
+  const [code, setCode] = useState('');
+  const [message, setMessage] = useState(null); // { text, isError }
+
+  const buttonClass = 'px-2 py-1 rounded-lg text-[10px] font-bold uppercase tracking-widest text-white/60 hover:text-white hover:bg-white/10 transition-all disabled:opacity-30';
+  const inputClass = 'flex-1 min-w-0 bg-white/5 border border-white/10 rounded-lg px-2 py-1 text-sm text-white focus:outline-none focus:border-accent-400';
+
+  // Runs a panel action and reports its outcome (or the validation error it threw)
+  const attempt = async (action, successText) => {
+    try {
+      await action();
+      setMessage(successText ? { text: successText, isError: false } : null);
+      return true;
+    } catch (err) {
+      setMessage({ text: err.message, isError: true });
+      return false;
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (await attempt(() => onSave(name.trim()), `Saved "${name.trim()}".`)) setName('');
+  };
+
+  const handleLoad = async (e) => {
+    e.preventDefault();
+    if (await attempt(() => onLoadCode(code), 'Preset loaded.')) setCode('');
+  };
+
+  return (
+    <section>
+      <h3 className="text-xs uppercase tracking-widest text-accent-300/80 mb-3">Presets</h3>
+
+      <div className="flex flex-col gap-1 mb-3">
+        {presets.map((preset) => (
+          <div key={`${preset.builtin ? 'builtin' : 'saved'}-${preset.name}`} className="group flex items-center gap-2">
+            <button
+              onClick={() => attempt(() => onApply(preset))}
+              className="flex-1 min-w-0 text-left truncate px-2 py-1.5 rounded-lg text-sm text-white/80 hover:bg-white/10 transition-all"
+            >
+              {preset.name}
+              <span className="ml-2 text-[10px] uppercase tracking-widest text-white/30">{preset.visualizerMode}</span>
+            </button>
+            {!preset.builtin && (
+              <button onClick={() => onDelete(preset.name)} className="px-1 text-white/40 hover:text-red-300 opacity-0 group-hover:opacity-100 focus-visible:opacity-100 transition-opacity" title="Delete preset" aria-label={`Delete ${preset.name}`}>
+                ✕
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={handleSave} className="flex gap-2 mb-2">
+        <input value={name} onChange={(e) => setName(e.target.value)} maxLength={60} placeholder="Preset name" aria-label="Preset name" className={inputClass} />
+        <button type="submit" disabled={!name.trim()} className={buttonClass}>Save</button>
+      </form>
+
+      <form onSubmit={handleLoad} className="flex gap-2 mb-2">
+        <input value={code} onChange={(e) => setCode(e.target.value)} placeholder="Paste a preset link" aria-label="Preset link" className={inputClass} />
+        <button type="submit" disabled={!code.trim()} className={buttonClass}>Load</button>
+      </form>
+
+      <button onClick={() => attempt(onCopyLink, 'Link copied to clipboard.')} className={buttonClass}>Copy Share Link</button>
+
+      {message && <p role="status" className={`text-xs mt-2 ${message.isError ? 'text-red-300' : 'text-white/50'}`}>{message.text}</p>}
+    </section>
+  );
+};
+
+export default PresetPanel;
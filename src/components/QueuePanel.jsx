@@ -0,0 +1,106 @@
+import { useState } from 'react';
+
+// --- Component: Queue Panel ---
+// Collapsible list of queued tracks. Rows can be dragged to reorder (or nudged with
+// the arrow buttons), clicked to play, and removed.
+const QueuePanel = ({
+  queue,
+  currentTrackId,
+  isOpen,
+  onToggle,
+  onPlay,
+  onRemove,
+  onMove,
+  onClear,
+  shuffle,
+  onToggleShuffle,
+  repeatMode,
+  onCycleRepeat,
+}) => {
+  const [dragIndex, setDragIndex] = useState(null);
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    e.stopPropagation(); // Keep the page-level file drop handler out of it
+    if (dragIndex !== null) onMove(dragIndex, index);
+    setDragIndex(null);
+  };
+
+  return (
+    <div className="pointer-events-auto max-w-4xl mx-auto w-full mb-3">
+      {isOpen && (
+        <div className="bg-black/40 backdrop-blur-xl border border-white/10 rounded-2xl p-3 max-h-64 overflow-y-auto">
+          <div className="flex items-center justify-between mb-2 px-1">
+            <span className="text-xs font-bold uppercase tracking-widest text-white/60">Queue • {queue.length}</span>
+            <div className="flex gap-1">
+              <button
+                onClick={onToggleShuffle}
+                aria-pressed={shuffle}
+                className={`px-2 py-1 rounded-lg text-[10px] font-bold uppercase tracking-widest transition-all ${shuffle ? 'bg-white/20 text-white' : 'text-white/40 hover:text-white hover:bg-white/10'}`}
+              >
+                Shuffle
+              </button>
+              <button
+                onClick={onCycleRepeat}
+                aria-label={`Repeat: ${repeatMode}`}
+                className={`px-2 py-1 rounded-lg text-[10px] font-bold uppercase tracking-widest transition-all ${repeatMode !== 'off' ? 'bg-white/20 text-white' : 'text-white/40 hover:text-white hover:bg-white/10'}`}
+              >
+                Repeat: {repeatMode}
+              </button>
+              <button
+                onClick={onClear}
+                className="px-2 py-1 rounded-lg text-[10px] font-bold uppercase tracking-widest text-white/40 hover:text-red-300 hover:bg-white/10 transition-all"
+              >
+                Clear
+              </button>
+            </div>
+          </div>
+
+          {queue.length === 0 ? (
+            <p className="text-xs text-white/40 px-1 py-2">Drop audio files or folders anywhere, or use Upload.</p>
+          ) : (
+            <ol className="flex flex-col gap-1">
+              {queue.map((track, i) => {
+                const isCurrent = track.id === currentTrackId;
+                return (
+                  <li
+                    key={track.id}
+                    draggable
+                    onDragStart={() => setDragIndex(i)}
+                    onDragOver={(e) => { e.preventDefault(); e.stopPropagation(); }}
+                    onDrop={(e) => handleDrop(e, i)}
+                    onDragEnd={() => setDragIndex(null)}
+                    aria-current={isCurrent ? 'true' : undefined}
+                    className={`group flex items-center gap-2 px-2 py-1.5 rounded-lg text-sm cursor-grab transition-all ${isCurrent ? 'bg-accent-500/20 text-accent-300' : 'text-white/70 hover:bg-white/10'} ${dragIndex === i ? 'opacity-40' : ''}`}
+                  >
+                    <span className="w-5 text-right text-[10px] font-mono text-white/30">{i + 1}</span>
+                    <button onClick={() => onPlay(track.id)} className="flex-1 min-w-0 text-left truncate">
+                      {track.name}
+                    </button>
+                    <div className="flex gap-1 opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 transition-opacity">
+                      <button onClick={() => onMove(i, i - 1)} disabled={i === 0} className="px-1 text-white/50 hover:text-white disabled:opacity-20" title="Move up" aria-label={`Move ${track.name} up`}>▲</button>
+                      <button onClick={() => onMove(i, i + 1)} disabled={i === queue.length - 1} className="px-1 text-white/50 hover:text-white disabled:opacity-20" title="Move down" aria-label={`Move ${track.name} down`}>▼</button>
+                      <button onClick={() => onRemove(track.id)} className="px-1 text-white/50 hover:text-red-300" title="Remove" aria-label={`Remove ${track.name}`}>✕</button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+        </div>
+      )}
+
+      <div className="flex justify-end mt-2">
+        <button
+          onClick={onToggle}
+          aria-expanded={isOpen}
+          className="px-3 py-1 rounded-full bg-black/40 backdrop-blur-xl border border-white/10 text-[10px] font-bold uppercase tracking-widest text-white/60 hover:text-white transition-all"
+        >
+          {isOpen ? 'Hide Queue' : `Queue (${queue.length})`}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default QueuePanel;
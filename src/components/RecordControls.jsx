@@ -0,0 +1,53 @@
+import { MAX_DURATIONS, RECORDING_PRESETS } from '../recording/recording';
+import { formatTime } from '../utils/formatTime';
+
+// --- Component: Record Controls ---
+// Record/stop button with preset + max duration pickers, and a live timer while recording.
+const RecordControls = ({
+  isRecording,
+  elapsed,
+  presetId,
+  onPresetChange,
+  maxDuration,
+  onMaxDurationChange,
+  onStart,
+  onStop,
+  error,
+}) => {
+  const selectClass = 'bg-white/5 border border-white/10 rounded-lg px-1.5 py-1 text-[10px] font-bold uppercase tracking-wider text-white/60 focus:outline-none';
+
+  return (
+    <div className="flex items-center gap-2 flex-shrink-0">
+      {isRecording ? (
+        <span className="text-xs font-mono text-red-300 flex items-center gap-1.5">
+          <span className="inline-block w-2 h-2 rounded-full bg-red-500 animate-pulse" />
+          {formatTime(elapsed)}{maxDuration ? ` / ${formatTime(maxDuration)}` : ''}
+        </span>
+      ) : (
+        <>
+          <select value={presetId} onChange={(e) => onPresetChange(e.target.value)} className={selectClass} title="Recording size">
+            {RECORDING_PRESETS.map((preset) => (
+              <option key={preset.id} value={preset.id} className="bg-black">{preset.label}</option>
+            ))}
+          </select>
+          <select value={maxDuration} onChange={(e) => onMaxDurationChange(Number(e.target.value))} className={selectClass} title="Max duration">
+            {MAX_DURATIONS.map((seconds) => (
+              <option key={seconds} value={seconds} className="bg-black">{seconds ? formatTime(seconds) : 'No limit'}</option>
+            ))}
+          </select>
+        </>
+      )}
+
+      <button
+        onClick={isRecording ? onStop : onStart}
+        title={error || (isRecording ? 'Stop recording and download' : 'Record video')}
+        className={`px-3 py-1.5 rounded-full border text-xs font-bold uppercase tracking-widest transition-all flex items-center gap-1.5 ${isRecording ? 'bg-red-500/20 border-red-500 text-red-300' : error ? 'border-red-500/40 text-red-300/70' : 'bg-white/10 hover:bg-white/20 border-white/10'}`}
+      >
+        <span className={`inline-block w-2.5 h-2.5 ${isRecording ? 'rounded-sm bg-red-400' : 'rounded-full bg-red-500'}`} />
+        {isRecording ? 'Stop' : 'Rec'}
+      </button>
+    </div>
+  );
+};
+
+export default RecordControls;
@@ -0,0 +1,76 @@
+import { useId, useMemo } from 'react';
+import { formatTime } from '../utils/formatTime';
+
+// SVG path of mirrored bars, one per peak, in a 0-1 x 0-1 viewBox
+const peaksToPath = (peaks) => {
+  const width = 1 / peaks.length;
+  let path = '';
+  for (let i = 0; i < peaks.length; i++) {
+    const height = Math.max(0.04, peaks[i]);
+    path += `M${(i * width).toFixed(5)} ${((1 - height) / 2).toFixed(4)}h${(width * 0.7).toFixed(5)}v${height.toFixed(4)}h${(-width * 0.7).toFixed(5)}z`;
+  }
+  return path;
+};
+
+// --- Component: Seek Bar ---
+// File seek slider over a waveform overview (`peaks`, see audio/waveform.js). Falls back to a
+// plain progress bar while the waveform is decoding. `loop` is `{ start, end }` in seconds
+// (either may be null) and is drawn as A/B markers with the loop region shaded.
+const SeekBar = ({ currentTime, duration, peaks, loop, onSeek }) => {
+  const clipId = `seek-progress-${useId().replace(/[^\w-]/g, '')}`; // Safe inside url(#...)
+  const path = useMemo(() => (peaks ? peaksToPath(peaks) : null), [peaks]);
+  const percent = (time) => `${duration ? (time / duration) * 100 : 0}%`;
+  const progress = duration ? currentTime / duration : 0;
+  const hasLoop = loop.start !== null && loop.end !== null;
+
+  return (
+    <div className={`relative group cursor-pointer ${path ? 'h-8' : 'h-1.5 bg-white/10 rounded-full'}`}>
+      {/* The native range stays invisible on top of the bar; the ring shows its keyboard focus */}
+      <input
+        type="range"
+        min="0"
+        max={duration || 0}
+        step="any"
+        value={currentTime || 0}
+        onChange={(e) => onSeek(Number(e.target.value))}
+        aria-label="Seek"
+        aria-valuetext={`${formatTime(currentTime)} of ${formatTime(duration)}`}
+        aria-keyshortcuts="ArrowLeft ArrowRight"
+        className="peer absolute inset-0 w-full h-full opacity-0 cursor-pointer z-10"
+      />
+      <div className="pointer-events-none absolute -inset-1 rounded-full peer-focus-visible:ring-2 peer-focus-visible:ring-accent-400" />
+
+      {hasLoop && (
+        <div
+          className="pointer-events-none absolute inset-y-0 bg-accent-400/15"
+          style={{ left: percent(loop.start), width: percent(loop.end - loop.start) }}
+        />
+      )}
+
+      {path ? (
+        <svg className="absolute inset-0 w-full h-full" viewBox="0 0 1 1" preserveAspectRatio="none" aria-hidden="true">
+          <defs>
+            <clipPath id={clipId}>
+              <rect x="0" y="0" width={progress} height="1" />
+            </clipPath>
+          </defs>
+          <path d={path} className="fill-white/25" />
+          <path d={path} clipPath={`url(#${clipId})`} className="fill-accent-400 group-hover:fill-accent-300" />
+        </svg>
+      ) : (
+        <div
+          className="absolute top-0 left-0 h-full bg-accent-400 rounded-full transition-all group-hover:bg-accent-300"
+          style={{ width: percent(currentTime) }}
+        />
+      )}
+
+      {[['A', loop.start], ['B', loop.end]].map(([label, time]) => time !== null && (
+        <div key={label} className="pointer-events-none absolute -top-1 -bottom-1 w-px bg-accent-300" style={{ left: percent(time) }}>
+          <span className="absolute -top-3 -translate-x-1/2 text-[9px] font-bold text-accent-300">{label}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SeekBar;
@@ -0,0 +1,104 @@
+import { getSettingsSchema, SETTINGS_GROUPS } from '../settings/settings';
+
+const formatValue = (field, value) => {
+  if (field.key === 'minDecibels' || field.key === 'maxDecibels') return `${value} dB`;
+  if (field.key === 'rotationSpeed') return `${value}×`;
+  if (field.unit === 'Hz' && value >= 1000) return `${Number((value / 1000).toFixed(1))} kHz`;
+  if (field.unit) return `${value}${field.unit.startsWith(':') ? '' : ' '}${field.unit}`;
+  return String(value);
+};
+
+// Log-scaled ranges (frequencies) move the slider through 0..LOG_STEPS instead of the value
+const LOG_STEPS = 1000;
+const toSlider = (field, value) => (field.scale === 'log'
+  ? Math.round((Math.log(value / field.min) / Math.log(field.max / field.min)) * LOG_STEPS)
+  : value);
+const fromSlider = (field, position) => (field.scale === 'log'
+  ? field.min * Math.pow(field.max / field.min, position / LOG_STEPS)
+  : position);
+
+// --- Component: Settings Drawer ---
+// Slide-in panel for analyser, rendering and audio effect parameters. Every change applies live.
+// Toggles (effect bypasses) hide their dependent fields while off. Of the visualizers' own
+// settings, only those of the active `visualizer` (a registry definition) are shown.
+// `children` render above the generated groups (used for the theme panel).
+const SettingsDrawer = ({ isOpen, settings, visualizer, onChange, onReset, onClose, children }) => {
+  const schema = getSettingsSchema();
+  const groups = visualizer?.settings.length
+    ? SETTINGS_GROUPS.flatMap((group) => (group === 'Visualizer' ? [group, visualizer.name] : [group]))
+    : SETTINGS_GROUPS;
+  const selectClass = 'bg-white/5 border border-white/10 rounded-lg px-2 py-1 text-sm text-white focus:outline-none focus:border-accent-400';
+
+  return (
+    <aside
+      id="settings-drawer"
+      aria-label="Settings"
+      inert={!isOpen}
+      className={`fixed top-0 right-0 bottom-0 z-30 w-80 max-w-[90vw] bg-[#0b0b1a]/95 backdrop-blur-xl border-l border-white/10 shadow-2xl pointer-events-auto flex flex-col transition-transform duration-300 ${isOpen ? 'translate-x-0' : 'translate-x-full'}`}
+    >
+      <div className="flex items-center justify-between px-5 py-4 border-b border-white/10">
+        <h2 className="text-lg font-bold tracking-tight">Settings</h2>
+        <button onClick={onClose} className="text-white/60 hover:text-white transition-colors" title="Close settings" aria-label="Close settings">
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" /></svg>
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-5 py-4 flex flex-col gap-6">
+        {children}
+        {groups.map((group) => (
+          <section key={group}>
+            <h3 className="text-xs uppercase tracking-widest text-accent-300/80 mb-3">{group}</h3>
+            <div className="flex flex-col gap-3">
+              {schema.filter((field) => field.group === group && (!field.dependsOn || settings[field.dependsOn])).map((field) => (field.type === 'toggle' ? (
+                <label key={field.key} className="text-xs text-white/80 font-medium flex items-center justify-between pt-1">
+                  {field.label}
+                  <input
+                    type="checkbox"
+                    checked={settings[field.key]}
+                    onChange={(e) => onChange(field.key, e.target.checked)}
+                    className="w-4 h-4 accent-accent-400 cursor-pointer"
+                  />
+                </label>
+              ) : (
+                <label key={field.key} className={`text-xs text-white/60 flex flex-col gap-1 ${field.dependsOn ? 'pl-3 border-l border-white/10' : ''}`}>
+                  <span className="flex justify-between">
+                    {field.label}
+                    {field.type === 'range' && <span className="font-mono text-white/80">{formatValue(field, settings[field.key])}</span>}
+                  </span>
+                  {field.type === 'select' ? (
+                    <select
+                      value={settings[field.key]}
+                      onChange={(e) => onChange(field.key, typeof field.default === 'number' ? Number(e.target.value) : e.target.value)}
+                      className={selectClass}
+                    >
+                      {field.options.map((option) => <option key={option} value={option} className="bg-black">{option}</option>)}
+                    </select>
+                  ) : (
+                    <input
+                      type="range"
+                      min={field.scale === 'log' ? 0 : field.min}
+                      max={field.scale === 'log' ? LOG_STEPS : field.max}
+                      step={field.scale === 'log' ? 1 : field.step}
+                      value={toSlider(field, settings[field.key])}
+                      onChange={(e) => onChange(field.key, fromSlider(field, Number(e.target.value)))}
+                      aria-valuetext={formatValue(field, settings[field.key])}
+                      className="w-full h-1 bg-white/20 rounded-lg appearance-none cursor-pointer accent-accent-400"
+                    />
+                  )}
+                </label>
+              )))}
+            </div>
+          </section>
+        ))}
+      </div>
+
+      <div className="px-5 py-4 border-t border-white/10 flex justify-end">
+        <button onClick={onReset} className="px-4 py-2 rounded-full bg-white/10 hover:bg-white/20 border border-white/10 text-sm font-medium transition-all">
+          Reset to Defaults
+        </button>
+      </div>
+    </aside>
+  );
+};
+
+export default SettingsDrawer;
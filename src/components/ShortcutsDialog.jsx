@@ -0,0 +1,27 @@
+import { SHORTCUTS } from '../keyboard/shortcuts';
+import Modal from './Modal';
+
+// --- Component: Keyboard Shortcuts Overlay ---
+const ShortcutsDialog = ({ onClose }) => (
+  <Modal title="Keyboard Shortcuts" onClose={onClose}>
+    <dl className="flex flex-col gap-2 mt-4 mb-5">
+      {SHORTCUTS.map((shortcut) => (
+        <div key={shortcut.label} className="flex items-center justify-between gap-4 text-sm">
+          <dt className="flex gap-1">
+            {shortcut.keys.map((key) => (
+              <kbd key={key} className="min-w-7 px-1.5 py-0.5 rounded-md bg-white/10 border border-white/20 text-center font-mono text-xs">{key}</kbd>
+            ))}
+          </dt>
+          <dd className="text-white/70 text-right">{shortcut.label}</dd>
+        </div>
+      ))}
+    </dl>
+    <div className="flex justify-end">
+      <button data-autofocus onClick={onClose} className="px-4 py-2 rounded-full bg-white/10 hover:bg-white/20 border border-white/10 text-sm font-medium transition-all">
+        Close
+      </button>
+    </div>
+  </Modal>
+);
+
+export default ShortcutsDialog;
@@ -0,0 +1,140 @@
+import { useRef, useState } from 'react';
+import { MAX_STOPS, MIN_STOPS, themeToCss, themeToJson } from '../theme/themes';
+import { downloadBlob } from '../utils/download';
+
+// --- Component: Theme Panel ---
+// Theme picker plus an editor for custom gradients. Built-in themes are read-only;
+// "Customize" copies the current one into an editable custom theme.
+const ThemePanel = ({ theme, themes, onSelect, onSave, onDelete, onImport }) => {
+  const importInputRef = useRef(null);
+  const [importError, setImportError] = useState(null);
+
+  const update = (changes) => onSave({ ...theme, ...changes });
+
+  const updateStop = (index, changes) =>
+    update({ stops: theme.stops.map((stop, i) => (i === index ? { ...stop, ...changes } : stop)) });
+
+  const addStop = () => {
+    // Split the widest gap between neighbouring stops
+    let gap = 0;
+    for (let i = 1; i < theme.stops.length; i++) {
+      if (theme.stops[i].offset - theme.stops[i - 1].offset > theme.stops[gap + 1].offset - theme.stops[gap].offset) gap = i - 1;
+    }
+    const offset = Number(((theme.stops[gap].offset + theme.stops[gap + 1].offset) / 2).toFixed(2));
+    update({ stops: [...theme.stops, { offset, color: theme.stops[gap].color }] });
+  };
+
+  const handleExport = () => {
+    const fileName = `${theme.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'theme'}.json`;
+    downloadBlob(new Blob([themeToJson(theme)], { type: 'application/json' }), fileName);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onImport(await file.text());
+      setImportError(null);
+    } catch (err) {
+      setImportError(err.message);
+    }
+  };
+
+  const buttonClass = 'px-2 py-1 rounded-lg text-[10px] font-bold uppercase tracking-widest text-white/60 hover:text-white hover:bg-white/10 transition-all disabled:opacity-30';
+  const colorClass = 'w-7 h-7 rounded cursor-pointer bg-transparent border border-white/10';
+
+  return (
+    <section>
+      <h3 className="text-xs uppercase tracking-widest text-accent-300/80 mb-3">Theme</h3>
+
+      <div className="grid grid-cols-2 gap-2 mb-3">
+        {themes.map((t) => (
+          <button
+            key={t.id}
+            onClick={() => onSelect(t.id)}
+            className={`flex flex-col gap-1 p-2 rounded-lg border text-left text-xs transition-all ${t.id === theme.id ? 'border-accent-400 bg-white/10' : 'border-white/10 hover:bg-white/5'}`}
+          >
+            <span className="h-3 rounded-full" style={{ background: themeToCss(t) }} />
+            <span className="truncate text-white/80">{t.name || 'Untitled'}</span>
+          </button>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-1 mb-3">
+        <button onClick={() => onSave({ ...theme, id: undefined, name: `${theme.name} Copy` })} className={buttonClass}>
+          Customize
+        </button>
+        <button onClick={handleExport} className={buttonClass}>Export JSON</button>
+        <button onClick={() => importInputRef.current?.click()} className={buttonClass}>Import JSON</button>
+        <input ref={importInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+        {theme.custom && (
+          <button onClick={() => onDelete(theme.id)} className={`${buttonClass} hover:text-red-300`}>Delete</button>
+        )}
+      </div>
+      {importError && <p className="text-xs text-red-300 mb-3">{importError}</p>}
+
+      {/* Custom theme editor */}
+      {theme.custom && (
+        <div className="flex flex-col gap-3 bg-white/5 border border-white/10 rounded-lg p-3">
+          <input
+            value={theme.name}
+            onChange={(e) => update({ name: e.target.value })}
+            maxLength={40}
+            className="bg-white/5 border border-white/10 rounded-lg px-2 py-1 text-sm text-white focus:outline-none focus:border-accent-400"
+            aria-label="Theme name"
+          />
+
+          <div className="h-3 rounded-full" style={{ background: themeToCss(theme) }} />
+
+          {theme.stops.map((stop, i) => (
+            <div key={i} className="flex items-center gap-2">
+              <input type="color" value={stop.color} onChange={(e) => updateStop(i, { color: e.target.value })} className={colorClass} aria-label={`Stop ${i + 1} color`} />
+              <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.01}
+                value={stop.offset}
+                onChange={(e) => updateStop(i, { offset: Number(e.target.value) })}
+                className="flex-1 h-1 bg-white/20 rounded-lg appearance-none cursor-pointer accent-accent-400"
+                aria-label={`Stop ${i + 1} position`}
+              />
+              <span className="w-8 text-right font-mono text-[10px] text-white/50">{Math.round(stop.offset * 100)}%</span>
+              <button
+                onClick={() => update({ stops: theme.stops.filter((_, j) => j !== i) })}
+                disabled={theme.stops.length <= MIN_STOPS}
+                className="px-1 text-white/50 hover:text-red-300 disabled:opacity-20"
+                title="Remove stop"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          <button onClick={addStop} disabled={theme.stops.length >= MAX_STOPS} className={`${buttonClass} self-start`}>+ Add Stop</button>
+
+          <div className="grid grid-cols-2 gap-2 text-xs text-white/60">
+            <label className="flex items-center gap-2">
+              <input type="color" value={theme.background} onChange={(e) => update({ background: e.target.value })} className={colorClass} />
+              Background
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="color" value={theme.accent} onChange={(e) => update({ accent: e.target.value })} className={colorClass} />
+              UI Accent
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="color" value={theme.lights[0]} onChange={(e) => update({ lights: [e.target.value, theme.lights[1]] })} className={colorClass} />
+              Key Light
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="color" value={theme.lights[1]} onChange={(e) => update({ lights: [theme.lights[0], e.target.value] })} className={colorClass} />
+              Fill Light
+            </label>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ThemePanel;
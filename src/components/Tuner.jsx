@@ -0,0 +1,57 @@
+import { useEffect, useRef } from 'react';
+import { createPitchDetector, frequencyToNote } from '../audio/pitch';
+
+const HOLD = 0.4; // Seconds the last note stays up after the pitch is lost
+
+// --- Component: Tuner ---
+// Note, octave and cents off for monophonic live input (a voice, one instrument). Runs pitch
+// detection on `analyser`'s float samples once per analysis frame (see audio/analysisEngine.js)
+// and moves through refs, like the level meter next to it. `reference` is the pitch of A4 in Hz.
+const Tuner = ({ engine, analyser, reference = 440 }) => {
+  const noteRef = useRef(null);
+  const needleRef = useRef(null);
+  const detailRef = useRef(null);
+
+  useEffect(() => {
+    if (!engine || !analyser) return undefined;
+    const detector = createPitchDetector();
+    const samples = new Float32Array(analyser.fftSize);
+    let cents = 0;
+    let lastSeen = -Infinity;
+
+    return engine.subscribe(() => {
+      analyser.getFloatTimeDomainData(samples);
+      const pitch = detector.detect(samples, analyser.context.sampleRate);
+      const now = performance.now();
+
+      if (pitch) {
+        const note = frequencyToNote(pitch.frequency, reference);
+        cents += (note.cents - cents) * 0.3; // Steadies the needle without lagging behind
+        lastSeen = now;
+        noteRef.current.textContent = `${note.name}${note.octave}`;
+        detailRef.current.textContent = `${note.cents > 0 ? '+' : ''}${note.cents}¢ · ${pitch.frequency.toFixed(1)} Hz`;
+        needleRef.current.style.left = `${50 + cents}%`;
+        needleRef.current.style.backgroundColor = Math.abs(note.cents) <= 5 ? '#4ade80' : '';
+      } else if (now - lastSeen > HOLD * 1000) {
+        noteRef.current.textContent = '–';
+        detailRef.current.textContent = '';
+        needleRef.current.style.left = '50%';
+        needleRef.current.style.backgroundColor = '';
+      }
+    });
+  }, [engine, analyser, reference]);
+
+  return (
+    <div role="group" aria-label="Tuner" className="flex items-center gap-3 mt-3">
+      <span ref={noteRef} aria-live="off" className="w-10 text-lg font-bold font-mono text-white">–</span>
+      <div className="relative flex-1 h-4" title="Cents off the nearest note">
+        <div className="absolute inset-x-0 top-1/2 h-px bg-white/20" />
+        <div className="absolute left-1/2 inset-y-0 w-px bg-white/40" />
+        <div ref={needleRef} className="absolute inset-y-0 w-1 -ml-0.5 rounded-full bg-accent-400 transition-[left] duration-75" style={{ left: '50%' }} />
+      </div>
+      <span ref={detailRef} className="w-32 text-right text-[10px] font-mono text-white/50" />
+    </div>
+  );
+};
+
+export default Tuner;
@@ -0,0 +1,24 @@
+import { useState } from 'react';
+
+// --- Hook: In-App Dialogs ---
+// Promise-based replacements for window.alert / window.confirm. Render the returned
+// `dialog` with <MessageDialog dialog={dialog} onClose={close} />.
+//   await dialogs.alert({ title, message })
+//   if (await dialogs.confirm({ title, message, confirmLabel })) { ... }
+export const useDialogs = () => {
+  const [dialog, setDialog] = useState(null); // { kind, title, message, confirmLabel, resolve }
+
+  const open = (kind, options) => new Promise((resolve) => setDialog({ kind, ...options, resolve }));
+
+  const close = (result) => {
+    dialog?.resolve(result);
+    setDialog(null);
+  };
+
+  return {
+    dialog,
+    alert: (options) => open('alert', options),
+    confirm: (options) => open('confirm', options),
+    close,
+  };
+};
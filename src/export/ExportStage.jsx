@@ -0,0 +1,44 @@
+import { Canvas, useThree } from '@react-three/fiber';
+import { useEffect } from 'react';
+import AudioAnalysisProvider from '../audio/AudioAnalysisProvider';
+import VisualizerScene from '../scene/VisualizerScene';
+
+// Hands the stage's `advance` and canvas to the export loop once the scene is mounted
+const ExportDriver = ({ target, onReady }) => {
+  const advance = useThree((state) => state.advance);
+  const gl = useThree((state) => state.gl);
+  const camera = useThree((state) => state.camera);
+
+  useEffect(() => {
+    camera.lookAt(...target); // Matches the OrbitControls target of the live view
+    onReady({ advance, canvas: gl.domElement });
+  }, [advance, gl, camera, target, onReady]);
+
+  return null;
+};
+
+// --- Component: Offline Export Stage ---
+// A second, hidden <Canvas> at the exact export resolution. It never renders on its own
+// (frameloop="never"): the export loop calls `advance(time)` once per frame, and the
+// visualizers read the offline analysis source instead of a live analyser.
+const ExportStage = ({ job, onReady }) => (
+  <div
+    aria-hidden="true"
+    className="fixed top-0 left-0 pointer-events-none opacity-0 -z-10"
+    style={{ width: job.width, height: job.height }}
+  >
+    <Canvas
+      frameloop="never"
+      dpr={1}
+      gl={{ preserveDrawingBuffer: true }}
+      camera={{ position: job.camera.position, fov: 45 }}
+    >
+      <AudioAnalysisProvider source={job.source}>
+        <VisualizerScene visualizerMode={job.visualizerMode} settings={job.settings} palette={job.palette} artworkUrl={job.artworkUrl} isActive />
+      </AudioAnalysisProvider>
+      <ExportDriver target={job.camera.target} onReady={onReady} />
+    </Canvas>
+  </div>
+);
+
+export default ExportStage;
@@ -0,0 +1,153 @@
+import { ArrayBufferTarget, Muxer } from 'webm-muxer';
+import { estimateBitrate } from '../recording/recording';
+import { createZip } from '../utils/zip';
+import { encodeWav } from './wav';
+
+// Frame writers consume rendered export frames. Each one exposes:
+//   addFrame(canvas, index) -> Promise   write one rendered frame
+//   finish()                -> Promise<Blob | null>   file to download, or null if already saved
+//   abort()                              drop everything (export cancelled)
+
+export const EXPORT_FORMATS = [
+  { id: 'webm', label: 'WebM video (WebCodecs)' },
+  { id: 'png', label: 'PNG sequence + WAV' },
+];
+
+export const isWebCodecsSupported = () =>
+  typeof VideoEncoder !== 'undefined' && typeof AudioEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+
+const canvasToPng = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not read the rendered frame.'))), 'image/png');
+});
+
+const frameName = (index) => `frame_${index.toString().padStart(5, '0')}.png`;
+
+// --- Writer: WebCodecs (VP9 + Opus in WebM) ---
+export const createWebCodecsWriter = async ({ width, height, frameRate, audioBuffer }) => {
+  const target = new ArrayBufferTarget();
+  const muxer = new Muxer({
+    target,
+    video: { codec: 'V_VP9', width, height, frameRate },
+    audio: { codec: 'A_OPUS', sampleRate: audioBuffer.sampleRate, numberOfChannels: audioBuffer.numberOfChannels },
+  });
+
+  let failure = null;
+  const onError = (err) => { failure = err; };
+
+  const videoConfig = {
+    codec: 'vp09.00.41.08',
+    width,
+    height,
+    framerate: frameRate,
+    bitrate: estimateBitrate(width, height, frameRate),
+  };
+  const audioConfig = {
+    codec: 'opus',
+    sampleRate: audioBuffer.sampleRate,
+    numberOfChannels: audioBuffer.numberOfChannels,
+    bitrate: 192000,
+  };
+
+  const [videoSupport, audioSupport] = await Promise.all([
+    VideoEncoder.isConfigSupported(videoConfig),
+    AudioEncoder.isConfigSupported(audioConfig),
+  ]);
+  if (!videoSupport.supported || !audioSupport.supported) {
+    throw new Error('This browser cannot encode VP9/Opus at the chosen size. Try a smaller preset or PNG export.');
+  }
+
+  const videoEncoder = new VideoEncoder({ output: (chunk, meta) => muxer.addVideoChunk(chunk, meta), error: onError });
+  const audioEncoder = new AudioEncoder({ output: (chunk, meta) => muxer.addAudioChunk(chunk, meta), error: onError });
+  videoEncoder.configure(videoConfig);
+  audioEncoder.configure(audioConfig);
+
+  // Audio is known up front, so encode it all now in one-second planar chunks.
+  // The muxer queues it and interleaves with video as frames arrive.
+  const { sampleRate, numberOfChannels, length } = audioBuffer;
+  for (let start = 0; start < length; start += sampleRate) {
+    const frames = Math.min(sampleRate, length - start);
+    const planar = new Float32Array(frames * numberOfChannels);
+    for (let c = 0; c < numberOfChannels; c++) {
+      planar.set(audioBuffer.getChannelData(c).subarray(start, start + frames), c * frames);
+    }
+    const data = new AudioData({
+      format: 'f32-planar',
+      sampleRate,
+      numberOfFrames: frames,
+      numberOfChannels,
+      timestamp: Math.round((start / sampleRate) * 1e6),
+      data: planar,
+    });
+    audioEncoder.encode(data);
+    data.close();
+  }
+
+  const frameDuration = 1e6 / frameRate;
+
+  const addFrame = async (canvas, index) => {
+    if (failure) throw failure;
+
+    // Backpressure: don't let the encoder queue grow without bound on slow machines
+    while (videoEncoder.encodeQueueSize > 8) await new Promise((resolve) => setTimeout(resolve, 1));
+
+    const frame = new VideoFrame(canvas, { timestamp: Math.round(index * frameDuration), duration: Math.round(frameDuration) });
+    videoEncoder.encode(frame, { keyFrame: index % (frameRate * 2) === 0 });
+    frame.close();
+  };
+
+  const finish = async () => {
+    await Promise.all([videoEncoder.flush(), audioEncoder.flush()]);
+    if (failure) throw failure;
+    muxer.finalize();
+    videoEncoder.close();
+    audioEncoder.close();
+    return new Blob([target.buffer], { type: 'video/webm' });
+  };
+
+  const abort = () => {
+    if (videoEncoder.state !== 'closed') videoEncoder.close();
+    if (audioEncoder.state !== 'closed') audioEncoder.close();
+  };
+
+  return { extension: 'webm', addFrame, finish, abort };
+};
+
+// --- Writer: PNG Sequence into a user-picked folder (File System Access API) ---
+// Frames stream straight to disk, so this works for full-length tracks.
+export const createPngDirectoryWriter = ({ directory, audioBuffer }) => {
+  const writeFile = async (name, blob) => {
+    const handle = await directory.getFileHandle(name, { create: true });
+    const writable = await handle.createWritable();
+    await writable.write(blob);
+    await writable.close();
+  };
+
+  return {
+    extension: null,
+    addFrame: async (canvas, index) => writeFile(frameName(index), await canvasToPng(canvas)),
+    finish: async () => {
+      await writeFile('audio.wav', encodeWav(audioBuffer));
+      return null;
+    },
+    abort: () => {},
+  };
+};
+
+// --- Writer: PNG Sequence as a ZIP download (fallback) ---
+// Holds every frame in memory until the end, so it is only suitable for short clips.
+export const createPngZipWriter = ({ audioBuffer }) => {
+  const zip = createZip();
+
+  return {
+    extension: 'zip',
+    addFrame: async (canvas, index) => {
+      const png = await canvasToPng(canvas);
+      zip.addFile(frameName(index), new Uint8Array(await png.arrayBuffer()));
+    },
+    finish: async () => {
+      zip.addFile('audio.wav', new Uint8Array(await encodeWav(audioBuffer).arrayBuffer()));
+      return zip.toBlob();
+    },
+    abort: () => {},
+  };
+};
@@ -0,0 +1,123 @@
+import { createEffectsChain } from '../audio/effects.js';
+import { createStereoAnalysers } from '../audio/stereo.js';
+
+// Offline (faster than realtime) processing and analysis of an audio file, used by the
+// frame-accurate export.
+
+// Opus (used for the exported video's audio track) wants 48 kHz, so decode straight to it
+export const EXPORT_SAMPLE_RATE = 48000;
+
+export const decodeAudioFile = async (file, sampleRate = EXPORT_SAMPLE_RATE) => {
+  const data = await file.arrayBuffer();
+  const decoder = new OfflineAudioContext(2, 1, sampleRate);
+  return decoder.decodeAudioData(data);
+};
+
+// Runs the decoded audio through the same effects chain as live playback (see
+// audio/effects.js), configured from the settings object. Resolves to the processed audio,
+// which is the export's audio track.
+export const renderEffects = async (audioBuffer, settings) => {
+  const { sampleRate, length, numberOfChannels } = audioBuffer;
+  const context = new OfflineAudioContext(numberOfChannels, length, sampleRate);
+
+  const source = context.createBufferSource();
+  source.buffer = audioBuffer;
+  const chain = createEffectsChain(context, null);
+  chain.update(settings);
+  source.connect(chain.input);
+  chain.output.connect(context.destination);
+
+  source.start(0);
+  return context.startRendering();
+};
+
+// --- Source: Offline Analysis ---
+// A spectrum source (see audio/spectrumSource.js) that analyses `audioBuffer` one video frame
+// at a time: an OfflineAudioContext renders up to the next frame and suspends there, so only
+// the current frame's spectra are ever held, whatever the track length. Because it is the
+// same AnalyserNode (same window, smoothing and dB mapping) the frames match what the live
+// view would show. Frames only go forward: `await source.advance()` before each render steps
+// to the next one, and `close()` lets the context finish once you're done (or cancelled).
+export const createOfflineSource = (audioBuffer, {
+  frameRate = 30,
+  fftSize = 256,
+  smoothingTimeConstant = 0.8,
+  minDecibels = -100,
+  maxDecibels = -30,
+} = {}) => {
+  const { sampleRate, length } = audioBuffer;
+  // Nothing listens to the output, so one channel is enough; the analysers see the source's own
+  const context = new OfflineAudioContext(1, length, sampleRate);
+
+  const bufferSource = context.createBufferSource();
+  bufferSource.buffer = audioBuffer;
+  const analyser = context.createAnalyser();
+  bufferSource.connect(analyser);
+  analyser.connect(context.destination);
+  const channelAnalysers = createStereoAnalysers(context, analyser);
+
+  for (const node of [analyser, ...channelAnalysers]) {
+    node.fftSize = fftSize;
+    node.smoothingTimeConstant = smoothingTimeConstant;
+    node.minDecibels = minDecibels;
+    node.maxDecibels = maxDecibels;
+  }
+
+  const binCount = fftSize / 2;
+  // suspend() must land before the end of the buffer, so drop a partial last frame
+  const frameCount = Math.max(0, Math.floor(((length - 128) / sampleRate) * frameRate));
+  const allocate = () => ({ frequency: new Uint8Array(binCount), timeDomain: new Uint8Array(fftSize) });
+  const current = allocate();
+  const channels = channelAnalysers.map(allocate);
+  let index = -1;
+  let rendering = null;
+
+  const advance = () => {
+    if (index + 1 >= frameCount) return Promise.resolve(false);
+    const next = index + 1;
+    const reached = context.suspend(next / frameRate).then(() => {
+      analyser.getByteFrequencyData(current.frequency);
+      analyser.getByteTimeDomainData(current.timeDomain);
+      channelAnalysers.forEach((node, c) => {
+        node.getByteFrequencyData(channels[c].frequency);
+        node.getByteTimeDomainData(channels[c].timeDomain);
+      });
+      index = next;
+      return true;
+    });
+
+    if (rendering) {
+      context.resume();
+    } else {
+      bufferSource.start(0);
+      rendering = context.startRendering();
+    }
+    return reached;
+  };
+
+  // Renders the rest without stopping, so the context can be released
+  const close = () => {
+    if (rendering) context.resume();
+  };
+
+  // Readers over one pair of frame buffers
+  const reader = ({ frequency, timeDomain }) => ({
+    sampleRate,
+    fftSize,
+    getByteFrequencyData: (array) => array.set(frequency),
+    getByteTimeDomainData: (array) => array.set(timeDomain),
+  });
+
+  return {
+    ...reader(current),
+    frameRate,
+    frameCount,
+    // Follows the frame index, so beat detection sees the same clock as the audio
+    get currentTime() {
+      return Math.max(0, index) / frameRate;
+    },
+    channels: channels.map(reader),
+    advance,
+    close,
+  };
+};
@@ -0,0 +1,100 @@
+import { useCallback, useRef, useState } from 'react';
+import { downloadBlob, timestampedFileName } from '../utils/download';
+import { createPngDirectoryWriter, createPngZipWriter, createWebCodecsWriter } from './frameWriters';
+import { createOfflineSource, decodeAudioFile, renderEffects } from './offlineAnalysis';
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// --- Hook: Offline Export ---
+// Deterministic, frame-accurate export of an audio file:
+//   1. decode the file and run it through the effects chain (offlineAnalysis.js)
+//   2. mount <ExportStage> with an offline analysis source
+//   3. step the analysis and the stage frame by frame and hand each frame to a writer (frameWriters.js)
+//
+// Render `job` with <ExportStage job={job} onReady={onStageReady} /> while it is non-null.
+export const useOfflineExport = () => {
+  const [job, setJob] = useState(null);
+  const [progress, setProgress] = useState(null); // { phase, value } while running
+  const [error, setError] = useState(null);
+
+  const cancelledRef = useRef(false);
+  const stageResolverRef = useRef(null);
+
+  const onStageReady = useCallback((stage) => {
+    stageResolverRef.current?.(stage);
+    stageResolverRef.current = null;
+  }, []);
+
+  const run = async ({ file, format, width, height, frameRate, visualizerMode, settings, palette, artworkUrl, analyser, camera }) => {
+    cancelledRef.current = false;
+    setError(null);
+    let writer = null;
+    let source = null;
+
+    try {
+      // The folder picker needs the click's user activation, so it has to come before any await
+      const directoryRequest = format === 'png' && window.showDirectoryPicker
+        ? window.showDirectoryPicker({ mode: 'readwrite' })
+        : null;
+
+      setProgress({ phase: 'Decoding', value: 0 });
+      const directory = directoryRequest ? await directoryRequest : null;
+      const audioBuffer = await decodeAudioFile(file);
+
+      setProgress({ phase: 'Processing audio', value: 0 });
+      const output = await renderEffects(audioBuffer, settings);
+      if (cancelledRef.current) return;
+
+      // Write the processed audio so the export sounds like the live playback
+      if (format === 'webm') writer = await createWebCodecsWriter({ width, height, frameRate, audioBuffer: output });
+      else if (directory) writer = createPngDirectoryWriter({ directory, audioBuffer: output });
+      else writer = createPngZipWriter({ audioBuffer: output });
+
+      // The analyser sees the audio before or after the effects, as it does live
+      source = createOfflineSource(settings.analyserPosition === 'pre' ? audioBuffer : output, { frameRate, ...analyser });
+      const stage = await new Promise((resolve) => {
+        stageResolverRef.current = resolve;
+        setJob({ source, width, height, visualizerMode, settings, palette, artworkUrl, camera });
+      });
+      await nextTask(); // Let the composer finish sizing its passes
+
+      for (let i = 0; i < source.frameCount; i++) {
+        if (cancelledRef.current) {
+          writer.abort();
+          return;
+        }
+
+        await source.advance();
+        stage.advance(i / frameRate);
+        await writer.addFrame(stage.canvas, i);
+
+        // Yield now and then so the progress bar (and Cancel) stay responsive
+        if (i % 5 === 0) {
+          setProgress({ phase: 'Rendering', value: i / source.frameCount });
+          await nextTask();
+        }
+      }
+
+      setProgress({ phase: 'Encoding', value: 1 });
+      const blob = await writer.finish();
+      if (blob) downloadBlob(blob, timestampedFileName(writer.extension));
+    } catch (err) {
+      writer?.abort();
+      // Closing the folder picker is a cancel, not an error
+      if (err.name !== 'AbortError') {
+        console.error('Export failed:', err);
+        setError(err.message || 'Export failed.');
+      }
+    } finally {
+      source?.close();
+      setJob(null);
+      setProgress(null);
+    }
+  };
+
+  const cancel = () => {
+    cancelledRef.current = true;
+  };
+
+  return { job, progress, error, isRunning: progress !== null, run, cancel, onStageReady };
+};
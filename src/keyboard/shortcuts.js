@@ -0,0 +1,47 @@
+import { getVisualizers } from '../visualizers/index.js';
+
+// Keyboard shortcut map. `SHORTCUTS` feeds the help overlay; `resolveShortcut` turns a
+// keydown event into an { action, value } the app understands.
+
+export const SEEK_STEP = 5; // seconds
+export const VOLUME_STEP = 0.1;
+
+export const SHORTCUTS = [
+  { keys: ['Space'], label: 'Play / pause' },
+  { keys: ['←', '→'], label: `Seek back / forward ${SEEK_STEP} s` },
+  { keys: ['↑', '↓'], label: 'Volume up / down' },
+  { keys: getVisualizers().slice(0, 9).map((_, i) => String(i + 1)), label: 'Switch visualizer mode' },
+  { keys: ['F'], label: 'Toggle fullscreen' },
+  { keys: ['M'], label: 'Toggle microphone' },
+  { keys: ['?'], label: 'Show this list' },
+  { keys: ['Esc'], label: 'Close panels' },
+];
+
+const KEY_ACTIONS = {
+  ' ': { action: 'togglePlay' },
+  ArrowLeft: { action: 'seek', value: -SEEK_STEP },
+  ArrowRight: { action: 'seek', value: SEEK_STEP },
+  ArrowUp: { action: 'volume', value: VOLUME_STEP },
+  ArrowDown: { action: 'volume', value: -VOLUME_STEP },
+  f: { action: 'fullscreen' },
+  m: { action: 'mic' },
+  '?': { action: 'help' },
+  Escape: { action: 'escape' },
+};
+
+const isEditable = (el) =>
+  el instanceof HTMLElement && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+
+const isActivatable = (el) =>
+  el instanceof HTMLElement && (el.tagName === 'BUTTON' || el.tagName === 'A' || el.getAttribute('role') === 'button');
+
+// Returns { action, value } for the event, or null when it should be left alone: modified
+// keys, typing in form fields, and Space on a focused button (which clicks it natively).
+export const resolveShortcut = (event) => {
+  if (event.ctrlKey || event.metaKey || event.altKey) return null;
+  if (event.key !== 'Escape' && isEditable(event.target)) return null;
+  if (event.key === ' ' && isActivatable(event.target)) return null;
+
+  if (/^[1-9]$/.test(event.key)) return { action: 'mode', value: Number(event.key) - 1 };
+  return KEY_ACTIONS[event.key.length === 1 ? event.key.toLowerCase() : event.key] ?? null;
+};
@@ -0,0 +1,24 @@
+import { useEffect } from 'react';
+import { useLatest } from '../utils/useLatest';
+import { resolveShortcut } from './shortcuts';
+
+// --- Hook: Global Keyboard Shortcuts ---
+// Calls `onShortcut({ action, value })` for shortcut keys pressed anywhere on the page.
+// Pass `enabled: false` while a modal is open so it gets the keyboard to itself.
+export const useKeyboardShortcuts = (onShortcut, enabled = true) => {
+  const handlerRef = useLatest(onShortcut);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented) return;
+      const shortcut = resolveShortcut(e);
+      if (!shortcut) return;
+      if (handlerRef.current(shortcut) !== false) e.preventDefault();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled, handlerRef]);
+};
@@ -1,355 +1,306 @@
-import { Float, OrbitControls, Stars } from '@react-three/drei';
-import { Canvas, useFrame, useThree } from '@react-three/fiber';
-import { Bloom, EffectComposer } from '@react-three/postprocessing';
+import { OrbitControls } from '@react-three/drei';
+import { Canvas } from '@react-three/fiber';
 import { useEffect, useRef, useState } from 'react';
-import * as THREE from 'three';
-
-// --- Utility: Format Time ---
-const formatTime = (seconds) => {
-  if (!seconds || isNaN(seconds)) return "0:00";
-  const mins = Math.floor(seconds / 60);
-  const secs = Math.floor(seconds % 60);
-  return `${mins}:${secs.toString().padStart(2, '0')}`;
-};
-
-// --- Component: Responsive Camera Adjustment ---
-const ResponsiveCamera = () => {
-  const { camera, size } = useThree();
-  const isMobileRef = useRef(size.width < 768);
-
-  useEffect(() => {
-    const isMobile = size.width < 768;
-
-    // Only update if crossing the breakpoint to prevent snapping active user adjustments
-    if (isMobile !== isMobileRef.current) {
-      isMobileRef.current = isMobile;
-      const targetZ = isMobile ? 60 : 35;
-      const targetY = isMobile ? 30 : 20;
-
-      camera.position.set(0, targetY, targetZ);
-      camera.updateProjectionMatrix();
-    }
-  }, [size.width, camera]); // Only depend on width changing
-
-  return null;
-};
+import AudioAnalysisProvider from '../audio/AudioAnalysisProvider';
+import { BAND_MAPPING_MODES } from '../audio/bandMapper';
+import { createEffectsChain } from '../audio/effects';
+import { createSignalGenerator, GENERATOR_SIGNALS } from '../audio/generator';
+import { createLiveInputChain } from '../audio/liveInput';
+import { createStreamTrack, createTrack, findLyricsFile, getAdjacentTrackId, getIdAfterRemoval, isAudioFile, isLyricsFile, moveItem, REPEAT_MODES, shuffleIds } from '../audio/playlist';
+import { createStereoAnalysers } from '../audio/stereo';
+import { attachHls, describeStreamError, resolveStream, watchForSilence } from '../audio/streams';
+import { useIcyTitle } from '../audio/useIcyTitle';
+import { useInputDevices } from '../audio/useInputDevices';
+import { useLyrics } from '../audio/useLyrics';
+import { useMediaSession } from '../audio/useMediaSession';
+import { usePlayback } from '../audio/usePlayback';
+import { useTrackMetadata } from '../audio/useTrackMetadata';
+import { useWaveform } from '../audio/useWaveform';
+import CorrelationMeter from '../components/CorrelationMeter';
+import ExportDialog from '../components/ExportDialog';
+import LiveInputControls from '../components/LiveInputControls';
+import LyricsOverlay from '../components/LyricsOverlay';
+import MessageDialog from '../components/MessageDialog';
+import OpenUrlDialog from '../components/OpenUrlDialog';
+import PlaybackControls from '../components/PlaybackControls';
+import PresetPanel from '../components/PresetPanel';
+import QueuePanel from '../components/QueuePanel';
+import RecordControls from '../components/RecordControls';
+import SeekBar from '../components/SeekBar';
+import SettingsDrawer from '../components/SettingsDrawer';
+import ShortcutsDialog from '../components/ShortcutsDialog';
+import ThemePanel from '../components/ThemePanel';
+import Tuner from '../components/Tuner';
+import { useDialogs } from '../components/useDialogs';
+import ExportStage from '../export/ExportStage';
+import { useOfflineExport } from '../export/useOfflineExport';
+import { useKeyboardShortcuts } from '../keyboard/useKeyboardShortcuts';
+import { decodePreset, findPresetCode, presetToHash } from '../presets/presets';
+import { usePresets } from '../presets/usePresets';
+import { isRecordingSupported, RECORDING_PRESETS } from '../recording/recording';
+import RecordingCompositor from '../recording/RecordingCompositor';
+import { useCanvasRecorder } from '../recording/useCanvasRecorder';
+import ResponsiveCamera from '../scene/ResponsiveCamera';
+import { usePageVisible } from '../scene/usePageVisible';
+import VisualizerScene from '../scene/VisualizerScene';
+import { applyAnalyserSettings } from '../settings/settings';
+import { useSettings } from '../settings/useSettings';
+import { useArtworkTheme } from '../theme/useArtworkTheme';
+import { useThemes } from '../theme/useThemes';
+import { collectDroppedFiles } from '../utils/collectDroppedFiles';
+import { formatTime } from '../utils/formatTime';
+import { useLatest } from '../utils/useLatest';
+import { getVisualizer, getVisualizers } from '../visualizers';
 
-// --- Component: Bar Visualizer (Original) ---
-const BarVisualizer = ({ analyzer }) => {
-  const barsRef = useRef([]);
-  const circleRef = useRef();
-  const hoveredIndexRef = useRef(null); // Ref for performance, avoids re-renders
+// --- Component: Main Application ---
+const AudioVisualizer = () => {
+  const [analyzer, setAnalyzer] = useState(null);
+  const [channelAnalyzers, setChannelAnalyzers] = useState(null); // [left, right] AnalyserNodes for stereo
+  const [analysisEngine, setAnalysisEngine] = useState(null); // The scene's analysis engine, for the meters in the player bar
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [inputMode, setInputMode] = useState('file'); // 'file', 'mic', 'system' or 'generator'
+  const [fileName, setFileName] = useState(null);
+  const [isMicActive, setIsMicActive] = useState(false);
+  const [isSystemActive, setIsSystemActive] = useState(false);
+  const [isGeneratorActive, setIsGeneratorActive] = useState(false);
+  const isInputActive = isMicActive || isSystemActive || isGeneratorActive; // A live source instead of a track
 
-  // Configuration
-  const barCount = 64;
-  const radius = 12;
+  // New State: Visualizer Mode
+  const [visualizerMode, setVisualizerMode] = useState('bars'); // A registered visualizer id, see visualizers/registry.js
+  const [bpm, setBpm] = useState(0); // Running tempo estimate from the beat detector
 
-  useFrame(() => {
-    if (!analyzer) return;
+  // Settings State (persisted; analyser values apply live without rebuilding the graph)
+  const { settings, updateSetting, replaceSettings, resetSettings } = useSettings();
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const { smoothing, minDecibels, maxDecibels } = settings;
+  const dialogs = useDialogs();
 
-    const dataArray = new Uint8Array(analyzer.frequencyBinCount);
-    analyzer.getByteFrequencyData(dataArray);
+  // Some visualizers need a finer spectrum than the FFT Size setting (see visualizers/registry.js)
+  const activeVisualizer = getVisualizer(visualizerMode);
+  const fftSize = Math.max(settings.fftSize, activeVisualizer?.minFftSize ?? 0);
 
-    // Rotate the entire ring slowly (only if not hovering significantly?)
-    // Keeping rotation adds life, but we can slow it if desired.
-    if (circleRef.current) {
-      circleRef.current.rotation.y -= 0.002;
+  useEffect(() => {
+    for (const node of [analyzer, ...(channelAnalyzers ?? [])]) {
+      if (node) applyAnalyserSettings(node, { fftSize, smoothing, minDecibels, maxDecibels });
     }
+  }, [analyzer, channelAnalyzers, fftSize, smoothing, minDecibels, maxDecibels]);
+
+  // Queue State
+  const [queue, setQueue] = useState([]);
+  const [currentTrackId, setCurrentTrackId] = useState(null);
+  const [shuffleOrder, setShuffleOrder] = useState(null); // Shuffled track ids, null when shuffle is off
+  const [repeatMode, setRepeatMode] = useState('off'); // 'off', 'all', 'one'
+  const [isQueueOpen, setIsQueueOpen] = useState(false);
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
+  const [isOpenUrlOpen, setIsOpenUrlOpen] = useState(false);
+
+  // Tags, album art and lyrics of the playing file; the art can also stand in for the color theme
+  const currentTrack = inputMode === 'file' ? queue.find((track) => track.id === currentTrackId) : null;
+  const currentFile = currentTrack?.file ?? null;
+  const metadata = useTrackMetadata(currentFile);
+  const lyrics = useLyrics(currentTrack?.lyricsFile ?? null, metadata?.lyrics ?? null);
+  // Radio streams name the song playing; the station name moves to the subtitle
+  const icyTitle = useIcyTitle(isPlaying && currentTrack?.url && !currentTrack.isHls ? currentTrack.url : null);
+  const trackTitle = icyTitle ?? metadata?.title ?? fileName;
+  const trackSubtitle = icyTitle ? fileName : [metadata?.artist, metadata?.album].filter(Boolean).join(' — ');
+  const artworkTheme = useArtworkTheme(settings.artworkColors ? metadata?.artworkUrl : null);
+  const themes = useThemes(artworkTheme);
 
-    barsRef.current.forEach((bar, i) => {
-      if (!bar) return;
-
-      // Map audio data to scale
-      const index = Math.floor((i / barCount) * (dataArray.length / 2));
-      const frequencyValue = dataArray[index];
+  const audioContextRef = useRef(null);
+  const audioElementRef = useRef(null);
+  const mediaStreamRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const canvasRef = useRef(null);
+  const controlsRef = useRef(null); // OrbitControls: owns the live camera and its orbit target
+  const pendingCameraRef = useRef(null); // Preset camera waiting for the controls to mount
+  const recordingTapRef = useRef(null); // { source, destination } feeding audio to the recorder
+  const outputGainRef = useRef(null); // File playback and generator volume, between the effects chain and the speakers
+  const effectsChainRef = useRef(null); // EQ/compressor/filter/reverb between the source and the output
+  const liveInputRef = useRef(null); // Input gain, noise gate and auto level for mic and system capture
+  const generatorRef = useRef(null); // Test signal source in generator mode
+  const hlsRef = useRef(null); // hls.js player of the playing HLS stream, if the browser needs one
+  const hlsRequestRef = useRef(0); // Bumped per track, so a late hls.js load can tell it's stale
+  const playback = usePlayback({ audioRef: audioElementRef, outputGainRef, isPlaying });
+  const { duration, currentTime, playbackRate, loop, isLive: isLiveStream } = playback;
+  const [inputMeter, setInputMeter] = useState(null); // Live input's (or the generator's) output analyser, for the level meter
+  const [tunerTap, setTunerTap] = useState(null); // Live input's analyser for the tuner
+  const inputDevices = useInputDevices();
+
+  // Effect parameters and bypasses also apply live; the chain only rewires when a bypass flips
+  useEffect(() => {
+    effectsChainRef.current?.update(settings);
+    liveInputRef.current?.update(settings);
+    generatorRef.current?.update(settings);
+  }, [settings]);
 
-      // Base Audio Scale
-      let targetScale = Math.max(0.4, (frequencyValue / 255) * 8);
+  // The browser's mic processing can change on the running track, no need to reopen the mic
+  const { micEchoCancellation, micNoiseSuppression, micAutoGainControl } = settings;
+  useEffect(() => {
+    if (!isMicActive) return;
+    mediaStreamRef.current?.getAudioTracks().forEach((track) => {
+      track.applyConstraints({
+        echoCancellation: micEchoCancellation,
+        noiseSuppression: micNoiseSuppression,
+        autoGainControl: micAutoGainControl,
+      }).catch((err) => console.warn('Could not change microphone processing:', err));
+    });
+  }, [isMicActive, micEchoCancellation, micNoiseSuppression, micAutoGainControl]);
 
-      // --- Interactive Logic ---
-      // If hovered, boost significantly.
-      // If close to hovered (optional spread), could boost too.
-      if (hoveredIndexRef.current === i) {
-        targetScale = Math.max(targetScale, 12); // Boost height on hover
-      }
+  // --- Presets ---
+  const presetStore = usePresets();
 
-      // Smooth interpolation for height (Lerp)
-      // Increasing lerp factor for interaction helps it feel responsive but smooth
-      bar.scale.y = THREE.MathUtils.lerp(bar.scale.y, targetScale, 0.15);
+  const captureCamera = () => {
+    const controls = controlsRef.current;
+    if (!controls) return { position: [0, 20, 35], target: [0, 0, 0] };
+    return { position: controls.object.position.toArray(), target: controls.target.toArray() };
+  };
 
-      // Color Calculation
-      const isHovered = hoveredIndexRef.current === i;
-      let hue = 0.5 + (frequencyValue / 255) * 0.4;
-      let lightness = 0.3 + (frequencyValue / 255) * 0.4;
+  const applyCamera = (camera) => {
+    const controls = controlsRef.current;
+    if (!controls) {
+      pendingCameraRef.current = camera;
+      return;
+    }
+    controls.object.position.set(...camera.position);
+    controls.target.set(...camera.target);
+    controls.update();
+  };
 
-      if (isHovered) {
-        hue = 0.6; // Cyan-ish
-        lightness = 1.0; // White hot
-      }
+  const handleControlsRef = (controls) => {
+    controlsRef.current = controls;
+    if (controls && pendingCameraRef.current) {
+      applyCamera(pendingCameraRef.current);
+      pendingCameraRef.current = null;
+    }
+  };
 
-      bar.material.color.setHSL(hue, 0.9, lightness);
-      bar.material.emissive.setHSL(hue, isHovered ? 1.0 : 0.8, isHovered ? 0.8 : 0.5);
-    });
+  const currentPreset = (name) => ({
+    name,
+    visualizerMode,
+    settings,
+    theme: themes.theme.custom ? themes.theme : themes.theme.id,
+    camera: captureCamera(),
   });
 
-  return (
-    <group ref={circleRef}>
-      {[...Array(barCount)].map((_, i) => {
-        const angle = (i / barCount) * Math.PI * 2;
-        const x = Math.cos(angle) * radius;
-        const z = Math.sin(angle) * radius;
-
-        return (
-          <mesh
-            key={i}
-            position={[x, 0, z]}
-            rotation={[0, -angle, 0]}
-            ref={(el) => (barsRef.current[i] = el)}
-            onPointerOver={(e) => { e.stopPropagation(); hoveredIndexRef.current = i; }}
-            onPointerOut={() => { hoveredIndexRef.current = null; }}
-          >
-            {/* Slimmer bars for a more refined look */}
-            <boxGeometry args={[0.3, 1, 0.3]} />
-            <meshStandardMaterial
-              color="cyan"
-              roughness={0.2}
-              metalness={0.8}
-              toneMapped={false}
-              emissiveIntensity={1}
-            />
-          </mesh>
-        );
-      })}
-    </group>
-  );
-};
-
-// --- Component: Sphere Visualizer (Pulsing Mesh) ---
-const SphereVisualizer = ({ analyzer }) => {
-  const meshRef = useRef();
-
-  // Interactive hover state
-  const isHoveredRef = useRef(false);
-
-  useFrame((state) => {
-    if (!analyzer || !meshRef.current) return;
-
-    const dataArray = new Uint8Array(analyzer.frequencyBinCount);
-    analyzer.getByteFrequencyData(dataArray);
+  const applyPreset = (preset) => {
+    setVisualizerMode(preset.visualizerMode);
+    replaceSettings(preset.settings);
+    themes.applyTheme(preset.theme);
+    applyCamera(preset.camera);
+  };
 
-    const range = 16;
-    let sum = 0;
-    for (let i = 0; i < range; i++) sum += dataArray[i];
-    const average = sum / range;
+  // Throws (with a readable message) if the text holds no valid preset
+  const loadPresetCode = (text) => {
+    const code = findPresetCode(text);
+    if (!code) throw new Error('No preset found in that link.');
+    applyPreset(decodePreset(code));
+  };
 
-    const scaleBase = 1 + (average / 255) * 2.5;
-    const targetScale = isHoveredRef.current ? scaleBase * 1.5 : scaleBase;
+  const copyPresetLink = async () => {
+    const url = new URL(window.location.href);
+    url.hash = presetToHash(currentPreset('Shared Preset'));
+    window.history.replaceState(null, '', url);
+    await navigator.clipboard.writeText(url.toString());
+  };
 
-    meshRef.current.scale.x = THREE.MathUtils.lerp(meshRef.current.scale.x, targetScale, 0.2);
-    meshRef.current.scale.y = THREE.MathUtils.lerp(meshRef.current.scale.y, targetScale, 0.2);
-    meshRef.current.scale.z = THREE.MathUtils.lerp(meshRef.current.scale.z, targetScale, 0.2);
+  // Restore a preset from the URL on load, and whenever a new link is pasted into the address bar
+  const [presetLinkError, setPresetLinkError] = useState(null);
+  const loadPresetCodeRef = useLatest(loadPresetCode);
 
-    meshRef.current.rotation.x += 0.005;
-    meshRef.current.rotation.y += 0.005;
+  useEffect(() => {
+    const handleHash = () => {
+      if (!findPresetCode(window.location.hash)) return;
+      try {
+        loadPresetCodeRef.current(window.location.hash);
+        setPresetLinkError(null);
+      } catch (err) {
+        setPresetLinkError(`This link's preset could not be loaded: ${err.message}`);
+      }
+    };
+    handleHash();
+    window.addEventListener('hashchange', handleHash);
+    return () => window.removeEventListener('hashchange', handleHash);
+  }, [loadPresetCodeRef]);
+
+  // --- Recording ---
+  const [recordPresetId, setRecordPresetId] = useState('1080p30');
+  const [recordMaxDuration, setRecordMaxDuration] = useState(60);
+
+  // Tap the end of the effects chain so file, mic and system sources all record the same way
+  const getRecordingAudioStream = () => {
+    const output = effectsChainRef.current?.output;
+    if (!output || output.context.state === 'closed') return null;
+    const destination = output.context.createMediaStreamDestination();
+    output.connect(destination);
+    recordingTapRef.current = { source: output, destination };
+    return destination.stream;
+  };
 
-    const hue = (state.clock.elapsedTime * 0.05) % 1;
-    const lightness = isHoveredRef.current ? 0.8 : 0.5;
+  const releaseRecordingAudioStream = () => {
+    const tap = recordingTapRef.current;
+    if (!tap) return;
+    recordingTapRef.current = null;
+    if (tap.source.context.state !== 'closed') tap.source.disconnect(tap.destination);
+  };
 
-    meshRef.current.material.color.setHSL(hue, 0.7, lightness);
-    meshRef.current.material.emissive.setHSL(hue, 0.8, 0.5 + (average / 255) * 0.5);
+  const recorder = useCanvasRecorder({
+    canvasRef,
+    getAudioStream: getRecordingAudioStream,
+    releaseAudioStream: releaseRecordingAudioStream,
   });
 
-  return (
-    <mesh
-      ref={meshRef}
-      onPointerOver={() => isHoveredRef.current = true}
-      onPointerOut={() => isHoveredRef.current = false}
-    >
-      <icosahedronGeometry args={[4, 5]} />
-      <meshStandardMaterial
-        color="#ffffff"
-        wireframe
-        transparent
-        opacity={0.8}
-        toneMapped={false}
-        emissiveIntensity={1}
-      />
-    </mesh>
-  );
-};
+  // `recorder.stop` is stable; holding it in a ref lets cleanupAudio (and the unmount effect) use it
+  const stopRecordingRef = useRef(recorder.stop);
 
-// --- Component: Wave Visualizer (Circular Time Domain) ---
-const WaveVisualizer = ({ analyzer }) => {
-  const groupRef = useRef();
-  const count = 128; // Number of particles
-  const radius = 10;
-  const particlesRef = useRef([]);
-  const hoveredIndexRef = useRef(null);
-
-  useFrame(() => {
-    if (!analyzer) return;
-    const dataArray = new Uint8Array(analyzer.fftSize);
-    analyzer.getByteTimeDomainData(dataArray); // Time domain for waveform
-
-    particlesRef.current.forEach((mesh, i) => {
-      if (!mesh) return;
-
-      // Map time domain (0-255) centered at 128
-      const index = Math.floor((i / count) * dataArray.length);
-      const value = dataArray[index];
-      let displacement = ((value - 128) / 128) * 6; // Amplitude
-
-      // Interaction
-      if (hoveredIndexRef.current === i) {
-        displacement += 5; // Pop up
-      }
-
-      const angle = (i / count) * Math.PI * 2;
-      // Radius changes with audio
-      const r = radius + displacement;
-
-      mesh.position.x = Math.cos(angle) * r;
-      mesh.position.z = Math.sin(angle) * r;
-      // Also oscillate Y specifically for wave look
-      mesh.position.y = displacement * 1.5;
+  const startRecording = () => {
+    const preset = RECORDING_PRESETS.find((p) => p.id === recordPresetId) ?? RECORDING_PRESETS[0];
+    recorder.start({ preset, maxDuration: recordMaxDuration });
+  };
 
-      // Color logic
-      const intensity = Math.abs(displacement) / 4;
-      const isHovered = hoveredIndexRef.current === i;
+  // --- Offline Export ---
+  const [isExportOpen, setIsExportOpen] = useState(false);
+  const exporter = useOfflineExport();
 
-      mesh.material.color.setHSL(0.6 + intensity, 1.0, isHovered ? 1.0 : 0.5);
-      mesh.scale.setScalar(isHovered ? 0.4 + intensity : 0.2 + intensity);
-      mesh.material.emissive.setHSL(0.6 + intensity, 0.8, 0.5);
-    });
+  const startExport = (options) => {
+    const track = findTrack(currentTrackId);
+    if (!track?.file) return;
 
-    if (groupRef.current) {
-      groupRef.current.rotation.y += 0.002;
+    // Pause live playback so it doesn't compete with the export for the CPU
+    if (audioElementRef.current && isPlaying) {
+      audioElementRef.current.pause();
+      setIsPlaying(false);
     }
-  });
 
-  return (
-    <group ref={groupRef}>
-      {[...Array(count)].map((_, i) => (
-        <mesh
-          key={i}
-          ref={el => particlesRef.current[i] = el}
-          position={[Math.cos((i / count) * Math.PI * 2) * radius, 0, Math.sin((i / count) * Math.PI * 2) * radius]}
-          onPointerOver={(e) => { e.stopPropagation(); hoveredIndexRef.current = i; }}
-          onPointerOut={() => hoveredIndexRef.current = null}
-        >
-          <sphereGeometry args={[0.2, 8, 8]} />
-          <meshStandardMaterial
-            color="#00ffff"
-            emissive="#00ffff"
-            emissiveIntensity={1.5}
-            toneMapped={false}
-          />
-        </mesh>
-      ))}
-    </group>
-  )
-}
-
-
-// --- Component: Linear Bar Visualizer (Classic) ---
-const LinearBarVisualizer = ({ analyzer }) => {
-  const barsRef = useRef([]);
-  const groupRef = useRef();
-  const hoveredIndexRef = useRef(null);
-
-  // Configuration
-  const barCount = 48; // Fewer bars than circular for cleaner simplified look
-  const spacing = 1.2;
-  const totalWidth = barCount * spacing;
-
-  useFrame(() => {
-    if (!analyzer) return;
-
-    const dataArray = new Uint8Array(analyzer.frequencyBinCount);
-    analyzer.getByteFrequencyData(dataArray);
-
-    barsRef.current.forEach((bar, i) => {
-      if (!bar) return;
-
-      // Linear mapping
-      // We skip the very high frequencies which are often empty
-      const index = Math.floor((i / barCount) * (dataArray.length * 0.8));
-      const frequencyValue = dataArray[index];
-
-      // Scale height
-      let targetHeight = Math.max(0.2, (frequencyValue / 255) * 14);
-
-      // Interaction
-      if (hoveredIndexRef.current === i) {
-        targetHeight = Math.max(targetHeight, 15);
-      }
-
-      bar.scale.y = THREE.MathUtils.lerp(bar.scale.y, targetHeight, 0.2);
-
-      // Position: Move up so it grows from bottom
-      bar.position.y = bar.scale.y / 2;
-
-      // ColorGradient: Low=Blue, Mid=Cyan, High=White
-      const hue = 0.6 - (frequencyValue / 255) * 0.15; // 0.6(Blue) -> 0.45(Cyan)
-      const lightness = hoveredIndexRef.current === i ? 1.0 : 0.4 + (frequencyValue / 255) * 0.6; // Get brighter
-
-      bar.material.color.setHSL(hue, 0.9, lightness);
-      bar.material.color.setHSL(hue, 0.9, lightness);
-      bar.material.emissive.setHSL(hue, 0.8, 0.5);
+    exporter.run({
+      ...options,
+      file: track.file,
+      visualizerMode,
+      settings,
+      palette: themes.palette,
+      artworkUrl: metadata?.artworkUrl,
+      camera: captureCamera(),
+      analyser: {
+        fftSize,
+        smoothingTimeConstant: settings.smoothing,
+        minDecibels: settings.minDecibels,
+        maxDecibels: settings.maxDecibels,
+      },
     });
-  });
-
-  return (
-    <group ref={groupRef} position={[-totalWidth / 2, -6, 0]}>
-      {[...Array(barCount)].map((_, i) => (
-        <mesh
-          key={i}
-          position={[i * spacing, 0, 0]}
-          ref={(el) => (barsRef.current[i] = el)}
-          onPointerOver={(e) => { e.stopPropagation(); hoveredIndexRef.current = i; }}
-          onPointerOut={() => hoveredIndexRef.current = null}
-        >
-          <boxGeometry args={[0.8, 1, 0.8]} />
-          <meshStandardMaterial
-            color="cyan"
-            roughness={0.2}
-            metalness={0.8}
-            emissive="cyan"
-            emissiveIntensity={1.2}
-            toneMapped={false}
-          />
-        </mesh>
-      ))}
-    </group>
-  );
-};
-
-// --- Component: Main Application ---
-const AudioVisualizer = () => {
-  const [analyzer, setAnalyzer] = useState(null);
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [duration, setDuration] = useState(0);
-  const [currentTime, setCurrentTime] = useState(0);
-  const [inputMode, setInputMode] = useState('file'); // 'file' or 'mic'
-  const [fileName, setFileName] = useState(null);
-  const [isMicActive, setIsMicActive] = useState(false);
-  const [isSystemActive, setIsSystemActive] = useState(false);
-
-  // New State: Visualizer Mode
-  const [visualizerMode, setVisualizerMode] = useState('bars'); // 'bars', 'sphere', 'wave'
-
-  const audioContextRef = useRef(null);
-  const audioElementRef = useRef(null);
-  const mediaStreamRef = useRef(null);
-  const fileInputRef = useRef(null);
+  };
 
   // --- Cleanup Logic ---
   const cleanupAudio = () => {
+    stopRecordingRef.current(); // The recording's audio comes from this graph, so finish it first
     setIsPlaying(false);
     setIsMicActive(false);
     setIsSystemActive(false);
+    setIsGeneratorActive(false);
+    setBpm(0);
 
     // Stop File Audio
+    hlsRef.current?.destroy();
+    hlsRef.current = null;
+    hlsRequestRef.current++;
     if (audioElementRef.current) {
       audioElementRef.current.pause();
       if (audioElementRef.current.src.startsWith('blob:')) {
@@ -365,6 +316,14 @@ const AudioVisualizer = () => {
     }
 
     // Close Context
+    outputGainRef.current = null;
+    effectsChainRef.current = null;
+    liveInputRef.current?.dispose();
+    liveInputRef.current = null;
+    generatorRef.current?.dispose();
+    generatorRef.current = null;
+    setInputMeter(null);
+    setTunerTap(null);
     if (audioContextRef.current) {
       audioContextRef.current.close();
       audioContextRef.current = null;
@@ -385,73 +344,303 @@ const AudioVisualizer = () => {
     audioContextRef.current = audioCtx;
 
     const newAnalyzer = audioCtx.createAnalyser();
-    newAnalyzer.fftSize = 256;
-    newAnalyzer.smoothingTimeConstant = 0.8; // Smooths the bars
+    applyAnalyserSettings(newAnalyzer, { ...settings, fftSize }); // FFT size, smoothing (smooths the bars) and dB range
     setAnalyzer(newAnalyzer);
 
-    return { audioCtx, newAnalyzer };
+    // Left/right analysers hang off the main one, so every input gets stereo analysis
+    const channels = createStereoAnalysers(audioCtx, newAnalyzer);
+    channels.forEach((node) => applyAnalyserSettings(node, { ...settings, fftSize }));
+    setChannelAnalyzers(channels);
+
+    // Sources connect to the chain's input; it taps the analyser before or after the effects
+    const effects = createEffectsChain(audioCtx, newAnalyzer);
+    effects.update(settings);
+    effectsChainRef.current = effects;
+
+    return { audioCtx, effects };
   };
 
-  // --- Handle File Input ---
-  const handleFileChange = (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  // --- Live Input Graph ---
+  // Mic and system capture: Source -> Gain/Gate/Auto Level -> Effects (-> Analyzer).
+  // Never connected to the speakers, to avoid feedback.
+  const connectLiveInput = (stream) => {
+    const { audioCtx, effects } = initAudioContext();
+    const liveInput = createLiveInputChain(audioCtx);
+    liveInput.update(settings);
+    liveInputRef.current = liveInput;
+    setInputMeter(liveInput.meter);
+    setTunerTap(liveInput.tunerTap);
+
+    audioCtx.createMediaStreamSource(stream).connect(liveInput.input);
+    liveInput.output.connect(effects.input);
+  };
 
-    cleanupAudio();
-    const { audioCtx, newAnalyzer } = initAudioContext();
+  // --- File Playback Graph ---
+  // Built once and reused across tracks: switching tracks only swaps the element's src,
+  // so the AudioContext and analyser survive the whole queue.
+  const ensureFileGraph = () => {
+    if (audioElementRef.current && audioContextRef.current) return audioElementRef.current;
 
-    setFileName(file.name.replace(/\.[^/.]+$/, ""));
+    cleanupAudio();
+    const { audioCtx, effects } = initAudioContext();
     setInputMode('file');
 
-    const audioUrl = URL.createObjectURL(file);
-    const audio = new Audio(audioUrl);
+    const audio = new Audio();
+    audio.crossOrigin = 'anonymous'; // Without CORS, audio from other sites reaches the analyser as silence
+    playback.attach(audio);
     audioElementRef.current = audio;
 
     audio.addEventListener('loadedmetadata', () => {
-      setDuration(audio.duration);
       audio.play().then(() => setIsPlaying(true)).catch(console.error);
     });
+    // Stay in step when something else pauses or resumes playback (OS media controls, unplugged headphones)
+    audio.addEventListener('play', () => setIsPlaying(true));
+    audio.addEventListener('pause', () => setIsPlaying(false));
 
-    audio.addEventListener('timeupdate', () => setCurrentTime(audio.currentTime));
-    audio.addEventListener('ended', () => setIsPlaying(false));
+    audio.addEventListener('ended', () => trackEndedRef.current());
+    audio.addEventListener('error', () => mediaErrorRef.current());
 
-    // Connect: Source -> Analyzer -> Speakers
+    // Connect: Source -> Effects (-> Analyzer) -> Volume -> Speakers
     const source = audioCtx.createMediaElementSource(audio);
-    source.connect(newAnalyzer);
-    newAnalyzer.connect(audioCtx.destination);
+    const outputGain = audioCtx.createGain();
+    outputGain.gain.value = playback.gain;
+    outputGainRef.current = outputGain;
+    source.connect(effects.input);
+    effects.output.connect(outputGain);
+    outputGain.connect(audioCtx.destination);
+
+    return audio;
+  };
+
+  const playTrack = (track) => {
+    const audio = ensureFileGraph();
+    hlsRef.current?.destroy();
+    hlsRef.current = null;
+    if (audio.src.startsWith('blob:')) URL.revokeObjectURL(audio.src);
+
+    setCurrentTrackId(track.id);
+    setFileName(track.name);
+    playback.resetTrack();
+
+    // Playback starts on loadedmetadata
+    const request = ++hlsRequestRef.current;
+    if (track.file) {
+      audio.src = URL.createObjectURL(track.file);
+    } else if (track.isHls) {
+      attachHls(audio, track.url, () => mediaErrorRef.current())
+        .then((hls) => {
+          if (request === hlsRequestRef.current) hlsRef.current = hls;
+          else hls?.destroy();
+        })
+        .catch((err) => dialogs.alert({ title: 'Stream Unavailable', message: err.message }));
+    } else {
+      audio.src = track.url;
+    }
+  };
+
+  // Streams fail for many reasons the element doesn't report (CORS, HTTP errors), so ask the server
+  const handleMediaError = () => {
+    const track = findTrack(currentTrackId);
+    setIsPlaying(false);
+    if (!track?.url) {
+      dialogs.alert({ title: 'Playback Failed', message: `${track?.name ?? 'This file'} could not be played.` });
+      return;
+    }
+    describeStreamError(track.url).then((message) => dialogs.alert({ title: 'Stream Unavailable', message }));
+  };
+
+  const mediaErrorRef = useLatest(handleMediaError); // For the element's listener, set up once per track
+
+  // Resolves playlists and queues the stream; throws user-facing errors for the dialog
+  const openUrl = async (input) => {
+    const track = createStreamTrack(await resolveStream(input));
+    setQueue((prev) => [...prev, track]);
+    setShuffleOrder((prev) => (prev ? [...prev, track.id] : prev));
+    playTrack(track);
+  };
+
+  // A stream can pass the CORS check and still reach the graph as silence (some redirects do)
+  const isStreamPlaying = isPlaying && Boolean(currentTrack?.url);
+  const alertRef = useLatest(dialogs.alert);
+
+  useEffect(() => {
+    if (!isStreamPlaying || !analyzer || !audioElementRef.current) return undefined;
+    return watchForSilence({
+      analyser: analyzer,
+      audio: audioElementRef.current,
+      onSilent: (message) => alertRef.current({ title: 'No Audio Data', message }),
+    });
+  }, [isStreamPlaying, analyzer, currentTrackId, alertRef]);
+
+  // --- Queue ---
+  const showQueueControls = inputMode === 'file' && queue.length > 0;
+  const playOrder = shuffleOrder ?? queue.map((track) => track.id);
+  const findTrack = (id) => queue.find((track) => track.id === id);
+  const waveformPeaks = useWaveform(currentFile);
+
+  // .lrc files go with the audio file of the same name; a lone one goes with the playing track
+  const enqueueFiles = (files) => {
+    const lyricsFiles = files.filter(isLyricsFile);
+    const tracks = files.filter(isAudioFile).map((file) => createTrack(file, findLyricsFile(file, lyricsFiles)));
+    if (!tracks.length) {
+      if (lyricsFiles.length && currentTrackId) {
+        setQueue((prev) => prev.map((track) => (track.id === currentTrackId ? { ...track, lyricsFile: lyricsFiles[0] } : track)));
+      }
+      return;
+    }
+
+    setQueue((prev) => [...prev, ...tracks]);
+    setShuffleOrder((prev) => (prev ? [...prev, ...shuffleIds(tracks.map((track) => track.id))] : prev));
+
+    // Start the first new track unless the queue is already playing
+    if (!isPlaying || inputMode !== 'file') playTrack(tracks[0]);
+  };
+
+  const playAdjacent = (direction) => {
+    // "Previous" restarts the current track first, like most players
+    const audio = audioElementRef.current;
+    if (direction < 0 && audio && audio.currentTime > 3) {
+      audio.currentTime = 0;
+      return;
+    }
+
+    const track = findTrack(getAdjacentTrackId(playOrder, currentTrackId, direction, repeatMode));
+    if (track) playTrack(track);
+  };
+
+  const handleTrackEnded = () => {
+    if (repeatMode === 'one' && audioElementRef.current) {
+      audioElementRef.current.currentTime = 0;
+      audioElementRef.current.play().catch(console.error);
+      return;
+    }
+
+    const next = findTrack(getAdjacentTrackId(playOrder, currentTrackId, 1, repeatMode));
+    if (next) playTrack(next);
+    else setIsPlaying(false);
+  };
+
+  const trackEndedRef = useLatest(handleTrackEnded); // The element's 'ended' listener sees the current queue
+
+  const removeTrack = (id) => {
+    if (id === currentTrackId) {
+      const next = findTrack(getIdAfterRemoval(playOrder, id, repeatMode));
+      if (next) {
+        playTrack(next);
+      } else {
+        audioElementRef.current?.pause();
+        setIsPlaying(false);
+        setCurrentTrackId(null);
+      }
+    }
+
+    setQueue((prev) => prev.filter((track) => track.id !== id));
+    setShuffleOrder((prev) => (prev ? prev.filter((trackId) => trackId !== id) : prev));
+  };
+
+  const moveTrack = (from, to) => setQueue((prev) => moveItem(prev, from, to));
+
+  const clearQueue = () => {
+    setQueue([]);
+    setShuffleOrder((prev) => (prev ? [] : prev));
+  };
+
+  const toggleShuffle = () => {
+    setShuffleOrder(shuffleOrder ? null : shuffleIds(queue.map((track) => track.id), currentTrackId));
+  };
+
+  const cycleRepeat = () => {
+    setRepeatMode(REPEAT_MODES[(REPEAT_MODES.indexOf(repeatMode) + 1) % REPEAT_MODES.length]);
+  };
+
+  // --- Handle File Input ---
+  const handleFileChange = (event) => {
+    enqueueFiles([...event.target.files]);
+    event.target.value = ''; // Allow picking the same files again
+  };
+
+  // --- Handle Drag & Drop (files and folders) ---
+  const isFileDrag = (e) => [...e.dataTransfer.types].includes('Files');
+
+  const handleDragOver = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    setIsDraggingFiles(true);
+  };
+
+  const handleDragLeave = (e) => {
+    // Only clear when leaving the window, not when moving between children
+    if (!e.relatedTarget) setIsDraggingFiles(false);
+  };
+
+  const handleDrop = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    setIsDraggingFiles(false);
+    collectDroppedFiles(e.dataTransfer).then(enqueueFiles).catch(console.error);
   };
 
   // --- Handle Microphone Input ---
-  const handleMicInput = async () => {
+  // `deviceId` '' is the system default
+  const handleMicInput = async (deviceId = inputDevices.deviceId) => {
     try {
       cleanupAudio();
       setFileName("Live Microphone Input");
       setInputMode('mic');
 
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: false });
+      // Ask for stereo; most mics are mono anyway, and then both channels show the same signal
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+          deviceId: deviceId ? { exact: deviceId } : undefined,
+          channelCount: { ideal: 2 },
+          echoCancellation: settings.micEchoCancellation,
+          noiseSuppression: settings.micNoiseSuppression,
+          autoGainControl: settings.micAutoGainControl,
+        },
+        video: false,
+      });
       mediaStreamRef.current = stream;
       setIsMicActive(true);
+      inputDevices.refresh(); // Device labels only show up once permission is granted
 
-      const { audioCtx, newAnalyzer } = initAudioContext();
-
-      // Connect: Mic -> Analyzer (NOT to speakers, to avoid feedback)
-      const source = audioCtx.createMediaStreamSource(stream);
-      source.connect(newAnalyzer);
+      // Unplugged: carry on with the default device
+      stream.getAudioTracks()[0].addEventListener('ended', () => micUnpluggedRef.current());
 
-      // We don't connect to destination, so no feedback loop!
+      connectLiveInput(stream);
 
     } catch (err) {
       console.error("Microphone access denied:", err);
-      alert("Microphone access denied. Please check permission.");
+      setIsMicActive(false);
+      dialogs.alert({
+        title: 'Microphone Unavailable',
+        message: 'Microphone access was denied. Please check the permission in your browser settings.',
+      });
     }
   };
 
+  const micUnpluggedRef = useLatest(() => handleMicInput('')); // For the mic track's 'ended' listener
+
+  // Switching devices reopens a running mic on the new one
+  const selectInputDevice = (deviceId) => {
+    inputDevices.selectDevice(deviceId);
+    if (isMicActive) handleMicInput(deviceId);
+  };
+
   // --- Handle System Audio (Screen Share) ---
   const handleSystemAudio = async () => {
     // Explicit disclaimer to ensure user understands the requirement
-    const proceed = window.confirm(
-      "To visualize system audio, you must share your screen or tab.\n\n⚠️ IMPORTANT: You MUST check the 'Share system audio' box in the browser popup, otherwise no sound will be detected.\n\nClick OK to proceed."
-    );
+    const proceed = await dialogs.confirm({
+      title: 'Share System Audio',
+      message: (
+        <>
+          To visualize system audio, you must share your screen or tab.
+          <strong className="block mt-3 text-white">
+            ⚠️ Check the &lsquo;Share system audio&rsquo; box in the browser popup, otherwise no sound will be detected.
+          </strong>
+        </>
+      ),
+      confirmLabel: 'Continue',
+    });
     if (!proceed) return;
 
     try {
@@ -466,8 +655,11 @@ const AudioVisualizer = () => {
 
       // Validations
       if (stream.getAudioTracks().length === 0) {
-        alert("No audio shared! Please check the 'Share system audio' box in the browser window.");
         stream.getTracks().forEach(track => track.stop());
+        dialogs.alert({
+          title: 'No Audio Shared',
+          message: "Please check the 'Share system audio' box in the browser window and try again.",
+        });
         return;
       }
 
@@ -476,9 +668,7 @@ const AudioVisualizer = () => {
       setIsSystemActive(true);
       mediaStreamRef.current = stream;
 
-      const { audioCtx, newAnalyzer } = initAudioContext();
-      const source = audioCtx.createMediaStreamSource(stream);
-      source.connect(newAnalyzer);
+      connectLiveInput(stream);
 
       // Handle "Stop Sharing" button in browser UI
       stream.getVideoTracks()[0].onended = () => {
@@ -492,17 +682,45 @@ const AudioVisualizer = () => {
     }
   };
 
+  // --- Handle Test Signal Generator ---
+  // Connect: Generator -> Effects (-> Analyzer) -> Volume -> Speakers, like file playback
+  const handleGenerator = () => {
+    cleanupAudio();
+    const { audioCtx, effects } = initAudioContext();
+    setFileName('Test Signal');
+    setInputMode('generator');
+    setIsGeneratorActive(true);
+
+    const generator = createSignalGenerator(audioCtx);
+    generator.update(settings);
+    generatorRef.current = generator;
+    setInputMeter(generator.meter);
+
+    const outputGain = audioCtx.createGain();
+    outputGain.gain.value = playback.gain;
+    outputGainRef.current = outputGain;
+    generator.output.connect(effects.input);
+    effects.output.connect(outputGain);
+    outputGain.connect(audioCtx.destination);
+  };
+
   // --- Controls ---
   const togglePlay = () => {
-    if (inputMode === 'mic' || inputMode === 'system') {
+    if (inputMode === 'mic' || inputMode === 'system' || inputMode === 'generator') {
       // Toggle off by cleaning up
-      if (isMicActive || isSystemActive) cleanupAudio();
+      if (isInputActive) cleanupAudio();
       else if (inputMode === 'mic') handleMicInput();
+      else if (inputMode === 'generator') handleGenerator();
       else handleSystemAudio();
       return;
     }
 
-    if (!audioElementRef.current) return;
+    if (!audioElementRef.current) {
+      // Nothing loaded yet (e.g. coming back from mic mode): resume the queue
+      const track = findTrack(currentTrackId) ?? queue[0];
+      if (track) playTrack(track);
+      return;
+    }
     if (audioContextRef.current?.state === 'suspended') audioContextRef.current.resume();
 
     if (isPlaying) {
@@ -513,16 +731,114 @@ const AudioVisualizer = () => {
     setIsPlaying(!isPlaying);
   };
 
-  const handleSeek = (e) => {
-    if (inputMode === 'mic' || inputMode === 'system') return;
-    const newTime = Number(e.target.value);
-    if (!audioElementRef.current) return;
-    audioElementRef.current.currentTime = newTime;
-    setCurrentTime(newTime);
+  // Beat events fire several times a second; React skips the re-render when the rounded BPM is unchanged
+  const handleBeat = (beat) => {
+    if (beat.bpm) setBpm(Math.round(beat.bpm));
   };
 
+  // --- Keyboard Shortcuts ---
+  const [isShortcutsOpen, setIsShortcutsOpen] = useState(false);
+  const [announcement, setAnnouncement] = useState(''); // Shown briefly and read out by screen readers
+
+  const setLoopPoint = (point) => {
+    if (!playback.setLoopPoint(point)) setAnnouncement('Loop end must come after the start');
+  };
+
+  useEffect(() => {
+    if (!announcement) return;
+    const timer = setTimeout(() => setAnnouncement(''), 1500);
+    return () => clearTimeout(timer);
+  }, [announcement]);
+
+  const toggleFullscreen = () => {
+    const request = document.fullscreenElement ? document.exitFullscreen() : document.documentElement.requestFullscreen?.();
+    request?.catch((err) => console.warn('Fullscreen unavailable:', err));
+  };
+
+  // Returns false for keys that did nothing, so the browser keeps its default behaviour
+  const handleShortcut = ({ action, value }) => {
+    switch (action) {
+      case 'togglePlay':
+        if (!analyzer && queue.length === 0) return false;
+        togglePlay();
+        return true;
+      case 'seek':
+        playback.seekBy(value);
+        return true;
+      case 'volume': {
+        const next = Math.round(Math.min(1, Math.max(0, playback.volume + value)) * 100) / 100;
+        playback.changeVolume(next);
+        setAnnouncement(`Volume ${Math.round(next * 100)}%`);
+        return true;
+      }
+      case 'mode': {
+        const visualizer = getVisualizers()[value];
+        if (!visualizer) return false;
+        setVisualizerMode(visualizer.id);
+        setAnnouncement(`${visualizer.name} mode`);
+        return true;
+      }
+      case 'fullscreen':
+        toggleFullscreen();
+        return true;
+      case 'mic':
+        if (isMicActive) cleanupAudio();
+        else handleMicInput();
+        return true;
+      case 'help':
+        setIsShortcutsOpen(true);
+        return true;
+      case 'escape':
+        if (isSettingsOpen) setIsSettingsOpen(false);
+        else if (isQueueOpen) setIsQueueOpen(false);
+        else return false;
+        return true;
+      default:
+        return false;
+    }
+  };
+
+  useKeyboardShortcuts(handleShortcut, !dialogs.dialog && !isShortcutsOpen && !isExportOpen && !isOpenUrlOpen);
+
+  // --- OS Media Controls (lock screen, media keys) ---
+  const isFilePlayback = Boolean(currentTrack);
+  useMediaSession({
+    track: isFilePlayback
+      ? { title: trackTitle || 'Unknown Track', artist: icyTitle ? fileName : metadata?.artist, album: metadata?.album, artworkUrl: metadata?.artworkUrl }
+      : null,
+    isPlaying,
+    position: { duration, currentTime, playbackRate },
+    actions: isFilePlayback
+      ? {
+        play: () => { if (!isPlaying) togglePlay(); },
+        pause: () => { if (isPlaying) togglePlay(); },
+        ...(!isLiveStream && {
+          seekto: (details) => playback.seek(details.seekTime),
+          seekbackward: (details) => playback.seekBy(-(details.seekOffset ?? 10)),
+          seekforward: (details) => playback.seekBy(details.seekOffset ?? 10),
+        }),
+        ...(queue.length > 1 && { previoustrack: () => playAdjacent(-1), nexttrack: () => playAdjacent(1) }),
+      }
+      : {},
+  });
+
+  // Nothing to see in a hidden tab: stop rendering, the audio graph keeps running
+  const isPageVisible = usePageVisible();
+
   return (
-    <div className="relative w-full h-screen bg-[#050510] text-white overflow-hidden font-sans selection:bg-cyan-500/30">
+    <div
+      className="relative w-full h-screen bg-[var(--theme-background)] text-white overflow-hidden font-sans selection:bg-accent-500/30"
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+
+      {/* Drop Overlay */}
+      {isDraggingFiles && (
+        <div className="absolute inset-4 z-20 pointer-events-none rounded-3xl border-2 border-dashed border-accent-400/60 bg-accent-500/5 backdrop-blur-sm flex items-center justify-center">
+          <p className="text-lg font-medium text-accent-300 tracking-wide">Drop audio files or folders to queue them</p>
+        </div>
+      )}
 
       {/* --- UI Layer --- */}
       <div className="absolute inset-0 z-10 pointer-events-none flex flex-col justify-between p-8">
@@ -530,7 +846,7 @@ const AudioVisualizer = () => {
         {/* Header */}
         <header className="flex flex-col items-center md:flex-row md:justify-between gap-4 md:gap-6 pointer-events-auto w-full">
           <div className="flex items-center gap-3 self-start md:self-auto">
-            <div className={`w-10 h-10 rounded-full bg-gradient-to-tr from-cyan-400 to-blue-600 ${isPlaying || isMicActive || isSystemActive ? 'animate-pulse' : ''}`} />
+            <div className={`w-10 h-10 rounded-full bg-gradient-to-tr from-accent-400 to-accent-600 ${isPlaying || isInputActive ? 'animate-pulse' : ''}`} />
             <div>
               <h1 className="text-xl font-bold tracking-tight">SONIC WAVES</h1>
               <p className="text-xs text-white/50 tracking-wider uppercase">Audio Environment</p>
@@ -538,19 +854,45 @@ const AudioVisualizer = () => {
           </div>
 
           {/* Visualizer Selector */}
-          <div className="flex flex-wrap justify-center gap-2 bg-white/5 backdrop-blur-md rounded-2xl p-1.5 border border-white/10 w-full md:w-auto">
-            {['bars', 'linear', 'sphere', 'wave'].map((mode) => (
-              <button
-                key={mode}
-                onClick={() => setVisualizerMode(mode)}
-                className={`flex-1 md:flex-none px-3 py-1.5 rounded-xl text-[10px] md:text-xs font-bold uppercase tracking-widest transition-all ${visualizerMode === mode
-                  ? 'bg-cyan-500 text-black shadow-lg shadow-cyan-500/20'
-                  : 'text-white/60 hover:text-white hover:bg-white/10'
-                  }`}
-              >
-                {mode}
-              </button>
-            ))}
+          <div className="flex flex-col items-center gap-2 w-full md:w-auto">
+            <div role="group" aria-label="Visualizer mode" className="flex flex-wrap justify-center gap-2 bg-white/5 backdrop-blur-md rounded-2xl p-1.5 border border-white/10 w-full md:w-auto">
+              {getVisualizers().map((visualizer, i) => (
+                <button
+                  key={visualizer.id}
+                  onClick={() => setVisualizerMode(visualizer.id)}
+                  aria-pressed={visualizerMode === visualizer.id}
+                  aria-keyshortcuts={i < 9 ? String(i + 1) : undefined}
+                  className={`flex-1 md:flex-none px-3 py-1.5 rounded-xl text-[10px] md:text-xs font-bold uppercase tracking-widest transition-all flex items-center justify-center gap-1.5 ${visualizerMode === visualizer.id
+                    ? 'bg-accent-500 text-black shadow-lg shadow-accent-500/20'
+                    : 'text-white/60 hover:text-white hover:bg-white/10'
+                    }`}
+                >
+                  {visualizer.icon && (
+                    <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" aria-hidden="true"><path d={visualizer.icon} /></svg>
+                  )}
+                  {visualizer.name}
+                </button>
+              ))}
+            </div>
+
+            {/* Frequency Scale (band-mapped modes only) */}
+            {activeVisualizer?.bandMapped && (
+              <div role="group" aria-label="Frequency scale" className="flex gap-1 bg-white/5 backdrop-blur-md rounded-xl p-1 border border-white/10">
+                {BAND_MAPPING_MODES.map((mode) => (
+                  <button
+                    key={mode}
+                    onClick={() => updateSetting('bandMapping', mode)}
+                    aria-pressed={settings.bandMapping === mode}
+                    className={`px-2 py-1 rounded-lg text-[10px] font-bold uppercase tracking-widest transition-all ${settings.bandMapping === mode
+                      ? 'bg-white/20 text-white'
+                      : 'text-white/40 hover:text-white hover:bg-white/10'
+                      }`}
+                  >
+                    {mode === 'third-octave' ? '1/3 Oct' : mode}
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
 
           {/* Input Controls */}
@@ -558,6 +900,7 @@ const AudioVisualizer = () => {
             {/* Upload Button */}
             <button
               onClick={() => fileInputRef.current?.click()}
+              aria-label="Upload audio files"
               className="px-5 py-2 rounded-full bg-white/10 hover:bg-white/20 border border-white/10 backdrop-blur-md transition-all text-sm font-medium flex items-center gap-2"
             >
               <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" /><polyline points="17 8 12 3 7 8" /><line x1="12" y1="3" x2="12" y2="15" /></svg>
@@ -566,14 +909,30 @@ const AudioVisualizer = () => {
             <input
               ref={fileInputRef}
               type="file"
-              accept="audio/*"
+              accept="audio/*,.lrc"
+              multiple
               onChange={handleFileChange}
               className="hidden"
+              tabIndex={-1}
+              aria-hidden="true"
             />
 
+            {/* Open URL Button */}
+            <button
+              onClick={() => setIsOpenUrlOpen(true)}
+              aria-label="Open audio URL or radio stream"
+              className="px-5 py-2 rounded-full bg-white/10 hover:bg-white/20 border border-white/10 backdrop-blur-md transition-all text-sm font-medium flex items-center gap-2"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71" /><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71" /></svg>
+              URL
+            </button>
+
             {/* Mic Button */}
             <button
-              onClick={handleMicInput}
+              onClick={() => handleMicInput()}
+              aria-label={isMicActive ? 'Microphone active' : 'Use microphone'}
+              aria-pressed={isMicActive}
+              aria-keyshortcuts="M"
               className={`px-5 py-2 rounded-full border backdrop-blur-md transition-all text-sm font-medium flex items-center gap-2 ${isMicActive ? 'bg-red-500/20 border-red-500 text-red-300' : 'bg-white/10 hover:bg-white/20 border-white/10'}`}
             >
               <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12 1a3 3 0 0 0-3 3v8a3 3 0 0 0 6 0V4a3 3 0 0 0-3-3z" /><path d="M19 10v2a7 7 0 0 1-14 0v-2" /><line x1="12" y1="19" x2="12" y2="23" /><line x1="8" y1="23" x2="16" y2="23" /></svg>
@@ -583,14 +942,58 @@ const AudioVisualizer = () => {
             {/* System Audio Button */}
             <button
               onClick={handleSystemAudio}
+              aria-label={isSystemActive ? 'System audio active' : 'Capture system audio'}
+              aria-pressed={isSystemActive}
               className={`px-5 py-2 rounded-full border backdrop-blur-md transition-all text-sm font-medium flex items-center gap-2 ${isSystemActive ? 'bg-purple-500/20 border-purple-500 text-purple-300' : 'bg-white/10 hover:bg-white/20 border-white/10'}`}
             >
               <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect x="2" y="3" width="20" height="14" rx="2" ry="2" /><line x1="8" y1="21" x2="16" y2="21" /><line x1="12" y1="17" x2="12" y2="21" /></svg>
               {isSystemActive ? 'Active' : 'System'}
             </button>
+
+            {/* Test Signal Button */}
+            <button
+              onClick={() => (isGeneratorActive ? cleanupAudio() : handleGenerator())}
+              aria-label={isGeneratorActive ? 'Stop test signal' : 'Play a test signal'}
+              aria-pressed={isGeneratorActive}
+              className={`px-5 py-2 rounded-full border backdrop-blur-md transition-all text-sm font-medium flex items-center gap-2 ${isGeneratorActive ? 'bg-emerald-500/20 border-emerald-500 text-emerald-300' : 'bg-white/10 hover:bg-white/20 border-white/10'}`}
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M2 12h3l3-7 4 14 4-14 3 7h3" /></svg>
+              {isGeneratorActive ? 'Active' : 'Signal'}
+            </button>
+
+            {/* Settings Button */}
+            <button
+              onClick={() => setIsSettingsOpen((open) => !open)}
+              aria-label="Settings"
+              aria-expanded={isSettingsOpen}
+              aria-controls="settings-drawer"
+              className={`px-3 py-2 rounded-full border backdrop-blur-md transition-all text-sm font-medium flex items-center ${isSettingsOpen ? 'bg-accent-500/20 border-accent-400 text-accent-300' : 'bg-white/10 hover:bg-white/20 border-white/10'}`}
+              title="Settings"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="3" /><path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 0 1-2.83 2.83l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 0 1-4 0v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 0 1-2.83-2.83l.06-.06a1.65 1.65 0 0 0 .33-1.82 1.65 1.65 0 0 0-1.51-1H3a2 2 0 0 1 0-4h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 0 1 2.83-2.83l.06.06a1.65 1.65 0 0 0 1.82.33H9a1.65 1.65 0 0 0 1-1.51V3a2 2 0 0 1 4 0v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 0 1 2.83 2.83l-.06.06a1.65 1.65 0 0 0-.33 1.82V9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 0 1 0 4h-.09a1.65 1.65 0 0 0-1.51 1z" /></svg>
+            </button>
+
+            {/* Shortcuts Button */}
+            <button
+              onClick={() => setIsShortcutsOpen(true)}
+              aria-label="Keyboard shortcuts"
+              aria-keyshortcuts="?"
+              className="w-9 h-9 rounded-full bg-white/10 hover:bg-white/20 border border-white/10 backdrop-blur-md transition-all text-sm font-bold flex items-center justify-center flex-shrink-0"
+              title="Keyboard shortcuts (?)"
+            >
+              ?
+            </button>
           </div>
         </header>
 
+        {/* Bad preset link */}
+        {presetLinkError && (
+          <div className="absolute top-28 left-1/2 -translate-x-1/2 pointer-events-auto flex items-center gap-3 bg-red-500/20 border border-red-500/40 backdrop-blur-md rounded-full px-4 py-2 text-xs text-red-200">
+            {presetLinkError}
+            <button onClick={() => setPresetLinkError(null)} className="text-red-200/60 hover:text-white" title="Dismiss">✕</button>
+          </div>
+        )}
+
         {/* Center Welcome Message */}
         {!analyzer && (
           <div className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 text-center pointer-events-auto w-full px-4">
@@ -603,117 +1006,254 @@ const AudioVisualizer = () => {
           </div>
         )}
 
+        {/* Lyrics (files with an .lrc or embedded lyrics) */}
+        {lyrics && settings.lyricsEnabled && (
+          <LyricsOverlay lyrics={lyrics} audioRef={audioElementRef} offset={settings.lyricsOffset} />
+        )}
+
         {/* Player Bar (Only when active) */}
-        <div className={`transition-all duration-500 transform ${analyzer ? 'translate-y-0 opacity-100' : 'translate-y-20 opacity-0'}`}>
-          <div className="bg-black/40 backdrop-blur-xl border border-white/10 rounded-2xl p-4 md:p-6 pointer-events-auto max-w-4xl mx-auto flex items-center gap-6">
+        <div inert={!analyzer} className={`transition-all duration-500 transform ${analyzer ? 'translate-y-0 opacity-100' : 'translate-y-20 opacity-0'}`}>
+          {showQueueControls && (
+            <QueuePanel
+              queue={queue}
+              currentTrackId={currentTrackId}
+              isOpen={isQueueOpen}
+              onToggle={() => setIsQueueOpen(!isQueueOpen)}
+              onPlay={(id) => playTrack(findTrack(id))}
+              onRemove={removeTrack}
+              onMove={moveTrack}
+              onClear={clearQueue}
+              shuffle={Boolean(shuffleOrder)}
+              onToggleShuffle={toggleShuffle}
+              repeatMode={repeatMode}
+              onCycleRepeat={cycleRepeat}
+            />
+          )}
+          <div role="region" aria-label="Player" className="bg-black/40 backdrop-blur-xl border border-white/10 rounded-2xl p-4 md:p-6 pointer-events-auto max-w-4xl mx-auto flex items-center gap-6">
+
+            {/* Transport: Prev / Play-Stop / Next (queue controls only in file mode) */}
+            <div className="flex items-center gap-2 flex-shrink-0">
+              {showQueueControls && (
+                <button
+                  onClick={() => playAdjacent(-1)}
+                  aria-label="Previous track"
+                  className="w-9 h-9 rounded-full flex items-center justify-center text-white/60 hover:text-white hover:bg-white/10 transition-all"
+                  title="Previous"
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 24 24"><path d="M6 6h2v12H6zM9.5 12l8.5 6V6z" /></svg>
+                </button>
+              )}
 
-            {/* Play/Stop Button */}
-            <button
-              onClick={togglePlay}
-              className={`w-12 h-12 flex-shrink-0 rounded-full flex items-center justify-center text-black hover:scale-105 active:scale-95 transition-all shadow-[0_0_20px_rgba(6,182,212,0.4)] ${isMicActive ? 'bg-red-500 shadow-[0_0_20px_rgba(239,68,68,0.4)]' : isSystemActive ? 'bg-purple-500 shadow-[0_0_20px_rgba(168,85,247,0.4)]' : 'bg-gradient-to-br from-cyan-400 to-blue-600'}`}
-            >
-              {isPlaying || isMicActive || isSystemActive ? (
-                <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" fill="currentColor" viewBox="0 0 24 24"><rect x="6" y="6" width="12" height="12" rx="2" /></svg>
-              ) : (
-                <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" fill="currentColor" viewBox="0 0 24 24"><path d="M8 5v14l11-7z" /></svg>
+              {/* Play/Stop Button */}
+              <button
+                onClick={togglePlay}
+                aria-label={isInputActive ? 'Stop input' : isPlaying ? 'Pause' : 'Play'}
+                aria-keyshortcuts="Space"
+                className={`w-12 h-12 flex-shrink-0 rounded-full flex items-center justify-center text-black hover:scale-105 active:scale-95 transition-all shadow-[0_0_20px_color-mix(in_oklab,var(--theme-accent)_40%,transparent)] ${isMicActive ? 'bg-red-500 shadow-[0_0_20px_rgba(239,68,68,0.4)]' : isSystemActive ? 'bg-purple-500 shadow-[0_0_20px_rgba(168,85,247,0.4)]' : isGeneratorActive ? 'bg-emerald-500 shadow-[0_0_20px_rgba(16,185,129,0.4)]' : 'bg-gradient-to-br from-accent-400 to-accent-600'}`}
+              >
+                {isPlaying || isInputActive ? (
+                  <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" fill="currentColor" viewBox="0 0 24 24"><rect x="6" y="6" width="12" height="12" rx="2" /></svg>
+                ) : (
+                  <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" fill="currentColor" viewBox="0 0 24 24"><path d="M8 5v14l11-7z" /></svg>
+                )}
+              </button>
+
+              {showQueueControls && (
+                <button
+                  onClick={() => playAdjacent(1)}
+                  aria-label="Next track"
+                  className="w-9 h-9 rounded-full flex items-center justify-center text-white/60 hover:text-white hover:bg-white/10 transition-all"
+                  title="Next"
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 24 24"><path d="M6 18l8.5-6L6 6v12zM16 6v12h2V6z" /></svg>
+                </button>
               )}
-            </button>
+            </div>
+
+            {/* Album Art */}
+            {metadata?.artworkUrl && (
+              <img src={metadata.artworkUrl} alt="" className="w-14 h-14 flex-shrink-0 rounded-lg object-cover border border-white/10 shadow-lg" />
+            )}
 
             {/* Info & Progress */}
             <div className="flex-1 min-w-0">
               <div className="flex justify-between items-end mb-2">
                 <div className="truncate pr-4">
-                  <h3 className="text-white font-medium truncate">{fileName || "Unknown Track"}</h3>
-                  <p className="text-xs text-cyan-400 flex items-center gap-2">
-                    <span className="inline-block w-2 h-2 rounded-full bg-cyan-400 animate-pulse"></span>
-                    {isMicActive ? 'Live Input' : isSystemActive ? 'System Capture' : 'Now Playing'} • {visualizerMode.toUpperCase()} Mode
+                  <h3 className="text-white font-medium truncate">{trackTitle || "Unknown Track"}</h3>
+                  {trackSubtitle && <p className="text-xs text-white/50 truncate">{trackSubtitle}</p>}
+                  <p className="text-xs text-accent-400 flex items-center gap-2">
+                    <span className="inline-block w-2 h-2 rounded-full bg-accent-400 animate-pulse"></span>
+                    {isMicActive ? 'Live Input' : isSystemActive ? 'System Capture' : isGeneratorActive ? 'Generator' : 'Now Playing'} • {activeVisualizer?.name.toUpperCase()} Mode
+                    {bpm > 0 && <span className="font-mono text-white/60">• {bpm} BPM</span>}
                   </p>
                 </div>
-                {!isMicActive && !isSystemActive && (
-                  <div className="text-xs font-mono text-white/50 shrink-0">
-                    {formatTime(currentTime)} / {formatTime(duration)}
-                  </div>
-                )}
+                <div className="flex items-center gap-4 shrink-0">
+                  <CorrelationMeter engine={analysisEngine} />
+                  {!isInputActive && (
+                    <div className="text-xs font-mono text-white/50">
+                      {isLiveStream ? `${formatTime(currentTime)} • LIVE` : `${formatTime(currentTime)} / ${formatTime(duration)}`}
+                    </div>
+                  )}
+                </div>
               </div>
 
               {/* Seeker (Only for Files) */}
-              {!isMicActive && !isSystemActive ? (
-                <div className="relative h-1.5 bg-white/10 rounded-full group cursor-pointer">
-                  <input
-                    type="range"
-                    min="0"
-                    max={duration || 0}
-                    value={currentTime || 0}
-                    onChange={handleSeek}
-                    className="absolute inset-0 w-full h-full opacity-0 cursor-pointer z-10"
+              {!isInputActive ? (
+                <>
+                  {!isLiveStream && <SeekBar currentTime={currentTime} duration={duration} peaks={waveformPeaks} loop={loop} onSeek={playback.seek} />}
+                  <PlaybackControls
+                    volume={playback.volume}
+                    isMuted={playback.isMuted}
+                    onVolumeChange={playback.changeVolume}
+                    onToggleMute={playback.toggleMute}
+                    playbackRate={playbackRate}
+                    onPlaybackRateChange={playback.setPlaybackRate}
+                    loop={loop}
+                    onSetLoopPoint={setLoopPoint}
+                    onClearLoop={playback.clearLoop}
+                    isLive={isLiveStream}
                   />
-                  <div
-                    className="absolute top-0 left-0 h-full bg-cyan-400 rounded-full transition-all group-hover:bg-cyan-300"
-                    style={{ width: `${duration ? (currentTime / duration) * 100 : 0}%` }}
-                  />
-                </div>
+                </>
               ) : (
-                // Mic Visualizer Line
-                <div className="h-1.5 w-full bg-gray-800 rounded-full overflow-hidden relative">
-                  <div className={`absolute inset-0 animate-pulse ${isSystemActive ? 'bg-purple-500/50' : 'bg-red-500/50'}`} style={{ width: '100%' }} />
-                </div>
+                <>
+                  <LiveInputControls
+                    meter={inputMeter}
+                    devices={inputDevices.devices}
+                    deviceId={inputDevices.deviceId}
+                    onSelectDevice={selectInputDevice}
+                    showDevices={isMicActive}
+                  />
+                  {isMicActive && settings.tunerEnabled && <Tuner engine={analysisEngine} analyser={tunerTap} reference={settings.tunerReference} />}
+                  {isGeneratorActive && (
+                    <div className="flex items-center gap-3 mt-3">
+                      <select
+                        value={settings.generatorSignal}
+                        onChange={(e) => updateSetting('generatorSignal', e.target.value)}
+                        aria-label="Test signal"
+                        className="bg-white/5 border border-white/10 rounded-lg px-1.5 py-0.5 text-[10px] font-bold text-white/70 focus:outline-none"
+                      >
+                        {GENERATOR_SIGNALS.map((signal) => <option key={signal} value={signal} className="bg-black">{signal}</option>)}
+                      </select>
+                      <button
+                        onClick={() => setIsSettingsOpen(true)}
+                        className="text-[10px] font-bold uppercase tracking-widest text-white/50 hover:text-white transition-colors"
+                      >
+                        Frequency, level &amp; tempo in Settings
+                      </button>
+                    </div>
+                  )}
+                </>
               )}
             </div>
 
+            {/* Export (local files only) */}
+            {showQueueControls && currentFile && (
+              <button
+                onClick={() => setIsExportOpen(true)}
+                title="Frame-accurate export"
+                className="px-3 py-1.5 rounded-full border bg-white/10 hover:bg-white/20 border-white/10 text-xs font-bold uppercase tracking-widest transition-all flex-shrink-0"
+              >
+                Export
+              </button>
+            )}
+
+            {/* Record */}
+            {isRecordingSupported() && (
+              <RecordControls
+                isRecording={recorder.isRecording}
+                elapsed={recorder.elapsed}
+                presetId={recordPresetId}
+                onPresetChange={setRecordPresetId}
+                maxDuration={recordMaxDuration}
+                onMaxDurationChange={setRecordMaxDuration}
+                onStart={startRecording}
+                onStop={recorder.stop}
+                error={recorder.error}
+              />
+            )}
+
           </div>
         </div>
 
       </div>
 
+      {/* --- Settings --- */}
+      <SettingsDrawer
+        isOpen={isSettingsOpen}
+        settings={settings}
+        visualizer={activeVisualizer}
+        onChange={updateSetting}
+        onReset={resetSettings}
+        onClose={() => setIsSettingsOpen(false)}
+      >
+        <PresetPanel
+          presets={presetStore.presets}
+          onApply={applyPreset}
+          onSave={(name) => presetStore.savePreset(currentPreset(name))}
+          onDelete={presetStore.deletePreset}
+          onCopyLink={copyPresetLink}
+          onLoadCode={loadPresetCode}
+        />
+        <ThemePanel
+          theme={themes.theme}
+          themes={themes.themes}
+          onSelect={themes.selectTheme}
+          onSave={themes.saveCustomTheme}
+          onDelete={themes.deleteCustomTheme}
+          onImport={themes.importTheme}
+        />
+      </SettingsDrawer>
+
+      {/* --- Dialogs --- */}
+      {dialogs.dialog && <MessageDialog dialog={dialogs.dialog} onClose={dialogs.close} />}
+      {isShortcutsOpen && <ShortcutsDialog onClose={() => setIsShortcutsOpen(false)} />}
+      {isOpenUrlOpen && <OpenUrlDialog onOpen={openUrl} onClose={() => setIsOpenUrlOpen(false)} />}
+
+      {/* Shortcut feedback (volume, mode), also announced to screen readers */}
+      <div role="status" aria-live="polite" className="absolute top-28 left-1/2 -translate-x-1/2 z-20 pointer-events-none">
+        {announcement && (
+          <span className="block px-4 py-1.5 rounded-full bg-black/60 backdrop-blur-md border border-white/10 text-xs font-bold uppercase tracking-widest">
+            {announcement}
+          </span>
+        )}
+      </div>
+
+      {/* --- Offline Export --- */}
+      {isExportOpen && (
+        <ExportDialog
+          trackName={trackTitle}
+          onStart={startExport}
+          onCancel={exporter.cancel}
+          onClose={() => setIsExportOpen(false)}
+          progress={exporter.progress}
+          error={exporter.error}
+        />
+      )}
+      {exporter.job && <ExportStage job={exporter.job} onReady={exporter.onStageReady} />}
+
       {/* --- 3D Scene --- */}
       <div className="absolute inset-0 z-0">
-        <Canvas camera={{ position: [0, 20, 35], fov: 45 }}>
+        <Canvas
+          ref={canvasRef}
+          camera={{ position: [0, 20, 35], fov: 45 }}
+          frameloop={isPageVisible ? 'always' : 'never'}
+        >
           <ResponsiveCamera />
-
-          <EffectComposer>
-            <Bloom luminanceThreshold={0.2} luminanceSmoothing={0.9} intensity={1.0} radius={0.8} />
-          </EffectComposer>
-
-          <color attach="background" args={['#050510']} />
-          <fog attach="fog" args={['#050510', 20, 80]} />
-
-          <ambientLight intensity={0.4} />
-          <pointLight position={[10, 10, 10]} intensity={1} color="#00ffff" />
-          <pointLight position={[-10, 5, -10]} intensity={0.5} color="#ff00ff" />
-
-          <Stars radius={100} depth={50} count={3000} factor={4} saturation={0} fade speed={1.5} />
-
-          {analyzer && (
-            <>
-              {visualizerMode === 'bars' && <BarVisualizer analyzer={analyzer} />}
-              {visualizerMode === 'linear' && <LinearBarVisualizer analyzer={analyzer} />}
-              {visualizerMode === 'sphere' && <SphereVisualizer analyzer={analyzer} />}
-              {visualizerMode === 'wave' && <WaveVisualizer analyzer={analyzer} />}
-            </>
-          )}
-
-          {!analyzer && (
-            <Float speed={2} rotationIntensity={0.5} floatIntensity={1}>
-              <mesh rotation={[Math.PI / 4, Math.PI / 4, 0]}>
-                <icosahedronGeometry args={[4, 0]} />
-                <meshStandardMaterial
-                  color="#1a1a1a"
-                  wireframe
-                  emissive="#00ffff"
-                  emissiveIntensity={0.2}
-                />
-              </mesh>
-            </Float>
-          )}
-
-          <OrbitControls
-            enablePan={false}
-            enableZoom={false}
-            maxPolarAngle={Math.PI / 2}
-            minPolarAngle={Math.PI / 3}
-            autoRotate={!isPlaying && !isMicActive && !isSystemActive}
-            autoRotateSpeed={0.5}
-          />
+          <RecordingCompositor targetRef={recorder.compositeRef} />
+
+          <AudioAnalysisProvider analyzer={analyzer} channels={channelAnalyzers} onBeat={handleBeat} onEngine={setAnalysisEngine}>
+            <VisualizerScene visualizerMode={visualizerMode} settings={settings} palette={themes.palette} artworkUrl={metadata?.artworkUrl} isActive={Boolean(analyzer)} />
+
+            <OrbitControls
+              ref={handleControlsRef}
+              enablePan={false}
+              enableZoom={false}
+              maxPolarAngle={Math.PI / 2}
+              minPolarAngle={Math.PI / 3}
+              autoRotate={!isPlaying && !isInputActive}
+              autoRotateSpeed={0.5}
+            />
+          </AudioAnalysisProvider>
         </Canvas>
       </div>
 
@@ -0,0 +1,135 @@
+import { getDefaultSettings, sanitizeSettings } from '../settings/settings.js';
+import { sanitizeTheme, THEMES } from '../theme/themes.js';
+import { getVisualizer } from '../visualizers/index.js';
+
+// A preset captures everything needed to reproduce a look:
+//   { name, visualizerMode, settings, theme, camera: { position: [x, y, z], target: [x, y, z] } }
+// `theme` is a built-in theme id, or a full theme object (without id) for custom themes, so
+// shared links carry custom gradients with them.
+
+export const PRESET_VERSION = 1;
+const HASH_KEY = 'preset';
+const MAX_CAMERA_COORD = 500;
+const DEFAULT_CAMERA = { position: [0, 20, 35], target: [0, 0, 0] };
+
+const preset = (name, visualizerMode, theme, settings = {}, camera = DEFAULT_CAMERA) => ({
+  name,
+  visualizerMode,
+  theme,
+  settings: sanitizeSettings(settings),
+  camera,
+});
+
+export const BUILTIN_PRESETS = [
+  preset('Neon Ring', 'bars', 'neon'),
+  preset('Sunset Skyline', 'linear', 'sunset', { bandMapping: 'mel', barCount: 96, bloomIntensity: 1.4 }, {
+    position: [0, 6, 38],
+    target: [0, 2, 0],
+  }),
+  preset('Monochrome Orb', 'sphere', 'monochrome', { smoothing: 0.9, bloomIntensity: 0.6, starCount: 6000 }),
+  preset('Strobe Wave', 'wave', 'high-contrast', { rotationSpeed: 2.5, bloomIntensity: 2, fogFar: 120 }),
+  preset('Deep Bass', 'bars', 'neon', { fftSize: 4096, bandMapping: 'third-octave', radius: 16, minDecibels: -90 }, {
+    position: [0, 34, 26],
+    target: [0, 0, 0],
+  }),
+].map((p) => ({ ...p, builtin: true }));
+
+const sanitizeVector = (value, label) => {
+  if (!Array.isArray(value) || value.length !== 3) throw new Error(`Camera ${label} must be three numbers.`);
+  return value.map((n) => {
+    if (typeof n !== 'number' || !Number.isFinite(n) || Math.abs(n) > MAX_CAMERA_COORD) {
+      throw new Error(`Camera ${label} is out of range.`);
+    }
+    return Number(n.toFixed(2));
+  });
+};
+
+// Validates a preset from storage, a URL or an import. Returns a clean copy or throws with a
+// message fit for the user. Settings are clamped by the settings schema, anything else that
+// is malformed is rejected.
+export const sanitizePreset = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('Preset must be an object.');
+  if (!getVisualizer(raw.visualizerMode)) throw new Error('Preset has an unknown visualizer mode.');
+  if (raw.settings !== undefined && (typeof raw.settings !== 'object' || Array.isArray(raw.settings))) {
+    throw new Error('Preset settings must be an object.');
+  }
+
+  let theme;
+  if (typeof raw.theme === 'string') {
+    if (!THEMES.some((t) => t.id === raw.theme)) throw new Error('Preset uses an unknown theme.');
+    theme = raw.theme;
+  } else {
+    const { name, stops, background, lights, accent } = sanitizeTheme({ ...raw.theme, id: 'preset' });
+    theme = { name, stops, background, lights, accent };
+  }
+
+  const camera = raw.camera ?? DEFAULT_CAMERA;
+  return {
+    name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim().slice(0, 60) : 'Shared Preset',
+    visualizerMode: raw.visualizerMode,
+    theme,
+    settings: sanitizeSettings(raw.settings),
+    camera: {
+      position: sanitizeVector(camera.position, 'position'),
+      target: sanitizeVector(camera.target, 'target'),
+    },
+  };
+};
+
+// --- URL encoding ---
+// Settings are stored as a diff against the defaults to keep links short, then the JSON is
+// base64url encoded into `#preset=...`.
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (code) => {
+  const base64 = code.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+};
+
+export const encodePreset = ({ name, visualizerMode, theme, settings, camera }) => {
+  const defaults = getDefaultSettings();
+  const changed = Object.fromEntries(Object.entries(settings).filter(([key, value]) => defaults[key] !== value));
+  return toBase64Url(JSON.stringify({
+    v: PRESET_VERSION,
+    n: name,
+    m: visualizerMode,
+    t: theme,
+    s: changed,
+    c: [...camera.position, ...camera.target].map((n) => Number(n.toFixed(2))),
+  }));
+};
+
+export const decodePreset = (code) => {
+  let raw;
+  try {
+    raw = JSON.parse(fromBase64Url(code.trim()));
+  } catch {
+    throw new Error('That preset code is damaged or incomplete.');
+  }
+  if (!raw || raw.v !== PRESET_VERSION) throw new Error('That preset was made by an incompatible version.');
+  if (!Array.isArray(raw.c) || raw.c.length !== 6) throw new Error('Preset camera must be six numbers.');
+
+  return sanitizePreset({
+    name: raw.n,
+    visualizerMode: raw.m,
+    theme: raw.t,
+    settings: raw.s,
+    camera: { position: raw.c.slice(0, 3), target: raw.c.slice(3) },
+  });
+};
+
+export const presetToHash = (p) => `#${HASH_KEY}=${encodePreset(p)}`;
+
+// Accepts a location hash, a full shared URL or a bare code. Returns null if there's no preset in it.
+export const findPresetCode = (text) => {
+  const match = new RegExp(`(?:^|[#&])${HASH_KEY}=([A-Za-z0-9_-]+)`).exec(text.trim());
+  if (match) return match[1];
+  return /^[A-Za-z0-9_-]{16,}$/.test(text.trim()) ? text.trim() : null;
+};
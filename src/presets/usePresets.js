@@ -0,0 +1,45 @@
+import { useEffect, useState } from 'react';
+import { BUILTIN_PRESETS, sanitizePreset } from './presets';
+
+const STORAGE_KEY = 'sonic-waves:presets';
+
+const loadSavedPresets = () => {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    const presets = [];
+    for (const preset of Array.isArray(raw) ? raw : []) {
+      try {
+        presets.push(sanitizePreset(preset));
+      } catch {
+        // Skip anything that no longer validates
+      }
+    }
+    return presets;
+  } catch {
+    return [];
+  }
+};
+
+// --- Hook: Saved Presets ---
+// Built-in presets plus the user's own, saved by name in localStorage.
+export const usePresets = () => {
+  const [savedPresets, setSavedPresets] = useState(loadSavedPresets);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(savedPresets));
+    } catch (err) {
+      console.warn('Could not save presets:', err);
+    }
+  }, [savedPresets]);
+
+  // Saving under an existing name replaces that preset
+  const savePreset = (preset) => {
+    const clean = sanitizePreset(preset);
+    setSavedPresets((prev) => [...prev.filter((p) => p.name !== clean.name), clean]);
+  };
+
+  const deletePreset = (name) => setSavedPresets((prev) => prev.filter((p) => p.name !== name));
+
+  return { presets: [...BUILTIN_PRESETS, ...savedPresets], savePreset, deletePreset };
+};
@@ -0,0 +1,18 @@
+import { useFrame } from '@react-three/fiber';
+import { drawCover } from './recording';
+
+// --- Component: Recording Compositor ---
+// Copies each rendered frame into the recorder's fixed-size canvas (when a sized preset is active).
+// Runs at priority 2, after the EffectComposer's render at priority 1, so the WebGL drawing
+// buffer still holds the finished frame and no preserveDrawingBuffer is needed.
+const RecordingCompositor = ({ targetRef }) => {
+  useFrame(({ gl }) => {
+    const target = targetRef.current;
+    if (!target) return;
+    drawCover(target.getContext('2d'), gl.domElement, target.width, target.height);
+  }, 2);
+
+  return null;
+};
+
+export default RecordingCompositor;
@@ -0,0 +1,41 @@
+// Recording presets and helpers for capturing the visualizer canvas.
+
+// `width`/`height` of null records the canvas as-is at its on-screen size.
+export const RECORDING_PRESETS = [
+  { id: 'screen', label: 'Screen', width: null, height: null, fps: 30 },
+  { id: '720p30', label: '720p • 30', width: 1280, height: 720, fps: 30 },
+  { id: '1080p30', label: '1080p • 30', width: 1920, height: 1080, fps: 30 },
+  { id: '1080p60', label: '1080p • 60', width: 1920, height: 1080, fps: 60 },
+  { id: 'square', label: 'Square • 30', width: 1080, height: 1080, fps: 30 },
+  { id: 'vertical', label: 'Vertical • 30', width: 1080, height: 1920, fps: 30 },
+];
+
+// Seconds; 0 means no limit
+export const MAX_DURATIONS = [15, 30, 60, 180, 0];
+
+const MIME_CANDIDATES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm',
+];
+
+// First WebM flavour this browser can encode, or '' to let MediaRecorder choose
+export const pickRecordingMimeType = () => {
+  if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported) return '';
+  return MIME_CANDIDATES.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+};
+
+export const isRecordingSupported = () =>
+  typeof MediaRecorder !== 'undefined' && typeof HTMLCanvasElement !== 'undefined' &&
+  typeof HTMLCanvasElement.prototype.captureStream === 'function';
+
+// Roughly 0.1 bits per pixel per frame, which keeps bloom gradients clean in VP9
+export const estimateBitrate = (width, height, fps) => Math.round(width * height * fps * 0.1);
+
+// Draw `source` into a `width` x `height` 2D context, cropping to fill ("object-fit: cover")
+export const drawCover = (ctx, source, width, height) => {
+  const scale = Math.max(width / source.width, height / source.height);
+  const drawWidth = source.width * scale;
+  const drawHeight = source.height * scale;
+  ctx.drawImage(source, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+};
@@ -0,0 +1,94 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { downloadBlob, timestampedFileName } from '../utils/download';
+import { estimateBitrate, pickRecordingMimeType } from './recording';
+
+// --- Hook: Canvas Recorder ---
+// Records the R3F canvas (or a fixed-size copy of it, see RecordingCompositor) together with
+// an audio stream into WebM via MediaRecorder, then offers the file as a download.
+//
+// `getAudioStream()` is called on start and should return a MediaStream (or null for silent video);
+// `releaseAudioStream()` is called once the recording has stopped.
+export const useCanvasRecorder = ({ canvasRef, getAudioStream, releaseAudioStream }) => {
+  const [isRecording, setIsRecording] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+  const [error, setError] = useState(null);
+
+  const sessionRef = useRef(null);
+  const compositeRef = useRef(null); // Canvas the compositor draws into; null for "Screen" recordings
+
+  const stop = useCallback(() => {
+    const session = sessionRef.current;
+    if (session && session.recorder.state !== 'inactive') session.recorder.stop();
+  }, []);
+
+  const start = ({ preset, maxDuration }) => {
+    const canvas = canvasRef.current;
+    if (!canvas || sessionRef.current) return;
+    setError(null);
+
+    let videoSource = canvas;
+    if (preset.width) {
+      videoSource = document.createElement('canvas');
+      videoSource.width = preset.width;
+      videoSource.height = preset.height;
+      compositeRef.current = videoSource;
+    }
+
+    const videoStream = videoSource.captureStream(preset.fps);
+    const audioStream = getAudioStream();
+    const stream = new MediaStream([
+      ...videoStream.getVideoTracks(),
+      ...(audioStream ? audioStream.getAudioTracks() : []),
+    ]);
+
+    const mimeType = pickRecordingMimeType();
+    let recorder;
+    try {
+      recorder = new MediaRecorder(stream, {
+        ...(mimeType && { mimeType }),
+        videoBitsPerSecond: estimateBitrate(videoSource.width, videoSource.height, preset.fps),
+      });
+    } catch (err) {
+      console.error('MediaRecorder could not start:', err);
+      setError('Recording is not supported in this browser.');
+      videoStream.getTracks().forEach((track) => track.stop());
+      releaseAudioStream();
+      compositeRef.current = null;
+      return;
+    }
+
+    const chunks = [];
+    const startedAt = performance.now();
+    const timer = setInterval(() => setElapsed((performance.now() - startedAt) / 1000), 250);
+    const limit = maxDuration ? setTimeout(stop, maxDuration * 1000) : null;
+
+    recorder.ondataavailable = (e) => {
+      if (e.data.size) chunks.push(e.data);
+    };
+
+    recorder.onstop = () => {
+      clearInterval(timer);
+      clearTimeout(limit);
+      videoStream.getTracks().forEach((track) => track.stop());
+      releaseAudioStream();
+      compositeRef.current = null;
+      sessionRef.current = null;
+      setIsRecording(false);
+
+      if (chunks.length) {
+        downloadBlob(new Blob(chunks, { type: recorder.mimeType || 'video/webm' }), timestampedFileName('webm'));
+      }
+    };
+
+    // Timeslice so a crash mid-recording still leaves most of the data in `chunks`
+    recorder.start(1000);
+    sessionRef.current = { recorder };
+    setElapsed(0);
+    setIsRecording(true);
+  };
+
+  // Finish (and download) anything in progress if the player unmounts
+  useEffect(() => stop, [stop]);
+
+  return { isRecording, elapsed, error, start, stop, compositeRef };
+};
@@ -0,0 +1,38 @@
+import { useFrame } from '@react-three/fiber';
+import { BlendFunction, BloomEffect } from 'postprocessing';
+import { useEffect, useRef, useState } from 'react';
+import { useBeat } from '../audio/useBeat';
+
+// --- Component: Beat-Reactive Bloom ---
+// Spikes bloom intensity on each beat. The BloomEffect is created once and mutated
+// in place, since changing <Bloom> props would rebuild the effect (and the composer) every time.
+const ReactiveBloom = ({ luminanceThreshold, luminanceSmoothing, intensity = 1.0, radius }) => {
+  const bloomRef = useRef();
+  const spikeRef = useRef(0);
+  const [effect] = useState(
+    () => new BloomEffect({ blendFunction: BlendFunction.ADD, luminanceThreshold, luminanceSmoothing, intensity, radius })
+  );
+
+  useEffect(() => () => effect.dispose(), [effect]);
+
+  // Live settings changes
+  useEffect(() => {
+    const bloom = bloomRef.current;
+    if (!bloom) return;
+    bloom.luminanceMaterial.threshold = luminanceThreshold;
+    bloom.luminanceMaterial.smoothing = luminanceSmoothing;
+    bloom.mipmapBlurPass.radius = radius;
+  }, [luminanceThreshold, luminanceSmoothing, radius]);
+
+  useBeat((beat) => { spikeRef.current = Math.max(spikeRef.current, beat.confidence); });
+
+  useFrame((state, delta) => {
+    if (!bloomRef.current) return;
+    spikeRef.current *= Math.exp(-delta * 6);
+    bloomRef.current.intensity = intensity * (1 + spikeRef.current * 1.5);
+  });
+
+  return <primitive ref={bloomRef} object={effect} dispose={null} />;
+};
+
+export default ReactiveBloom;
@@ -0,0 +1,26 @@
+import { useThree } from '@react-three/fiber';
+import { useEffect, useRef } from 'react';
+
+// --- Component: Responsive Camera Adjustment ---
+const ResponsiveCamera = () => {
+  const { camera, size } = useThree();
+  const isMobileRef = useRef(size.width < 768);
+
+  useEffect(() => {
+    const isMobile = size.width < 768;
+
+    // Only update if crossing the breakpoint to prevent snapping active user adjustments
+    if (isMobile !== isMobileRef.current) {
+      isMobileRef.current = isMobile;
+      const targetZ = isMobile ? 60 : 35;
+      const targetY = isMobile ? 30 : 20;
+
+      camera.position.set(0, targetY, targetZ);
+      camera.updateProjectionMatrix();
+    }
+  }, [size.width, camera]); // Only depend on width changing
+
+  return null;
+};
+
+export default ResponsiveCamera;
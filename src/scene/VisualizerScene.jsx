@@ -0,0 +1,66 @@
+import { Float, Stars } from '@react-three/drei';
+import { EffectComposer } from '@react-three/postprocessing';
+import { Suspense } from 'react';
+import { useAudioAnalysis } from '../audio/useAudioAnalysis';
+import { getVisualizer } from '../visualizers';
+import ReactiveBloom from './ReactiveBloom';
+
+// --- Component: Visualizer Scene ---
+// Everything rendered inside an AudioAnalysisProvider: post-processing, environment and the
+// active visualizer. Shared by the live <Canvas> and the offline export stage, so both draw
+// exactly the same thing. `isActive` is false while no audio source is loaded.
+// `visualizerMode` is a registered visualizer id (see visualizers/registry.js), `settings` the
+// user settings object (see settings/settings.js) and `palette` the active color theme (see
+// theme/themes.js). `artworkUrl` is the current track's album art, if any.
+const VisualizerScene = ({ visualizerMode, settings, palette, isActive, artworkUrl = null }) => {
+  const audio = useAudioAnalysis();
+  const Visualizer = getVisualizer(visualizerMode)?.component;
+
+  return (
+    <>
+      <EffectComposer>
+        <ReactiveBloom
+          luminanceThreshold={settings.bloomThreshold}
+          luminanceSmoothing={0.9}
+          intensity={settings.bloomIntensity}
+          radius={settings.bloomRadius}
+        />
+      </EffectComposer>
+
+      <color attach="background" args={[palette.theme.background]} />
+      <fog attach="fog" args={[palette.theme.background, settings.fogNear, settings.fogFar]} />
+
+      <ambientLight intensity={0.4} />
+      <pointLight position={[10, 10, 10]} intensity={1} color={palette.theme.lights[0]} />
+      <pointLight position={[-10, 5, -10]} intensity={0.5} color={palette.theme.lights[1]} />
+
+      {/* Keyed on count: drei's Stars only builds its geometry once */}
+      {settings.starCount > 0 && (
+        <Stars key={settings.starCount} radius={100} depth={50} count={settings.starCount} factor={4} saturation={0} fade speed={1.5} />
+      )}
+
+      {isActive && Visualizer && (
+        // Lazy visualizers draw nothing until their module has loaded
+        <Suspense fallback={null}>
+          <Visualizer audio={audio} settings={settings} palette={palette} artworkUrl={artworkUrl} />
+        </Suspense>
+      )}
+
+      {!isActive && (
+        <Float speed={2} rotationIntensity={0.5} floatIntensity={1}>
+          <mesh rotation={[Math.PI / 4, Math.PI / 4, 0]}>
+            <icosahedronGeometry args={[4, 0]} />
+            <meshStandardMaterial
+              color="#1a1a1a"
+              wireframe
+              emissive={palette.theme.accent}
+              emissiveIntensity={0.2}
+            />
+          </mesh>
+        </Float>
+      )}
+    </>
+  );
+};
+
+export default VisualizerScene;
@@ -0,0 +1,13 @@
+import { useSyncExternalStore } from 'react';
+
+const subscribe = (onChange) => {
+  document.addEventListener('visibilitychange', onChange);
+  return () => document.removeEventListener('visibilitychange', onChange);
+};
+
+const getSnapshot = () => document.visibilityState === 'visible';
+
+// --- Hook: Page Visibility ---
+// False while the tab is hidden or the window minimized, so rendering can stop (audio keeps
+// playing, it doesn't depend on the render loop).
+export const usePageVisible = () => useSyncExternalStore(subscribe, getSnapshot);
@@ -0,0 +1,165 @@
+import { BAND_MAPPING_MODES } from '../audio/bandMapper.js';
+import { ANALYSER_POSITIONS, EQ_BANDS, FILTER_TYPES, REVERB_TYPES } from '../audio/effects.js';
+import { GENERATOR_SIGNALS } from '../audio/generator.js';
+import { getVisualizers } from '../visualizers/registry.js';
+
+// User-adjustable analyser and rendering parameters.
+// The schema drives both the settings drawer and validation of anything loaded from storage.
+// SETTINGS_SCHEMA holds the app's own fields; each visualizer adds its fields under a group
+// named after it (see visualizers/registry.js), so use getSettingsSchema() for the full list.
+
+const STORAGE_KEY = 'sonic-waves:settings';
+
+// How the bar modes treat stereo: one mixed spectrum, or the channels side by side
+const STEREO_LAYOUTS = ['mono', 'split'];
+
+export const SETTINGS_GROUPS = ['Analyser', 'Visualizer', 'Post-processing', 'Environment', 'Lyrics', 'Live Input', 'Generator', 'Audio Effects'];
+
+export const SETTINGS_SCHEMA = [
+  { key: 'fftSize', label: 'FFT Size', group: 'Analyser', type: 'select', options: [64, 128, 256, 512, 1024, 2048, 4096, 8192, 16384], default: 256 },
+  { key: 'smoothing', label: 'Smoothing', group: 'Analyser', type: 'range', min: 0, max: 0.99, step: 0.01, default: 0.8 },
+  { key: 'minDecibels', label: 'Min dB', group: 'Analyser', type: 'range', min: -140, max: -40, step: 1, default: -100 },
+  { key: 'maxDecibels', label: 'Max dB', group: 'Analyser', type: 'range', min: -60, max: 0, step: 1, default: -30 },
+  { key: 'bandMapping', label: 'Frequency Scale', group: 'Analyser', type: 'select', options: BAND_MAPPING_MODES, default: 'log' },
+
+  { key: 'barCount', label: 'Bar Count', group: 'Visualizer', type: 'range', min: 16, max: 2048, step: 8, default: 64 },
+  { key: 'stereoLayout', label: 'Stereo Layout', group: 'Visualizer', type: 'select', options: STEREO_LAYOUTS, default: 'mono' },
+  { key: 'radius', label: 'Ring Radius', group: 'Visualizer', type: 'range', min: 6, max: 24, step: 0.5, default: 12 },
+  { key: 'rotationSpeed', label: 'Rotation Speed', group: 'Visualizer', type: 'range', min: 0, max: 5, step: 0.1, default: 1 },
+  { key: 'artworkColors', label: 'Album Art Colors', group: 'Visualizer', type: 'toggle', default: false },
+
+  { key: 'bloomThreshold', label: 'Bloom Threshold', group: 'Post-processing', type: 'range', min: 0, max: 1, step: 0.01, default: 0.2 },
+  { key: 'bloomIntensity', label: 'Bloom Intensity', group: 'Post-processing', type: 'range', min: 0, max: 4, step: 0.05, default: 1.0 },
+  { key: 'bloomRadius', label: 'Bloom Radius', group: 'Post-processing', type: 'range', min: 0, max: 1, step: 0.01, default: 0.8 },
+
+  { key: 'fogNear', label: 'Fog Start', group: 'Environment', type: 'range', min: 0, max: 100, step: 1, default: 20 },
+  { key: 'fogFar', label: 'Fog End', group: 'Environment', type: 'range', min: 20, max: 300, step: 5, default: 80 },
+  { key: 'starCount', label: 'Star Density', group: 'Environment', type: 'range', min: 0, max: 10000, step: 250, default: 3000 },
+
+  { key: 'lyricsEnabled', label: 'Show Lyrics', group: 'Lyrics', type: 'toggle', default: true },
+  { key: 'lyricsOffset', label: 'Lyrics Offset', group: 'Lyrics', type: 'range', min: -10, max: 10, step: 0.1, default: 0, unit: 's', dependsOn: 'lyricsEnabled' },
+
+  // Mic and system capture (see audio/liveInput.js). The first three are the browser's own
+  // voice processing for the mic, off by default because it flattens music.
+  { key: 'micEchoCancellation', label: 'Echo Cancellation', group: 'Live Input', type: 'toggle', default: false },
+  { key: 'micNoiseSuppression', label: 'Noise Suppression', group: 'Live Input', type: 'toggle', default: false },
+  { key: 'micAutoGainControl', label: 'Browser Auto Gain', group: 'Live Input', type: 'toggle', default: false },
+  { key: 'inputGain', label: 'Input Gain', group: 'Live Input', type: 'range', min: -24, max: 24, step: 0.5, default: 0, unit: 'dB' },
+  { key: 'noiseGateEnabled', label: 'Noise Gate', group: 'Live Input', type: 'toggle', default: false },
+  { key: 'noiseGateThreshold', label: 'Gate Threshold', group: 'Live Input', type: 'range', min: -90, max: -20, step: 1, default: -60, unit: 'dB', dependsOn: 'noiseGateEnabled' },
+  { key: 'autoLevelEnabled', label: 'Auto Level', group: 'Live Input', type: 'toggle', default: false },
+  { key: 'tunerEnabled', label: 'Tuner (Mic)', group: 'Live Input', type: 'toggle', default: true },
+  { key: 'tunerReference', label: 'Reference A4', group: 'Live Input', type: 'range', min: 415, max: 466, step: 1, default: 440, unit: 'Hz', dependsOn: 'tunerEnabled' },
+
+  // Test signal input (see audio/generator.js). Frequency is the tone's pitch and the chord's root.
+  { key: 'generatorSignal', label: 'Signal', group: 'Generator', type: 'select', options: GENERATOR_SIGNALS, default: 'sine' },
+  { key: 'generatorFrequency', label: 'Frequency', group: 'Generator', type: 'range', min: 20, max: 20000, step: 1, default: 440, unit: 'Hz', scale: 'log' },
+  { key: 'generatorLevel', label: 'Level', group: 'Generator', type: 'range', min: -60, max: 0, step: 1, default: -12, unit: 'dB' },
+  { key: 'generatorSweepTime', label: 'Sweep Time', group: 'Generator', type: 'range', min: 1, max: 60, step: 1, default: 10, unit: 's' },
+  { key: 'generatorBpm', label: 'Click Tempo', group: 'Generator', type: 'range', min: 40, max: 240, step: 1, default: 120, unit: 'BPM' },
+
+  // Audio effects chain (see audio/effects.js). `dependsOn` hides a field while its effect is bypassed.
+  { key: 'analyserPosition', label: 'Analyse Signal', group: 'Audio Effects', type: 'select', options: ANALYSER_POSITIONS, default: 'post' },
+  { key: 'eqEnabled', label: 'Equalizer', group: 'Audio Effects', type: 'toggle', default: false },
+  ...EQ_BANDS.map(({ key, frequency }) => ({
+    key,
+    label: `EQ ${frequency >= 1000 ? `${frequency / 1000}k` : frequency} Hz`,
+    group: 'Audio Effects',
+    type: 'range',
+    min: -12,
+    max: 12,
+    step: 0.5,
+    default: 0,
+    unit: 'dB',
+    dependsOn: 'eqEnabled',
+  })),
+  { key: 'compressorEnabled', label: 'Compressor', group: 'Audio Effects', type: 'toggle', default: false },
+  { key: 'compressorThreshold', label: 'Threshold', group: 'Audio Effects', type: 'range', min: -60, max: 0, step: 1, default: -24, unit: 'dB', dependsOn: 'compressorEnabled' },
+  { key: 'compressorRatio', label: 'Ratio', group: 'Audio Effects', type: 'range', min: 1, max: 20, step: 0.5, default: 4, unit: ':1', dependsOn: 'compressorEnabled' },
+  { key: 'compressorAttack', label: 'Attack', group: 'Audio Effects', type: 'range', min: 0, max: 1, step: 0.001, default: 0.003, unit: 's', dependsOn: 'compressorEnabled' },
+  { key: 'compressorRelease', label: 'Release', group: 'Audio Effects', type: 'range', min: 0.01, max: 1, step: 0.01, default: 0.25, unit: 's', dependsOn: 'compressorEnabled' },
+  { key: 'filterEnabled', label: 'Filter Sweep', group: 'Audio Effects', type: 'toggle', default: false },
+  { key: 'filterType', label: 'Filter Type', group: 'Audio Effects', type: 'select', options: FILTER_TYPES, default: 'lowpass', dependsOn: 'filterEnabled' },
+  { key: 'filterFrequency', label: 'Cutoff', group: 'Audio Effects', type: 'range', min: 20, max: 20000, step: 1, default: 1000, unit: 'Hz', scale: 'log', dependsOn: 'filterEnabled' },
+  { key: 'filterQ', label: 'Resonance', group: 'Audio Effects', type: 'range', min: 0.1, max: 20, step: 0.1, default: 0.7, dependsOn: 'filterEnabled' },
+  { key: 'reverbEnabled', label: 'Reverb', group: 'Audio Effects', type: 'toggle', default: false },
+  { key: 'reverbType', label: 'Space', group: 'Audio Effects', type: 'select', options: REVERB_TYPES, default: 'hall', dependsOn: 'reverbEnabled' },
+  { key: 'reverbMix', label: 'Mix', group: 'Audio Effects', type: 'range', min: 0, max: 1, step: 0.01, default: 0.3, dependsOn: 'reverbEnabled' },
+];
+
+export const getSettingsSchema = () => [
+  ...SETTINGS_SCHEMA,
+  ...getVisualizers().flatMap((visualizer) => visualizer.settings.map((field) => ({ ...field, group: visualizer.name }))),
+];
+
+export const getDefaultSettings = () => Object.fromEntries(getSettingsSchema().map((field) => [field.key, field.default]));
+
+const sanitizeField = (field, value) => {
+  if (field.type === 'select') return field.options.includes(value) ? value : field.default;
+  if (field.type === 'toggle') return typeof value === 'boolean' ? value : field.default;
+
+  const number = Number(value);
+  if (typeof value === 'boolean' || value === null || value === '' || !Number.isFinite(number)) return field.default;
+  const clamped = Math.min(field.max, Math.max(field.min, number));
+  // Snap to the step grid, rounding away float noise (0.1 + 0.2 and friends)
+  const snapped = field.min + Math.round((clamped - field.min) / field.step) * field.step;
+  return Number(Math.min(field.max, snapped).toFixed(6));
+};
+
+// Returns a complete, valid settings object. Unknown keys are dropped and bad values fall back to defaults.
+export const sanitizeSettings = (raw) => {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const settings = Object.fromEntries(getSettingsSchema().map((field) => [field.key, sanitizeField(field, source[field.key])]));
+
+  // AnalyserNode throws if minDecibels >= maxDecibels
+  if (settings.minDecibels >= settings.maxDecibels) {
+    const defaults = getDefaultSettings();
+    settings.minDecibels = defaults.minDecibels;
+    settings.maxDecibels = defaults.maxDecibels;
+  }
+  if (settings.fogNear >= settings.fogFar) settings.fogFar = Math.min(300, settings.fogNear + 20);
+
+  return settings;
+};
+
+// Returns `settings` with one field changed. Paired bounds (dB range, fog range) are pushed
+// apart instead of being reset, so dragging one slider past the other behaves naturally.
+export const withSetting = (settings, key, value) => {
+  const next = { ...settings, [key]: value };
+  if (key === 'minDecibels' && next.minDecibels >= next.maxDecibels) next.maxDecibels = next.minDecibels + 10;
+  if (key === 'maxDecibels' && next.maxDecibels <= next.minDecibels) next.minDecibels = next.maxDecibels - 10;
+  if (key === 'fogNear' && next.fogNear >= next.fogFar) next.fogFar = next.fogNear + 20;
+  if (key === 'fogFar' && next.fogFar <= next.fogNear) next.fogNear = Math.max(0, next.fogFar - 20);
+  return sanitizeSettings(next);
+};
+
+export const loadSettings = () => {
+  try {
+    return sanitizeSettings(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch {
+    return getDefaultSettings();
+  }
+};
+
+export const saveSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    // Private mode / quota: settings just won't persist
+    console.warn('Could not save settings:', err);
+  }
+};
+
+// Applies analyser-related settings to a live AnalyserNode without rebuilding the graph.
+// Decibel bounds are written in whichever order keeps min < max at every step.
+export const applyAnalyserSettings = (analyzer, { fftSize, smoothing, minDecibels, maxDecibels }) => {
+  analyzer.fftSize = fftSize;
+  analyzer.smoothingTimeConstant = smoothing;
+  if (minDecibels >= analyzer.maxDecibels) {
+    analyzer.maxDecibels = maxDecibels;
+    analyzer.minDecibels = minDecibels;
+  } else {
+    analyzer.minDecibels = minDecibels;
+    analyzer.maxDecibels = maxDecibels;
+  }
+};
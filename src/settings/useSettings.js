@@ -0,0 +1,18 @@
+import { useEffect, useState } from 'react';
+import { getDefaultSettings, loadSettings, sanitizeSettings, saveSettings, withSetting } from './settings';
+
+// --- Hook: Persistent Settings ---
+// Settings are loaded once from localStorage and written back whenever they change.
+export const useSettings = () => {
+  const [settings, setSettings] = useState(loadSettings);
+
+  useEffect(() => {
+    saveSettings(settings);
+  }, [settings]);
+
+  const updateSetting = (key, value) => setSettings((prev) => withSetting(prev, key, value));
+  const replaceSettings = (next) => setSettings(sanitizeSettings(next));
+  const resetSettings = () => setSettings(getDefaultSettings());
+
+  return { settings, updateSetting, replaceSettings, resetSettings };
+};
@@ -0,0 +1,94 @@
+import { sanitizeTheme } from './themes.js';
+
+// Builds a color theme from album art: the most vibrant hues become the gradient (ordered
+// dark to bright), and the image's average color, darkened, becomes the background.
+
+export const ARTWORK_THEME_ID = 'artwork';
+
+const SIZE = 32; // The image is scaled down to this many pixels square before sampling
+const HUE_BUCKETS = 12;
+const MAX_STOPS = 4;
+
+const toHex = ([r, g, b]) => `#${[r, g, b].map((v) => Math.round(Math.min(255, v)).toString(16).padStart(2, '0')).join('')}`;
+const luminance = ([r, g, b]) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+// Scales a color up so its brightest channel reaches `target` (keeps the hue)
+const brighten = (rgb, target = 230) => {
+  const max = Math.max(...rgb, 1);
+  return max >= target ? rgb : rgb.map((v) => (v * target) / max);
+};
+
+// Hue (0-1) of an RGB color with some chroma
+const hueOf = (r, g, b, max, chroma) => {
+  let hue;
+  if (max === r) hue = ((g - b) / chroma + 6) % 6;
+  else if (max === g) hue = (b - r) / chroma + 2;
+  else hue = (r - g) / chroma + 4;
+  return hue / 6;
+};
+
+// `pixels` is RGBA data (e.g. ImageData.data). Returns a sanitized theme.
+export const themeFromPixels = (pixels) => {
+  const buckets = Array.from({ length: HUE_BUCKETS }, () => ({ rgb: [0, 0, 0], weight: 0 }));
+  const average = [0, 0, 0];
+  let count = 0;
+
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (pixels[i + 3] < 128) continue; // Transparent
+    const r = pixels[i];
+    const g = pixels[i + 1];
+    const b = pixels[i + 2];
+    average[0] += r;
+    average[1] += g;
+    average[2] += b;
+    count++;
+
+    // Saturated, mid-bright pixels count the most; greys don't count at all
+    const max = Math.max(r, g, b);
+    const chroma = max - Math.min(r, g, b);
+    if (chroma < 24) continue;
+    const weight = (chroma / 255) ** 2;
+    const bucket = buckets[Math.floor(hueOf(r, g, b, max, chroma) * HUE_BUCKETS) % HUE_BUCKETS];
+    bucket.rgb[0] += r * weight;
+    bucket.rgb[1] += g * weight;
+    bucket.rgb[2] += b * weight;
+    bucket.weight += weight;
+  }
+
+  const mean = average.map((v) => v / Math.max(1, count));
+  let colors = buckets
+    .filter((bucket) => bucket.weight > 0)
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, MAX_STOPS)
+    .map((bucket) => bucket.rgb.map((v) => v / bucket.weight));
+
+  // Black and white (or single-hue) art: ramp from its average color up to white
+  if (colors.length < 2) colors = [mean.map((v) => v * 0.4), brighten(colors[0] ?? mean, 160), [255, 255, 255]];
+
+  const vivid = colors[0];
+  colors.sort((a, b) => luminance(a) - luminance(b));
+  const last = colors.length - 1;
+
+  return sanitizeTheme({
+    id: ARTWORK_THEME_ID,
+    name: 'Album Art',
+    stops: colors.map((rgb, i) => ({ offset: i / last, color: toHex(rgb) })),
+    background: toHex(mean.map((v) => v * 0.08)),
+    lights: [toHex(brighten(colors[last])), toHex(brighten(vivid))],
+    accent: toHex(brighten(vivid, 210)),
+  });
+};
+
+// Loads the image at `url` and samples it. Rejects if the image can't be decoded.
+export const extractArtworkTheme = async (url) => {
+  const image = new Image();
+  image.src = url;
+  await image.decode();
+
+  const canvas = document.createElement('canvas');
+  canvas.width = SIZE;
+  canvas.height = SIZE;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(image, 0, 0, SIZE, SIZE);
+  return themeFromPixels(context.getImageData(0, 0, SIZE, SIZE).data);
+};
@@ -0,0 +1,157 @@
+// Color themes. A theme is a gradient (stops from 0 = quiet to 1 = loud) plus the scene
+// and UI colors that go with it:
+//   { id, name, stops: [{ offset, color }], background, lights: [primary, secondary], accent }
+// All colors are '#rrggbb' hex strings so themes round-trip through JSON unchanged.
+
+export const THEMES = [
+  {
+    id: 'neon',
+    name: 'Neon',
+    stops: [
+      { offset: 0, color: '#00e5ff' },
+      { offset: 0.5, color: '#2962ff' },
+      { offset: 1, color: '#ff2bd6' },
+    ],
+    background: '#050510',
+    lights: ['#00ffff', '#ff00ff'],
+    accent: '#22d3ee',
+  },
+  {
+    id: 'sunset',
+    name: 'Sunset',
+    stops: [
+      { offset: 0, color: '#4a1c6b' },
+      { offset: 0.4, color: '#d53369' },
+      { offset: 0.75, color: '#ff8c42' },
+      { offset: 1, color: '#ffd86b' },
+    ],
+    background: '#0d0612',
+    lights: ['#ff8c42', '#d53369'],
+    accent: '#fb923c',
+  },
+  {
+    id: 'monochrome',
+    name: 'Monochrome',
+    stops: [
+      { offset: 0, color: '#3a3a3a' },
+      { offset: 0.6, color: '#a0a0a0' },
+      { offset: 1, color: '#ffffff' },
+    ],
+    background: '#050505',
+    lights: ['#ffffff', '#8a8a8a'],
+    accent: '#e5e5e5',
+  },
+  {
+    id: 'high-contrast',
+    name: 'High Contrast',
+    stops: [
+      { offset: 0, color: '#0066ff' },
+      { offset: 0.33, color: '#00ff00' },
+      { offset: 0.66, color: '#ffff00' },
+      { offset: 1, color: '#ff0000' },
+    ],
+    background: '#000000',
+    lights: ['#ffffff', '#ffff00'],
+    accent: '#facc15',
+  },
+];
+
+export const DEFAULT_THEME_ID = THEMES[0].id;
+
+export const MIN_STOPS = 2;
+export const MAX_STOPS = 8;
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// '#abc' -> '#aabbcc', lowercased. Returns null for anything that isn't a hex color.
+export const normalizeHex = (value) => {
+  if (typeof value !== 'string' || !HEX_COLOR.test(value.trim())) return null;
+  const hex = value.trim().toLowerCase();
+  return hex.length === 4 ? `#${hex[1]}${hex[1]}${hex[2]}${hex[2]}${hex[3]}${hex[3]}` : hex;
+};
+
+const hexToRgb = (hex) => {
+  const n = parseInt(hex.slice(1), 16);
+  return [((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255];
+};
+
+// Validates a theme from storage or an imported file.
+// Returns a clean copy, or throws with a message fit for the user.
+export const sanitizeTheme = (raw) => {
+  if (!raw || typeof raw !== 'object') throw new Error('Theme must be a JSON object.');
+  if (!Array.isArray(raw.stops)) throw new Error('Theme needs a "stops" array.');
+  if (raw.stops.length < MIN_STOPS || raw.stops.length > MAX_STOPS) {
+    throw new Error(`Theme needs between ${MIN_STOPS} and ${MAX_STOPS} gradient stops.`);
+  }
+
+  const stops = raw.stops.map((stop, i) => {
+    const color = normalizeHex(stop?.color);
+    const offset = Number(stop?.offset);
+    if (!color) throw new Error(`Stop ${i + 1} has an invalid color.`);
+    if (!Number.isFinite(offset)) throw new Error(`Stop ${i + 1} has an invalid offset.`);
+    return { offset: Math.min(1, Math.max(0, offset)), color };
+  }).sort((a, b) => a.offset - b.offset);
+
+  const color = (value, fallback) => normalizeHex(value) ?? fallback;
+  const lights = Array.isArray(raw.lights) ? raw.lights : [];
+  const name = typeof raw.name === 'string' ? raw.name.slice(0, 40) : 'Custom';
+
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : `custom-${Date.now().toString(36)}`,
+    name,
+    stops,
+    background: color(raw.background, THEMES[0].background),
+    lights: [color(lights[0], stops[0].color), color(lights[1], stops[stops.length - 1].color)],
+    accent: color(raw.accent, stops[Math.floor(stops.length / 2)].color),
+  };
+};
+
+// True when two themes look the same, ignoring id and name
+export const isSameTheme = (a, b) =>
+  JSON.stringify([a.stops, a.background, a.lights, a.accent]) === JSON.stringify([b.stops, b.background, b.lights, b.accent]);
+
+// Themes are exported without their id, so importing never collides with an existing one
+export const themeToJson = ({ name, stops, background, lights, accent }) =>
+  JSON.stringify({ name, stops, background, lights, accent }, null, 2);
+
+export const parseThemeJson = (text) => {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error('That file is not valid JSON.');
+  }
+  return sanitizeTheme({ ...raw, id: undefined });
+};
+
+// CSS gradient for previews in the UI
+export const themeToCss = (theme) =>
+  `linear-gradient(90deg, ${theme.stops.map((stop) => `${stop.color} ${Math.round(stop.offset * 100)}%`).join(', ')})`;
+
+// --- Palette ---
+// Precomputed gradient sampler for per-frame use. `sample(t, color)` writes the gradient
+// color at t (0-1) into a THREE.Color without allocating.
+export const createPalette = (theme) => {
+  const offsets = theme.stops.map((stop) => stop.offset);
+  const colors = theme.stops.map((stop) => hexToRgb(stop.color));
+  const last = colors.length - 1;
+
+  const sample = (t, target) => {
+    const x = Math.min(1, Math.max(0, t));
+    let i = 0;
+    while (i < last && x > offsets[i + 1]) i++;
+
+    if (x <= offsets[0] || i === last) {
+      const [r, g, b] = colors[x <= offsets[0] ? 0 : last];
+      return target.setRGB(r, g, b, 'srgb');
+    }
+
+    const span = offsets[i + 1] - offsets[i];
+    const k = span > 0 ? (x - offsets[i]) / span : 0;
+    const a = colors[i];
+    const b = colors[i + 1];
+    return target.setRGB(a[0] + (b[0] - a[0]) * k, a[1] + (b[1] - a[1]) * k, a[2] + (b[2] - a[2]) * k, 'srgb');
+  };
+
+  return { theme, sample };
+};
@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+import { extractArtworkTheme } from './artworkTheme';
+
+// --- Hook: Album Art Theme ---
+// Color theme sampled from the image at `url` (see artworkTheme.js), or null while sampling,
+// when there is no image or when it can't be decoded.
+export const useArtworkTheme = (url) => {
+  const [result, setResult] = useState({ url: null, theme: null });
+
+  useEffect(() => {
+    if (!url) return undefined;
+    let cancelled = false;
+
+    extractArtworkTheme(url)
+      .then((theme) => {
+        if (!cancelled) setResult({ url, theme });
+      })
+      .catch((err) => {
+        console.warn('Could not sample album art colors:', err);
+        if (!cancelled) setResult({ url, theme: null });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  return result.url === url ? result.theme : null;
+};
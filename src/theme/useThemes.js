@@ -0,0 +1,90 @@
+import { useEffect, useMemo, useState } from 'react';
+import { createPalette, DEFAULT_THEME_ID, isSameTheme, parseThemeJson, sanitizeTheme, THEMES } from './themes';
+
+const STORAGE_KEY = 'sonic-waves:themes';
+
+const loadThemeState = () => {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    const customThemes = [];
+    for (const theme of Array.isArray(raw?.customThemes) ? raw.customThemes : []) {
+      try {
+        customThemes.push({ ...sanitizeTheme(theme), custom: true });
+      } catch {
+        // Skip anything that no longer validates
+      }
+    }
+    return { themeId: typeof raw?.themeId === 'string' ? raw.themeId : DEFAULT_THEME_ID, customThemes };
+  } catch {
+    return { themeId: DEFAULT_THEME_ID, customThemes: [] };
+  }
+};
+
+// --- Hook: Color Themes ---
+// Built-in and custom themes, the selected one, and its palette. The selection and custom
+// themes persist in localStorage, and the theme's accent/background are pushed into CSS
+// variables so the Tailwind `accent-*` colors follow along.
+// `override` (e.g. the album art theme) replaces the selected theme in the palette and CSS
+// while it is set, without changing the selection.
+export const useThemes = (override = null) => {
+  const [state, setState] = useState(loadThemeState);
+  const { themeId, customThemes } = state;
+
+  const themes = useMemo(() => [...THEMES, ...customThemes], [customThemes]);
+  const theme = themes.find((t) => t.id === themeId) ?? THEMES[0];
+  const activeTheme = override ?? theme;
+  const palette = useMemo(() => createPalette(activeTheme), [activeTheme]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (err) {
+      console.warn('Could not save themes:', err);
+    }
+  }, [state]);
+
+  useEffect(() => {
+    const root = document.documentElement.style;
+    root.setProperty('--theme-accent', activeTheme.accent);
+    root.setProperty('--theme-background', activeTheme.background);
+  }, [activeTheme]);
+
+  const selectTheme = (id) => setState((prev) => ({ ...prev, themeId: id }));
+
+  // Adds or replaces a custom theme (matched by id) and selects it
+  const saveCustomTheme = (next) => {
+    const clean = { ...sanitizeTheme(next), custom: true };
+    setState((prev) => {
+      const exists = prev.customThemes.some((t) => t.id === clean.id);
+      return {
+        themeId: clean.id,
+        customThemes: exists
+          ? prev.customThemes.map((t) => (t.id === clean.id ? clean : t))
+          : [...prev.customThemes, clean],
+      };
+    });
+    return clean;
+  };
+
+  const deleteCustomTheme = (id) => setState((prev) => ({
+    themeId: prev.themeId === id ? DEFAULT_THEME_ID : prev.themeId,
+    customThemes: prev.customThemes.filter((t) => t.id !== id),
+  }));
+
+  // Throws with a readable message if the JSON isn't a valid theme
+  const importTheme = (text) => saveCustomTheme(parseThemeJson(text));
+
+  // Applies a preset's theme: a built-in id, or a theme object that is matched against the
+  // existing custom themes before being added as a new one
+  const applyTheme = (value) => {
+    if (typeof value === 'string') {
+      selectTheme(value);
+      return;
+    }
+    const existing = customThemes.find((t) => isSameTheme(t, value));
+    if (existing) selectTheme(existing.id);
+    else saveCustomTheme({ ...value, id: undefined });
+  };
+
+  return { theme, themes, palette, selectTheme, saveCustomTheme, deleteCustomTheme, importTheme, applyTheme };
+};
@@ -0,0 +1,43 @@
+// Collects files from a drop event, walking into dropped folders.
+// Uses the (non-standard but widely supported) webkitGetAsEntry API and falls back to
+// dataTransfer.files when it is unavailable.
+
+const readEntries = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+
+const entryToFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+const walkEntry = async (entry) => {
+  if (entry.isFile) {
+    const file = await entryToFile(entry);
+    return [{ file, path: entry.fullPath || file.name }];
+  }
+
+  if (!entry.isDirectory) return [];
+
+  // readEntries returns results in batches, so keep reading until it comes back empty
+  const reader = entry.createReader();
+  const children = [];
+  let batch = await readEntries(reader);
+  while (batch.length) {
+    children.push(...batch);
+    batch = await readEntries(reader);
+  }
+
+  const nested = await Promise.all(children.map(walkEntry));
+  return nested.flat();
+};
+
+// Resolves to an array of File objects, sorted by path so album folders keep track order.
+export const collectDroppedFiles = async (dataTransfer) => {
+  const items = [...(dataTransfer.items || [])];
+  const entries = items
+    .filter((item) => item.kind === 'file' && typeof item.webkitGetAsEntry === 'function')
+    .map((item) => item.webkitGetAsEntry())
+    .filter(Boolean);
+
+  if (!entries.length) return [...(dataTransfer.files || [])];
+
+  const found = (await Promise.all(entries.map(walkEntry))).flat();
+  found.sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true, sensitivity: 'base' }));
+  return found.map(({ file }) => file);
+};
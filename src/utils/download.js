@@ -0,0 +1,19 @@
+// Offers a Blob to the user as a file download.
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Timestamped file name, e.g. "sonic-waves-20250101-120000.webm"
+export const timestampedFileName = (extension, date = new Date()) => {
+  const pad = (n) => n.toString().padStart(2, '0');
+  const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return `sonic-waves-${stamp}.${extension}`;
+};
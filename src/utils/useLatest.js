@@ -0,0 +1,13 @@
+import { useEffect, useRef } from 'react';
+
+// --- Hook: Latest Value ---
+// A ref that always holds the latest `value`. For listeners, timers and callbacks that are
+// registered once but have to see the current render's handlers and state. It is updated
+// after each render, so read it from those callbacks, never while rendering.
+export const useLatest = (value) => {
+  const ref = useRef(value);
+  useEffect(() => {
+    ref.current = value;
+  });
+  return ref;
+};
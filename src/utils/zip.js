@@ -0,0 +1,81 @@
+// Minimal store-only (uncompressed) ZIP writer. PNGs are already compressed, so deflate
+// would buy little; this keeps PNG-sequence exports dependency-free.
+// Limits: < 65535 entries and < 4 GB total, which is plenty for short clips.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// DOS date for 1980-01-01, 00:00 (timestamps are irrelevant for generated frames)
+const DOS_DATE = 0x21;
+const UTF8_FLAG = 0x0800;
+
+export const createZip = () => {
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  const addFile = (name, bytes) => {
+    const nameBytes = new TextEncoder().encode(name);
+    const crc = crc32(bytes);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // Version needed
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, 0, true); // Method: store
+    local.setUint16(10, 0, true); // Time
+    local.setUint16(12, DOS_DATE, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, bytes.length, true);
+    local.setUint32(22, bytes.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true); // Extra length
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed
+    central.setUint16(8, UTF8_FLAG, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, 0, true);
+    central.setUint16(14, DOS_DATE, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, bytes.length, true);
+    central.setUint32(24, bytes.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true); // Local header offset (other fields stay 0)
+
+    parts.push(local, nameBytes, bytes);
+    centralDirectory.push(central, nameBytes);
+    offset += 30 + nameBytes.length + bytes.length;
+  };
+
+  const toBlob = () => {
+    const centralSize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+    const entries = centralDirectory.length / 2;
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries, true);
+    end.setUint16(10, entries, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+  };
+
+  return { addFile, toBlob };
+};
@@ -0,0 +1,40 @@
+import { useEffect, useState } from 'react';
+import * as THREE from 'three';
+
+const loader = new THREE.TextureLoader();
+
+// --- Component: Artwork Disc ---
+// Album art on a flat disc, like the label of a record. Loads `url` itself (no Suspense, so
+// the scene never blanks while it loads) and renders nothing until the texture is ready.
+const ArtworkDisc = ({ url, radius }) => {
+  const [loaded, setLoaded] = useState({ url: null, texture: null });
+
+  useEffect(() => {
+    let texture = null;
+    let cancelled = false;
+
+    loader.load(url, (result) => {
+      result.colorSpace = THREE.SRGBColorSpace;
+      texture = result;
+      if (cancelled) texture.dispose();
+      else setLoaded({ url, texture });
+    }, undefined, (err) => console.warn('Could not load album art:', err));
+
+    return () => {
+      cancelled = true;
+      texture?.dispose();
+    };
+  }, [url]);
+
+  if (loaded.url !== url) return null;
+
+  return (
+    <mesh rotation={[-Math.PI / 2, 0, 0]}>
+      <circleGeometry args={[radius, 64]} />
+      {/* Dimmed so the bloom pass doesn't wash the art out */}
+      <meshBasicMaterial map={loaded.texture} color="#8c8c8c" toneMapped={false} side={THREE.DoubleSide} />
+    </mesh>
+  );
+};
+
+export default ArtworkDisc;
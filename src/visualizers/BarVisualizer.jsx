@@ -0,0 +1,115 @@
+import { useFrame } from '@react-three/fiber';
+import { useEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+import { createBandMapper } from '../audio/bandMapper';
+import { useBeat } from '../audio/useBeat';
+import ArtworkDisc from './ArtworkDisc';
+import { commitInstances, createInstancedGlowMaterial, scratchColor, scratchObject } from './instancing';
+
+// --- Component: Bar Visualizer (Original) ---
+// One InstancedMesh for the whole ring: a single draw call however many bars there are.
+// With `stereo` the ring is split into a left and a right half, mirrored so the bass of both
+// channels meets at one point and the treble at the opposite one. The album art can sit on a
+// disc in the middle, turning and pulsing with the ring.
+const BarVisualizer = ({ audio, settings, palette, artworkUrl }) => {
+  const { bandMapping, barCount: count, radius, rotationSpeed } = settings;
+  const stereo = settings.stereoLayout === 'split';
+  const discUrl = settings.artworkDisc ? artworkUrl : null;
+  const meshRef = useRef();
+  const circleRef = useRef();
+  const hoveredIndexRef = useRef(null); // Ref for performance, avoids re-renders
+  const heightsRef = useRef(new Float32Array(0)); // Smoothed bar heights (scale.y per instance)
+  const rightLevelsRef = useRef(new Float32Array(0)); // Right channel band levels in stereo
+
+  // Configuration
+  const sampleRate = audio?.sampleRate;
+  const mapper = useMemo(
+    () => createBandMapper({ mode: bandMapping, count: stereo ? Math.round(count / 2) : count, sampleRate }),
+    [bandMapping, count, stereo, sampleRate]
+  );
+  const bandCount = mapper.count; // 1/3-octave decides its own count
+  const barCount = stereo ? bandCount * 2 : bandCount;
+  // Slimmer bars for a more refined look, thinning out further when the ring gets crowded
+  const barWidth = Math.min(0.3, ((Math.PI * 2 * radius) / barCount) * 0.6);
+
+  const material = useMemo(
+    () => createInstancedGlowMaterial({ roughness: 0.2, metalness: 0.8, toneMapped: false, emissiveIntensity: 1 }),
+    []
+  );
+  useEffect(() => () => material.dispose(), [material]);
+
+  // Beat pulse (0-1), set on each beat and decayed per frame
+  const pulseRef = useRef(0);
+  useBeat((beat) => { pulseRef.current = Math.max(pulseRef.current, beat.confidence); });
+
+  useFrame((state, delta) => {
+    const mesh = meshRef.current;
+    if (!audio || !mesh) return;
+
+    if (heightsRef.current.length !== barCount) heightsRef.current = new Float32Array(barCount).fill(0.4);
+    if (rightLevelsRef.current.length !== bandCount) rightLevelsRef.current = new Float32Array(bandCount);
+    const heights = heightsRef.current;
+
+    // Mono sources have no channel data: both halves then show the mix
+    const [left, right] = audio.channels ?? [audio, audio];
+    const levels = mapper.map(stereo ? left.frequencyData : audio.frequencyData);
+    const rightLevels = stereo ? mapper.map(right.frequencyData, rightLevelsRef.current) : levels;
+
+    // Rotate the entire ring slowly (only if not hovering significantly?)
+    // Keeping rotation adds life, but we can slow it if desired.
+    if (circleRef.current) {
+      circleRef.current.rotation.y -= 0.002 * rotationSpeed;
+
+      // Ring pulses outward on the beat
+      pulseRef.current *= Math.exp(-delta * 6);
+      circleRef.current.scale.setScalar(1 + pulseRef.current * 0.12);
+    }
+
+    for (let i = 0; i < barCount; i++) {
+      // Band level (0-1) from the mapper; the right half runs backwards around the ring
+      let level = levels[i];
+      if (stereo && i >= bandCount) level = rightLevels[barCount - 1 - i];
+      const isHovered = hoveredIndexRef.current === i;
+
+      // Base Audio Scale, boosted significantly on hover
+      let targetScale = Math.max(0.4, level * 8);
+      if (isHovered) targetScale = Math.max(targetScale, 12);
+
+      // Smooth interpolation for height (Lerp)
+      // Increasing lerp factor for interaction helps it feel responsive but smooth
+      heights[i] = THREE.MathUtils.lerp(heights[i], targetScale, 0.15);
+
+      const angle = (i / barCount) * Math.PI * 2;
+      scratchObject.position.set(Math.cos(angle) * radius, 0, Math.sin(angle) * radius);
+      scratchObject.rotation.set(0, -angle, 0);
+      scratchObject.scale.set(1, heights[i], 1);
+      scratchObject.updateMatrix();
+      mesh.setMatrixAt(i, scratchObject.matrix);
+
+      // Color: louder bands sit further along the theme gradient, and glow brighter
+      if (isHovered) scratchColor.setRGB(1, 1, 1); // White hot
+      else palette.sample(level, scratchColor).multiplyScalar(0.6 + level * 0.4);
+      mesh.setColorAt(i, scratchColor);
+    }
+
+    commitInstances(mesh);
+  });
+
+  return (
+    <group ref={circleRef}>
+      {/* Keyed on count: an InstancedMesh can't grow after creation */}
+      <instancedMesh
+        key={barCount}
+        ref={meshRef}
+        args={[undefined, material, barCount]}
+        onPointerMove={(e) => { e.stopPropagation(); hoveredIndexRef.current = e.instanceId ?? null; }}
+        onPointerOut={() => { hoveredIndexRef.current = null; }}
+      >
+        <boxGeometry args={[barWidth, 1, barWidth]} />
+      </instancedMesh>
+      {discUrl && <ArtworkDisc url={discUrl} radius={radius * 0.55} />}
+    </group>
+  );
+};
+
+export default BarVisualizer;
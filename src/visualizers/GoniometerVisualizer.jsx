@@ -0,0 +1,116 @@
+import { Html } from '@react-three/drei';
+import { useFrame } from '@react-three/fiber';
+import { useEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+
+const SCALE = 12; // Full-scale amplitude in world units
+const MAX_POINTS = 4096; // Per frame; larger FFT sizes are decimated down to this
+const TRAIL = 6; // Frames kept on screen, fading out with age
+const TILT = -Math.atan2(20, 35); // Face the default camera
+const pointColor = new THREE.Color();
+
+// Guide lines: the L and R diagonals, mid (mono) vertical and side horizontal
+const GUIDES = new Float32Array([
+  -1, -1, 0, 1, 1, 0,
+  -1, 1, 0, 1, -1, 0,
+  0, -1.4, 0, 0, 1.4, 0,
+  -1.4, 0, 0, 1.4, 0, 0,
+].map((n) => n * SCALE * Math.SQRT1_2));
+
+const LABELS = [
+  { text: 'L', position: [-0.75, 0.75] },
+  { text: 'R', position: [0.75, 0.75] },
+  { text: 'M', position: [0, 1.05] },
+];
+
+// --- Component: Goniometer Visualizer (Stereo Vectorscope) ---
+// Plots each left/right sample pair rotated by 45°: mono sits on the vertical line, sound
+// panned hard left or right on the diagonals, and wide or out-of-phase material spreads
+// sideways. The last few frames stay on screen as a fading trail.
+const GoniometerVisualizer = ({ audio, palette }) => {
+  const pointsRef = useRef([]);
+  const headRef = useRef(0); // Trail slot written last
+
+  const trails = useMemo(() => Array.from({ length: TRAIL }, () => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_POINTS * 3), 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(MAX_POINTS * 3), 3));
+    geometry.setDrawRange(0, 0);
+    geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3(), SCALE * 1.5);
+    return geometry;
+  }), []);
+  useEffect(() => () => trails.forEach((geometry) => geometry.dispose()), [trails]);
+
+  const guides = useMemo(() => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(GUIDES, 3));
+    return geometry;
+  }, []);
+  useEffect(() => () => guides.dispose(), [guides]);
+
+  useFrame(() => {
+    if (!audio) return;
+
+    // Mono sources have no channel data: the mix then draws a vertical line
+    const [left, right] = audio.channels ?? [audio, audio];
+    const l = left.timeDomainData;
+    const r = right.timeDomainData;
+    const stride = Math.ceil(l.length / MAX_POINTS);
+    const count = Math.floor(l.length / stride);
+
+    headRef.current = (headRef.current + 1) % TRAIL;
+    const points = pointsRef.current[headRef.current];
+    if (!points) return;
+
+    const positions = points.geometry.attributes.position;
+    const colors = points.geometry.attributes.color;
+    for (let k = 0; k < count; k++) {
+      const sl = (l[k * stride] - 128) / 128;
+      const sr = (r[k * stride] - 128) / 128;
+      const x = (sr - sl) * Math.SQRT1_2;
+      const y = (sl + sr) * Math.SQRT1_2;
+      positions.setXYZ(k, x * SCALE, y * SCALE, 0);
+      palette.sample(Math.min(1, Math.hypot(x, y)), pointColor);
+      colors.setXYZ(k, pointColor.r, pointColor.g, pointColor.b);
+    }
+    positions.needsUpdate = true;
+    colors.needsUpdate = true;
+    points.geometry.setDrawRange(0, count);
+
+    // Newest frame at full strength, older ones fading out
+    pointsRef.current.forEach((trail, slot) => {
+      if (!trail) return;
+      const age = (headRef.current - slot + TRAIL) % TRAIL;
+      trail.material.opacity = 1 - age / TRAIL;
+    });
+  });
+
+  return (
+    <group rotation={[TILT, 0, 0]}>
+      <lineSegments geometry={guides}>
+        <lineBasicMaterial color="#ffffff" transparent opacity={0.15} />
+      </lineSegments>
+
+      {trails.map((geometry, i) => (
+        <points key={i} ref={(el) => (pointsRef.current[i] = el)} geometry={geometry}>
+          <pointsMaterial
+            size={0.15}
+            vertexColors
+            transparent
+            depthWrite={false}
+            blending={THREE.AdditiveBlending}
+            toneMapped={false}
+          />
+        </points>
+      ))}
+
+      {LABELS.map(({ text, position }) => (
+        <Html key={text} position={[position[0] * SCALE, position[1] * SCALE, 0]} center style={{ pointerEvents: 'none' }}>
+          <span className="text-xs font-bold text-white/50">{text}</span>
+        </Html>
+      ))}
+    </group>
+  );
+};
+
+export default GoniometerVisualizer;
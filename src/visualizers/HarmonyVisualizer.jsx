@@ -0,0 +1,117 @@
+import { Html } from '@react-three/drei';
+import { useFrame } from '@react-three/fiber';
+import { useEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+import { CIRCLE_OF_FIFTHS, createChromaAnalyzer, estimateKey } from '../audio/chroma';
+import { NOTE_NAMES } from '../audio/pitch';
+import { useBeat } from '../audio/useBeat';
+
+const STEP = (Math.PI * 2) / 12;
+const GAP = 0.04; // Radians between segments
+const TILT = -Math.atan2(20, 35); // Face the default camera
+const segmentColor = new THREE.Color();
+
+// Angle of the k-th segment's middle: C at the top, then clockwise round the circle of fifths
+const angleOf = (k) => Math.PI / 2 - k * STEP;
+
+// --- Component: Harmony Visualizer (Circle of Fifths) ---
+// A 12-bin chromagram laid out round the circle of fifths: each segment glows with the energy
+// of its pitch class, in every octave. Neighbouring segments are closely related keys, so a
+// song lights up one side of the ring. The estimated key sits in the middle and its tonic is
+// marked; `harmonyKeyWindow` sets how many seconds of music the estimate remembers.
+const HarmonyVisualizer = ({ audio, settings, palette }) => {
+  const { radius, harmonyKeyWindow, harmonyLabels } = settings;
+  const groupRef = useRef();
+  const segmentsRef = useRef([]);
+  const markerRef = useRef();
+  const keyRef = useRef(null);
+
+  const chromaRef = useRef({ analyzer: null, bins: 0, frame: new Float32Array(12), shown: new Float32Array(12), history: new Float32Array(12) });
+  const keyNameRef = useRef(null);
+
+  // Beat pulse (0-1), swells the ring
+  const pulseRef = useRef(0);
+  useBeat((beat) => { pulseRef.current = Math.max(pulseRef.current, beat.confidence); });
+
+  const geometries = useMemo(
+    () => CIRCLE_OF_FIFTHS.map((_, k) => new THREE.RingGeometry(radius * 0.68, radius, 24, 1, angleOf(k) - STEP / 2 + GAP / 2, STEP - GAP)),
+    [radius]
+  );
+  useEffect(() => () => geometries.forEach((geometry) => geometry.dispose()), [geometries]);
+
+  useFrame((state, delta) => {
+    if (!audio) return;
+    const chroma = chromaRef.current;
+    const bins = audio.frequencyData.length;
+    if (chroma.bins !== bins) {
+      chroma.analyzer = createChromaAnalyzer(audio.sampleRate, bins);
+      chroma.bins = bins;
+    }
+    chroma.analyzer.analyze(audio.frequencyData, chroma.frame);
+
+    // Fast for the glow, slow for the key, which shouldn't change with every chord
+    const glow = 1 - Math.exp(-delta * 12);
+    const memory = 1 - Math.exp(-delta / harmonyKeyWindow);
+    for (let pc = 0; pc < 12; pc++) {
+      chroma.shown[pc] += (chroma.frame[pc] - chroma.shown[pc]) * glow;
+      chroma.history[pc] += (chroma.frame[pc] - chroma.history[pc]) * memory;
+    }
+
+    // Only a louder-than-silence signal counts; otherwise the flat frame would wipe the key
+    const key = audio.rms > 0.01 ? estimateKey(chroma.history) : null;
+    if (key && key.name !== keyNameRef.current) {
+      keyNameRef.current = key.name;
+      if (keyRef.current) keyRef.current.textContent = key.name;
+      const k = CIRCLE_OF_FIFTHS.indexOf(key.tonic);
+      markerRef.current?.position.set(Math.cos(angleOf(k)) * radius * 1.08, Math.sin(angleOf(k)) * radius * 1.08, 0);
+    }
+    if (markerRef.current) markerRef.current.visible = Boolean(keyNameRef.current);
+
+    CIRCLE_OF_FIFTHS.forEach((pc, k) => {
+      const mesh = segmentsRef.current[k];
+      if (!mesh) return;
+      const level = chroma.shown[pc];
+      palette.sample(level, segmentColor);
+      mesh.material.color.copy(segmentColor).multiplyScalar(0.15 + level * 1.6);
+    });
+
+    pulseRef.current *= Math.exp(-delta * 6);
+    groupRef.current.scale.setScalar(1 + pulseRef.current * 0.06);
+  });
+
+  return (
+    <group ref={groupRef} rotation={[TILT, 0, 0]}>
+      {geometries.map((geometry, k) => (
+        <mesh key={k} ref={(el) => (segmentsRef.current[k] = el)} geometry={geometry}>
+          <meshBasicMaterial toneMapped={false} side={THREE.DoubleSide} />
+        </mesh>
+      ))}
+
+      {/* Tonic of the estimated key */}
+      <mesh ref={markerRef} visible={false}>
+        <circleGeometry args={[radius * 0.035, 16]} />
+        <meshBasicMaterial color="#ffffff" toneMapped={false} />
+      </mesh>
+
+      {harmonyLabels && CIRCLE_OF_FIFTHS.map((pc, k) => (
+        <Html
+          key={pc}
+          position={[Math.cos(angleOf(k)) * radius * 1.2, Math.sin(angleOf(k)) * radius * 1.2, 0]}
+          center
+          style={{ pointerEvents: 'none' }}
+        >
+          <span className="text-xs font-bold text-white/50">{NOTE_NAMES[pc]}</span>
+        </Html>
+      ))}
+
+      <Html center style={{ pointerEvents: 'none' }}>
+        <div className="text-center whitespace-nowrap">
+          <p className="text-[10px] uppercase tracking-widest text-white/40">Key</p>
+          <p ref={keyRef} className="text-2xl font-bold text-white">–</p>
+        </div>
+      </Html>
+    </group>
+  );
+};
+
+export default HarmonyVisualizer;
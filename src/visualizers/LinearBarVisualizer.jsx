@@ -0,0 +1,112 @@
+import { Html } from '@react-three/drei';
+import { useFrame } from '@react-three/fiber';
+import { useEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+import { createBandMapper, formatFrequency } from '../audio/bandMapper';
+import { commitInstances, createInstancedGlowMaterial, scratchColor, scratchObject } from './instancing';
+
+const WHITE = new THREE.Color(1, 1, 1);
+const MAX_WIDTH = 48 * 1.2; // Row width at the default count; denser rows pack tighter instead of growing
+
+// --- Component: Linear Bar Visualizer (Classic) ---
+// Rendered as a single InstancedMesh. With `stereo` the row is mirrored: bass meets in the
+// middle, the left channel runs out to the left and the right channel to the right.
+const LinearBarVisualizer = ({ audio, settings, palette }) => {
+  const { bandMapping } = settings;
+  const count = Math.round(settings.barCount * 0.75); // Fewer bars than the ring, so the row still fits on screen
+  const stereo = settings.stereoLayout === 'split';
+  const meshRef = useRef();
+  const groupRef = useRef();
+  const hoveredIndexRef = useRef(null);
+  const heightsRef = useRef(new Float32Array(0)); // Smoothed bar heights (scale.y per instance)
+  const rightLevelsRef = useRef(new Float32Array(0)); // Right channel band levels in stereo
+
+  // Configuration
+  const sampleRate = audio?.sampleRate;
+  const mapper = useMemo(
+    () => createBandMapper({ mode: bandMapping, count: stereo ? Math.round(count / 2) : count, sampleRate }),
+    [bandMapping, count, stereo, sampleRate]
+  );
+  const bandCount = mapper.count;
+  const barCount = stereo ? bandCount * 2 : bandCount;
+  // Where band `j` of a channel (0 left, 1 right) sits in the row
+  const barIndex = (channel, j) => (stereo ? (channel === 0 ? bandCount - 1 - j : bandCount + j) : j);
+  const spacing = Math.min(1.2, MAX_WIDTH / barCount);
+  const totalWidth = barCount * spacing;
+  const labelEvery = Math.ceil(barCount / 8); // Keep roughly 8 Hz labels regardless of count
+
+  const material = useMemo(
+    () => createInstancedGlowMaterial({ roughness: 0.2, metalness: 0.8, toneMapped: false, emissiveIntensity: 1.2 }),
+    []
+  );
+  useEffect(() => () => material.dispose(), [material]);
+
+  useFrame(() => {
+    const mesh = meshRef.current;
+    if (!audio || !mesh) return;
+
+    if (heightsRef.current.length !== barCount) heightsRef.current = new Float32Array(barCount).fill(0.2);
+    if (rightLevelsRef.current.length !== bandCount) rightLevelsRef.current = new Float32Array(bandCount);
+    const heights = heightsRef.current;
+
+    // Mono sources have no channel data: both halves then show the mix
+    const [left, right] = audio.channels ?? [audio, audio];
+    const levels = mapper.map(stereo ? left.frequencyData : audio.frequencyData);
+    const rightLevels = stereo ? mapper.map(right.frequencyData, rightLevelsRef.current) : levels;
+
+    for (let i = 0; i < barCount; i++) {
+      let level = levels[i];
+      if (stereo) level = i < bandCount ? levels[bandCount - 1 - i] : rightLevels[i - bandCount]; // Undo barIndex()
+      const isHovered = hoveredIndexRef.current === i;
+
+      // Scale height (with a boost on hover)
+      let targetHeight = Math.max(0.2, level * 14);
+      if (isHovered) targetHeight = Math.max(targetHeight, 15);
+      heights[i] = THREE.MathUtils.lerp(heights[i], targetHeight, 0.2);
+
+      // Position: Move up so it grows from bottom
+      scratchObject.position.set(i * spacing, heights[i] / 2, 0);
+      scratchObject.rotation.set(0, 0, 0);
+      scratchObject.scale.set(1, heights[i], 1);
+      scratchObject.updateMatrix();
+      mesh.setMatrixAt(i, scratchObject.matrix);
+
+      // Theme gradient by level, washing out towards white as it gets louder
+      palette.sample(level, scratchColor).lerp(WHITE, isHovered ? 1.0 : level * 0.5);
+      mesh.setColorAt(i, scratchColor);
+    }
+
+    commitInstances(mesh);
+  });
+
+  const barWidth = spacing * (0.8 / 1.2);
+
+  return (
+    <group ref={groupRef} position={[-totalWidth / 2, -6, 0]}>
+      <instancedMesh
+        key={barCount}
+        ref={meshRef}
+        args={[undefined, material, barCount]}
+        onPointerMove={(e) => { e.stopPropagation(); hoveredIndexRef.current = e.instanceId ?? null; }}
+        onPointerOut={() => { hoveredIndexRef.current = null; }}
+      >
+        <boxGeometry args={[barWidth, 1, barWidth]} />
+      </instancedMesh>
+
+      {/* Frequency labels (band centres in Hz), on both sides when mirrored */}
+      {(stereo ? [0, 1] : [0]).map((channel) => mapper.bands.map((band, j) => (j % labelEvery === 0 ? (
+        <Html key={`label-${channel}-${j}`} position={[barIndex(channel, j) * spacing, -1, 0]} center style={{ pointerEvents: 'none' }}>
+          <span className="text-[10px] font-mono text-white/40 whitespace-nowrap">{formatFrequency(band.center)}</span>
+        </Html>
+      ) : null)))}
+
+      {stereo && ['L', 'R'].map((label, channel) => (
+        <Html key={label} position={[channel === 0 ? -spacing : barCount * spacing, 0.5, 0]} center style={{ pointerEvents: 'none' }}>
+          <span className="text-xs font-bold text-white/50">{label}</span>
+        </Html>
+      ))}
+    </group>
+  );
+};
+
+export default LinearBarVisualizer;
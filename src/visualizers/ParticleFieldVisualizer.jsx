@@ -0,0 +1,151 @@
+import { useFrame } from '@react-three/fiber';
+import { useEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+import { useBeat } from '../audio/useBeat';
+import { createGradientTexture } from './gradientTexture';
+
+const INNER_RADIUS = 5;
+const OUTER_RADIUS = 18;
+
+// All motion happens in the vertex shader: bass pushes each particle out along its own
+// direction, treble shakes it with a cheap sine turbulence, and beats add a burst on top.
+const vertexShader = /* glsl */ `
+  attribute float aSeed;
+  uniform float uTime;
+  uniform float uBass;
+  uniform float uTreble;
+  uniform float uBurst;
+  uniform float uSize;
+  uniform float uPixelRatio;
+  varying float vShade;
+  varying float vSeed;
+
+  void main() {
+    vec3 direction = normalize(position);
+    float push = uBass * 6.0 * (0.5 + aSeed) + uBurst * 8.0 * aSeed;
+    vec3 p = position + direction * push;
+
+    float phase = aSeed * 6.2831;
+    vec3 turbulence = vec3(
+      sin(p.y * 0.35 + uTime * 1.7 + phase),
+      sin(p.z * 0.35 + uTime * 1.3 + phase * 2.0),
+      sin(p.x * 0.35 + uTime * 1.9 + phase * 0.5)
+    );
+    p += turbulence * (0.15 + uTreble * 3.0);
+
+    vShade = clamp((length(p) - ${INNER_RADIUS.toFixed(1)}) / ${(OUTER_RADIUS + 8 - INNER_RADIUS).toFixed(1)}, 0.0, 1.0);
+    vSeed = aSeed;
+
+    vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    gl_PointSize = uSize * (0.6 + aSeed * 0.8) * uPixelRatio * (30.0 / -mvPosition.z);
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  uniform sampler2D uGradient;
+  uniform float uBass;
+  uniform float uBurst;
+  varying float vShade;
+  varying float vSeed;
+
+  void main() {
+    // Soft round sprite
+    float d = length(gl_PointCoord - 0.5);
+    if (d > 0.5) discard;
+    float alpha = smoothstep(0.5, 0.0, d);
+
+    vec3 color = texture2D(uGradient, vec2(vShade, 0.5)).rgb;
+    float glow = 0.35 + uBass * 0.8 + uBurst * 0.6 + vSeed * 0.15;
+    gl_FragColor = vec4(color * glow, alpha);
+    #include <colorspace_fragment>
+  }
+`;
+
+// Small seeded PRNG (mulberry32), so the field looks the same on every mount and in exports
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Random points in a thick spherical shell, plus a per-particle seed
+const createFieldGeometry = (count) => {
+  const random = createRandom(count);
+  const positions = new Float32Array(count * 3);
+  const seeds = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    const u = random() * 2 - 1;
+    const theta = random() * Math.PI * 2;
+    const r = INNER_RADIUS + (OUTER_RADIUS - INNER_RADIUS) * Math.cbrt(random());
+    const s = Math.sqrt(1 - u * u);
+    positions.set([Math.cos(theta) * s * r, u * r, Math.sin(theta) * s * r], i * 3);
+    seeds[i] = random();
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('aSeed', new THREE.BufferAttribute(seeds, 1));
+  // Leave room for the bass push so the field isn't culled when it swells
+  geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3(), OUTER_RADIUS + 20);
+  return geometry;
+};
+
+// --- Component: Particle Field Visualizer (GPU Points) ---
+// Tens of thousands of points in a single draw call. The audio is passed in as uniforms
+// each frame; nothing is updated per particle on the CPU.
+const ParticleFieldVisualizer = ({ audio, settings, palette }) => {
+  const { fieldCount: count, fieldSize: size, rotationSpeed } = settings;
+  const pointsRef = useRef();
+
+  // Beat burst (0-1), decays between beats
+  const burstRef = useRef(0);
+  useBeat((beat) => { burstRef.current = Math.max(burstRef.current, beat.confidence); });
+
+  const geometry = useMemo(() => createFieldGeometry(count), [count]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  const gradientTexture = useMemo(() => createGradientTexture(palette), [palette]);
+  useEffect(() => () => gradientTexture.dispose(), [gradientTexture]);
+
+  const material = useMemo(() => new THREE.ShaderMaterial({
+    vertexShader,
+    fragmentShader,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+    uniforms: {
+      uGradient: { value: gradientTexture },
+      uTime: { value: 0 },
+      uBass: { value: 0 },
+      uTreble: { value: 0 },
+      uBurst: { value: 0 },
+      uSize: { value: size },
+      uPixelRatio: { value: 1 },
+    },
+  }), [gradientTexture, size]);
+  useEffect(() => () => material.dispose(), [material]);
+
+  useFrame((state, delta) => {
+    const points = pointsRef.current;
+    if (!audio || !points) return;
+
+    // Uniforms go through the mesh: the memoized material is read-only during render
+    const { uniforms } = points.material;
+    uniforms.uTime.value = state.clock.elapsedTime;
+    uniforms.uPixelRatio.value = state.viewport.dpr;
+
+    // Smooth the bands a little so the field breathes rather than flickers
+    uniforms.uBass.value = THREE.MathUtils.lerp(uniforms.uBass.value, audio.bands.bass, 0.2);
+    uniforms.uTreble.value = THREE.MathUtils.lerp(uniforms.uTreble.value, audio.bands.treble, 0.3);
+
+    burstRef.current *= Math.exp(-delta * 4);
+    uniforms.uBurst.value = burstRef.current;
+
+    points.rotation.y += 0.001 * rotationSpeed;
+  });
+
+  return <points ref={pointsRef} geometry={geometry} material={material} />;
+};
+
+export default ParticleFieldVisualizer;
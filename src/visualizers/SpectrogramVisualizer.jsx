@@ -0,0 +1,132 @@
+import { useFrame } from '@react-three/fiber';
+import { useEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+import { createBandMapper } from '../audio/bandMapper';
+import { createGradientTexture } from './gradientTexture';
+
+const COLUMNS = 128; // Frequency bands across the terrain
+const WIDTH = 40;
+const DEPTH = 44;
+const MAX_HEIGHT = 8;
+
+// The terrain is a flat grid displaced in the vertex shader. Each row of vertices reads one
+// past spectrum frame from the history texture, which is a ring buffer: `uHead` is the row
+// that was written last, and `uv.y` is how far back in time a vertex sits.
+const vertexShader = /* glsl */ `
+  uniform sampler2D uHistory;
+  uniform float uHead;
+  uniform float uRows;
+  uniform float uHeight;
+  varying float vLevel;
+  varying float vAge;
+  #include <fog_pars_vertex>
+
+  void main() {
+    float age = uv.y * (uRows - 1.0);
+    float row = mod(uHead - age + uRows, uRows);
+    vLevel = texture2D(uHistory, vec2(uv.x, (row + 0.5) / uRows)).r;
+    vAge = uv.y;
+
+    vec3 transformed = position;
+    transformed.z += vLevel * uHeight; // Plane is rotated flat, so local z is up
+    vec4 mvPosition = modelViewMatrix * vec4(transformed, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    #include <fog_vertex>
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  uniform sampler2D uGradient;
+  varying float vLevel;
+  varying float vAge;
+  #include <fog_pars_fragment>
+
+  void main() {
+    vec3 color = texture2D(uGradient, vec2(vLevel, 0.5)).rgb;
+    // Quiet valleys stay dim and older rows fade as they recede
+    float glow = (0.25 + vLevel * 1.5) * (1.0 - vAge * 0.6);
+    gl_FragColor = vec4(color * glow, 1.0);
+    #include <colorspace_fragment>
+    #include <fog_fragment>
+  }
+`;
+
+// --- Component: Spectrogram Visualizer (Scrolling Terrain) ---
+// A waterfall of past spectra: the newest frame is at the front edge and time runs into the
+// screen. `history` is the number of frames kept, `scrollSpeed` the frames added per second.
+const SpectrogramVisualizer = ({ audio, settings, palette }) => {
+  const { bandMapping, terrainHistory: history, terrainSpeed: scrollSpeed } = settings;
+  const meshRef = useRef();
+  const headRef = useRef(0); // Ring buffer row written last
+  const pendingRef = useRef(0); // Fractional frames owed since the last write
+
+  const sampleRate = audio?.sampleRate;
+  const mapper = useMemo(
+    () => createBandMapper({ mode: bandMapping, count: COLUMNS, sampleRate }),
+    [bandMapping, sampleRate]
+  );
+  const columns = mapper.count;
+
+  // Ring buffer of past frames (one row per frame), uploaded as a single-channel texture
+  const historyTexture = useMemo(() => {
+    const texture = new THREE.DataTexture(new Uint8Array(columns * history), columns, history, THREE.RedFormat);
+    texture.magFilter = THREE.LinearFilter;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.unpackAlignment = 1; // Rows are `columns` bytes, not always a multiple of 4
+    texture.needsUpdate = true;
+    return texture;
+  }, [columns, history]);
+  useEffect(() => () => historyTexture.dispose(), [historyTexture]);
+
+  const gradientTexture = useMemo(() => createGradientTexture(palette), [palette]);
+  useEffect(() => () => gradientTexture.dispose(), [gradientTexture]);
+
+  const geometry = useMemo(() => new THREE.PlaneGeometry(WIDTH, DEPTH, columns - 1, history - 1), [columns, history]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  const material = useMemo(() => new THREE.ShaderMaterial({
+    vertexShader,
+    fragmentShader,
+    fog: true,
+    uniforms: {
+      ...THREE.UniformsUtils.clone(THREE.UniformsLib.fog),
+      uHistory: { value: historyTexture },
+      uGradient: { value: gradientTexture },
+      uHead: { value: 0 },
+      uRows: { value: history },
+      uHeight: { value: MAX_HEIGHT },
+    },
+  }), [historyTexture, gradientTexture, history]);
+  useEffect(() => () => material.dispose(), [material]);
+
+  useFrame((state, delta) => {
+    const mesh = meshRef.current;
+    if (!audio || !mesh) return;
+
+    // Cap the catch-up at one buffer's worth after a long stall
+    pendingRef.current = Math.min(pendingRef.current + delta * scrollSpeed, history);
+    if (pendingRef.current < 1) return;
+
+    // Go through the mesh: the memoized texture and material are read-only during render
+    const { uniforms } = mesh.material;
+    const texture = uniforms.uHistory.value;
+    const levels = mapper.map(audio.frequencyData);
+    const data = texture.image.data;
+    while (pendingRef.current >= 1) {
+      headRef.current = (headRef.current + 1) % history;
+      const offset = headRef.current * columns;
+      for (let i = 0; i < columns; i++) data[offset + i] = levels[i] * 255;
+      pendingRef.current -= 1;
+    }
+
+    texture.needsUpdate = true;
+    uniforms.uHead.value = headRef.current;
+  });
+
+  return (
+    // uv.y runs towards the back of the rotated plane, so the newest row is the front edge
+    <mesh ref={meshRef} geometry={geometry} material={material} rotation={[-Math.PI / 2, 0, 0]} position={[0, -4, 0]} />
+  );
+};
+
+export default SpectrogramVisualizer;
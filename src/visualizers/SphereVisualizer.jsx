@@ -0,0 +1,192 @@
+import { useFrame } from '@react-three/fiber';
+import { useEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { createBandMapper } from '../audio/bandMapper';
+import { useBeat } from '../audio/useBeat';
+import { createGradientTexture } from './gradientTexture';
+
+const RADIUS = 4;
+const BANDS = 64; // Spectrum resolution across the surface
+const SPIRAL_TURNS = 8;
+
+// Each vertex looks up a band from the spectrum texture by where it sits on the sphere and
+// moves out along its normal by that level, plus a little drifting noise.
+//   mirrored: by latitude, bass at the equator and treble at both poles
+//   spiral:   along a spiral winding from the south pole to the north pole
+const vertexShader = /* glsl */ `
+  uniform sampler2D uSpectrum;
+  uniform float uTime;
+  uniform float uAmount;
+  uniform float uNoise;
+  uniform float uSpiral;
+  uniform float uPointSize;
+  uniform float uPixelRatio;
+  varying float vLevel;
+  varying float vFresnel;
+
+  void main() {
+    vec3 n = normalize(position);
+    float latitude = asin(clamp(n.y, -1.0, 1.0)) / 1.5707963;
+
+    float t = abs(latitude);
+    if (uSpiral > 0.5) {
+      float angle = atan(n.z, n.x) / 6.2831853 + 0.5;
+      t = clamp(((latitude * 0.5 + 0.5) * ${SPIRAL_TURNS.toFixed(1)} + angle) / ${(SPIRAL_TURNS + 1).toFixed(1)}, 0.0, 1.0);
+    }
+    vLevel = texture2D(uSpectrum, vec2(t, 0.5)).r;
+
+    float noise = sin(n.x * 3.1 + uTime * 0.9) * sin(n.y * 2.7 + uTime * 1.1) * sin(n.z * 3.3 + uTime * 0.7);
+    vec3 p = position + n * (vLevel * uAmount + noise * uNoise);
+
+    vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+    vFresnel = 1.0 - abs(dot(normalize(normalMatrix * n), normalize(-mvPosition.xyz)));
+    gl_Position = projectionMatrix * mvPosition;
+    gl_PointSize = uPointSize * uPixelRatio * (30.0 / -mvPosition.z);
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  uniform sampler2D uGradient;
+  uniform float uDrift;
+  uniform float uHover;
+  uniform float uOpacity;
+  varying float vLevel;
+  varying float vFresnel;
+
+  void main() {
+    #ifdef ROUND_POINTS
+      if (length(gl_PointCoord - 0.5) > 0.5) discard;
+    #endif
+
+    // Quiet areas drift along the theme gradient over time, loud ones run to its end
+    vec3 color = texture2D(uGradient, vec2(mix(uDrift, 1.0, vLevel), 0.5)).rgb;
+    color *= 0.35 + vLevel * 1.2 + vFresnel * 0.6;
+    color = mix(color, vec3(1.0), uHover * 0.4);
+    gl_FragColor = vec4(color, uOpacity);
+    #include <colorspace_fragment>
+  }
+`;
+
+// --- Component: Sphere Visualizer (Morphing Mesh) ---
+// A subdivided icosahedron displaced in the vertex shader, so it stays smooth at any detail.
+// `style` is one of SPHERE_STYLES and `mapping` one of SPHERE_MAPPINGS (see builtins.js).
+const SphereVisualizer = ({ audio, settings, palette }) => {
+  const { bandMapping, sphereStyle: style, sphereMapping: mapping, sphereDetail: detail, sphereNoise: noise, rotationSpeed } = settings;
+  const meshRef = useRef();
+
+  // Interactive hover state
+  const isHoveredRef = useRef(false);
+
+  // Beat kick (0-1), decays quickly so the sphere snaps back between beats
+  const kickRef = useRef(0);
+  useBeat((beat) => { kickRef.current = Math.max(kickRef.current, beat.confidence); });
+
+  const sampleRate = audio?.sampleRate;
+  const mapper = useMemo(
+    () => createBandMapper({ mode: bandMapping, count: BANDS, sampleRate }),
+    [bandMapping, sampleRate]
+  );
+
+  // Smoothed band levels, uploaded every frame
+  const spectrumTexture = useMemo(() => {
+    const texture = new THREE.DataTexture(new Uint8Array(mapper.count), mapper.count, 1, THREE.RedFormat);
+    texture.magFilter = THREE.LinearFilter;
+    texture.unpackAlignment = 1;
+    texture.needsUpdate = true;
+    return texture;
+  }, [mapper]);
+  useEffect(() => () => spectrumTexture.dispose(), [spectrumTexture]);
+
+  const gradientTexture = useMemo(() => createGradientTexture(palette), [palette]);
+  useEffect(() => () => gradientTexture.dispose(), [gradientTexture]);
+
+  // Indexed, so the faces that share a vertex move together
+  const geometry = useMemo(() => {
+    const base = new THREE.IcosahedronGeometry(RADIUS, detail);
+    base.deleteAttribute('normal');
+    base.deleteAttribute('uv');
+    const merged = mergeVertices(base);
+    base.dispose();
+    // Leave room for the displacement so the sphere isn't culled when it swells
+    merged.boundingSphere = new THREE.Sphere(new THREE.Vector3(), RADIUS + 4);
+    return merged;
+  }, [detail]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  // Points draw one point per index entry, and each vertex sits in about six faces, so with
+  // additive blending the indexed sphere would stack shared points several times over. The
+  // point cloud uses the merged positions without the index: each vertex is drawn once.
+  const pointGeometry = useMemo(() => {
+    if (style !== 'points') return null;
+    const cloud = new THREE.BufferGeometry();
+    cloud.setAttribute('position', geometry.getAttribute('position'));
+    cloud.boundingSphere = geometry.boundingSphere;
+    return cloud;
+  }, [geometry, style]);
+  useEffect(() => () => pointGeometry?.dispose(), [pointGeometry]);
+
+  const material = useMemo(() => new THREE.ShaderMaterial({
+    vertexShader,
+    fragmentShader,
+    wireframe: style === 'wireframe',
+    transparent: style !== 'solid',
+    depthWrite: style === 'solid',
+    blending: style === 'points' ? THREE.AdditiveBlending : THREE.NormalBlending,
+    defines: style === 'points' ? { ROUND_POINTS: '' } : {},
+    uniforms: {
+      uSpectrum: { value: spectrumTexture },
+      uGradient: { value: gradientTexture },
+      uTime: { value: 0 },
+      uAmount: { value: 3 },
+      uNoise: { value: noise },
+      uSpiral: { value: mapping === 'spiral' ? 1 : 0 },
+      uPointSize: { value: 1.2 },
+      uPixelRatio: { value: 1 },
+      uDrift: { value: 0 },
+      uHover: { value: 0 },
+      uOpacity: { value: style === 'wireframe' ? 0.8 : 1 },
+    },
+  }), [style, mapping, noise, spectrumTexture, gradientTexture]);
+  useEffect(() => () => material.dispose(), [material]);
+
+  useFrame((state, delta) => {
+    const mesh = meshRef.current;
+    if (!audio || !mesh) return;
+
+    // Go through the mesh: the memoized texture and material are read-only during render
+    const { uniforms } = mesh.material;
+    const levels = mapper.map(audio.frequencyData);
+    const data = uniforms.uSpectrum.value.image.data;
+    for (let i = 0; i < data.length; i++) data[i] = THREE.MathUtils.lerp(data[i], levels[i] * 255, 0.3);
+    uniforms.uSpectrum.value.needsUpdate = true;
+
+    uniforms.uTime.value = state.clock.elapsedTime;
+    uniforms.uPixelRatio.value = state.viewport.dpr;
+    // Drift back and forth along the theme gradient over time
+    uniforms.uDrift.value = 0.5 - 0.5 * Math.cos(state.clock.elapsedTime * 0.3);
+    uniforms.uHover.value = THREE.MathUtils.lerp(uniforms.uHover.value, isHoveredRef.current ? 1 : 0, 0.2);
+
+    kickRef.current *= Math.exp(-delta * 8);
+    const targetScale = (1 + kickRef.current * 0.35) * (isHoveredRef.current ? 1.2 : 1);
+    mesh.scale.setScalar(THREE.MathUtils.lerp(mesh.scale.x, targetScale, 0.2));
+
+    mesh.rotation.x += 0.005 * rotationSpeed;
+    mesh.rotation.y += 0.005 * rotationSpeed;
+  });
+
+  const Element = style === 'points' ? 'points' : 'mesh';
+
+  return (
+    <Element
+      key={style}
+      ref={meshRef}
+      geometry={pointGeometry ?? geometry}
+      material={material}
+      onPointerOver={() => isHoveredRef.current = true}
+      onPointerOut={() => isHoveredRef.current = false}
+    />
+  );
+};
+
+export default SphereVisualizer;
@@ -0,0 +1,85 @@
+import { useFrame } from '@react-three/fiber';
+import { useEffect, useMemo, useRef } from 'react';
+import { useBeat } from '../audio/useBeat';
+import { commitInstances, createInstancedGlowMaterial, scratchColor, scratchObject } from './instancing';
+
+// --- Component: Wave Visualizer (Circular Time Domain) ---
+// Particles are instances of one InstancedMesh, so the count can run into the thousands.
+const WaveVisualizer = ({ audio, settings, palette }) => {
+  const { particleCount: count, rotationSpeed } = settings;
+  const radius = settings.radius - 2; // Just inside where the bar ring would be
+  const groupRef = useRef();
+  const meshRef = useRef();
+  const hoveredIndexRef = useRef(null);
+
+  const material = useMemo(
+    () => createInstancedGlowMaterial({ toneMapped: false, emissiveIntensity: 1.5 }),
+    []
+  );
+  useEffect(() => () => material.dispose(), [material]);
+
+  // Beat burst (0-1), throws the particles outward
+  const burstRef = useRef(0);
+  useBeat((beat) => { burstRef.current = Math.max(burstRef.current, beat.confidence); });
+
+  useFrame((state, delta) => {
+    const mesh = meshRef.current;
+    if (!audio || !mesh) return;
+    const dataArray = audio.timeDomainData; // Time domain for waveform
+    burstRef.current *= Math.exp(-delta * 5);
+    const burst = burstRef.current * 4;
+
+    for (let i = 0; i < count; i++) {
+      // Map time domain (0-255) centered at 128
+      const index = Math.floor((i / count) * dataArray.length);
+      const value = dataArray[index];
+      let displacement = ((value - 128) / 128) * 6; // Amplitude
+
+      // Interaction
+      const isHovered = hoveredIndexRef.current === i;
+      if (isHovered) {
+        displacement += 5; // Pop up
+      }
+
+      const angle = (i / count) * Math.PI * 2;
+      // Radius changes with audio (and bursts out on beats)
+      const r = radius + displacement + burst;
+
+      // Also oscillate Y specifically for wave look
+      scratchObject.position.set(Math.cos(angle) * r, displacement * 1.5, Math.sin(angle) * r);
+      scratchObject.rotation.set(0, 0, 0);
+
+      // Color logic
+      const intensity = Math.abs(displacement) / 4;
+      scratchObject.scale.setScalar(isHovered ? 0.4 + intensity : 0.2 + intensity);
+      scratchObject.updateMatrix();
+      mesh.setMatrixAt(i, scratchObject.matrix);
+
+      if (isHovered) scratchColor.setRGB(1, 1, 1);
+      else palette.sample(intensity, scratchColor);
+      mesh.setColorAt(i, scratchColor);
+    }
+
+    commitInstances(mesh);
+
+    if (groupRef.current) {
+      groupRef.current.rotation.y += 0.002 * rotationSpeed;
+    }
+  });
+
+  return (
+    <group ref={groupRef}>
+      <instancedMesh
+        key={count}
+        ref={meshRef}
+        args={[undefined, material, count]}
+        onPointerMove={(e) => { e.stopPropagation(); hoveredIndexRef.current = e.instanceId ?? null; }}
+        onPointerOut={() => { hoveredIndexRef.current = null; }}
+      >
+        <sphereGeometry args={[0.2, 8, 8]} />
+      </instancedMesh>
+    </group>
+  )
+}
+
+export default WaveVisualizer;
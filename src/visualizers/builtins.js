@@ -0,0 +1,100 @@
+import BarVisualizer from './BarVisualizer';
+import GoniometerVisualizer from './GoniometerVisualizer';
+import HarmonyVisualizer from './HarmonyVisualizer';
+import LinearBarVisualizer from './LinearBarVisualizer';
+import ParticleFieldVisualizer from './ParticleFieldVisualizer';
+import { registerVisualizer } from './registry';
+import SpectrogramVisualizer from './SpectrogramVisualizer';
+import SphereVisualizer from './SphereVisualizer';
+import WaveVisualizer from './WaveVisualizer';
+
+// The visualizers that ship with the app, in mode selector order. Settings shared by several
+// modes (bar count, radius, rotation speed, stereo layout) live in settings/settings.js.
+
+const SPHERE_STYLES = ['solid', 'wireframe', 'points'];
+const SPHERE_MAPPINGS = ['mirrored', 'spiral'];
+
+registerVisualizer({
+  id: 'bars',
+  name: 'Bars',
+  icon: 'M12 2v4M12 18v4M2 12h4M18 12h4M4.9 4.9l2.8 2.8M16.3 16.3l2.8 2.8M4.9 19.1l2.8-2.8M16.3 7.7l2.8-2.8',
+  bandMapped: true,
+  settings: [
+    { key: 'artworkDisc', label: 'Album Art Disc', type: 'toggle', default: true },
+  ],
+  component: BarVisualizer,
+});
+
+registerVisualizer({
+  id: 'linear',
+  name: 'Linear',
+  icon: 'M4 20v-6M9 20V8M14 20v-9M19 20V4',
+  bandMapped: true,
+  component: LinearBarVisualizer,
+});
+
+registerVisualizer({
+  id: 'sphere',
+  name: 'Sphere',
+  icon: 'M12 3a9 9 0 1 0 0 18a9 9 0 1 0 0-18M3 12h18M12 3a14 14 0 0 1 0 18M12 3a14 14 0 0 0 0 18',
+  bandMapped: true,
+  settings: [
+    { key: 'sphereStyle', label: 'Style', type: 'select', options: SPHERE_STYLES, default: 'wireframe' },
+    { key: 'sphereMapping', label: 'Mapping', type: 'select', options: SPHERE_MAPPINGS, default: 'mirrored' },
+    { key: 'sphereDetail', label: 'Detail', type: 'range', min: 4, max: 64, step: 1, default: 32 },
+    { key: 'sphereNoise', label: 'Noise', type: 'range', min: 0, max: 1, step: 0.05, default: 0.3 },
+  ],
+  component: SphereVisualizer,
+});
+
+registerVisualizer({
+  id: 'wave',
+  name: 'Wave',
+  icon: 'M2 12c2-6 4-6 6 0s4 6 6 0s4-6 6 0',
+  settings: [
+    { key: 'particleCount', label: 'Particle Count', type: 'range', min: 32, max: 4096, step: 32, default: 128 },
+  ],
+  component: WaveVisualizer,
+});
+
+registerVisualizer({
+  id: 'terrain',
+  name: 'Terrain',
+  icon: 'M2 20l5-9 4 5 4-10 7 14z',
+  bandMapped: true,
+  settings: [
+    { key: 'terrainHistory', label: 'History', type: 'range', min: 32, max: 512, step: 16, default: 128 },
+    { key: 'terrainSpeed', label: 'Scroll Speed', type: 'range', min: 5, max: 120, step: 5, default: 30 },
+  ],
+  component: SpectrogramVisualizer,
+});
+
+registerVisualizer({
+  id: 'field',
+  name: 'Field',
+  icon: 'M5 6h.01M12 4h.01M19 7h.01M8 12h.01M16 12h.01M4 18h.01M11 19h.01M19 17h.01',
+  settings: [
+    { key: 'fieldCount', label: 'Particles', type: 'range', min: 5000, max: 100000, step: 5000, default: 30000 },
+    { key: 'fieldSize', label: 'Particle Size', type: 'range', min: 0.25, max: 3, step: 0.05, default: 1 },
+  ],
+  component: ParticleFieldVisualizer,
+});
+
+registerVisualizer({
+  id: 'scope',
+  name: 'Scope',
+  icon: 'M12 3v18M3 12h18M5.6 18.4L18.4 5.6',
+  component: GoniometerVisualizer,
+});
+
+registerVisualizer({
+  id: 'harmony',
+  name: 'Harmony',
+  icon: 'M12 3a9 9 0 1 0 0 18a9 9 0 1 0 0-18M12 7a5 5 0 1 0 0 10a5 5 0 1 0 0-10M12 3v4',
+  minFftSize: 4096, // Semitone-wide bins from about 200 Hz up
+  settings: [
+    { key: 'harmonyKeyWindow', label: 'Key Memory', type: 'range', min: 2, max: 30, step: 1, default: 8, unit: 's' },
+    { key: 'harmonyLabels', label: 'Note Labels', type: 'toggle', default: true },
+  ],
+  component: HarmonyVisualizer,
+});
@@ -0,0 +1,20 @@
+import * as THREE from 'three';
+
+const GRADIENT_SIZE = 256;
+
+// Bakes a theme palette (see theme/themes.js) into a 256x1 lookup texture, so shader-based
+// visualizers can color by `texture2D(uGradient, vec2(t, 0.5))`.
+export const createGradientTexture = (palette) => {
+  const data = new Uint8Array(GRADIENT_SIZE * 4);
+  const color = new THREE.Color();
+  for (let i = 0; i < GRADIENT_SIZE; i++) {
+    palette.sample(i / (GRADIENT_SIZE - 1), color);
+    color.getRGB(color, THREE.SRGBColorSpace);
+    data.set([color.r * 255, color.g * 255, color.b * 255, 255], i * 4);
+  }
+  const texture = new THREE.DataTexture(data, GRADIENT_SIZE, 1);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.magFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+  return texture;
+};
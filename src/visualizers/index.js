@@ -0,0 +1,7 @@
+import './builtins';
+
+// Entry point of the visualizer registry (see registry.js). Importing it registers the
+// built-in visualizers first, so everything that reads the list sees them. Custom
+// visualizers are modules that call registerVisualizer; import them here, after the built-ins.
+
+export { getVisualizer, getVisualizers, registerVisualizer } from './registry';
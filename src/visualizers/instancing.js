@@ -0,0 +1,29 @@
+import * as THREE from 'three';
+
+// Shared helpers for the instanced visualizers.
+
+// Scratch objects for composing per-instance matrices and colors inside useFrame
+export const scratchObject = new THREE.Object3D();
+export const scratchColor = new THREE.Color();
+
+// MeshStandardMaterial whose emissive glow is tinted per instance. Three only applies
+// `instanceColor` to the diffuse color, so the shader is patched to multiply the emissive
+// term by it as well. Leave `emissive` white and set the glow color with setColorAt.
+export const createInstancedGlowMaterial = (parameters) => {
+  const material = new THREE.MeshStandardMaterial({ emissive: '#ffffff', ...parameters });
+  material.onBeforeCompile = (shader) => {
+    shader.fragmentShader = shader.fragmentShader.replace(
+      'vec3 totalEmissiveRadiance = emissive;',
+      'vec3 totalEmissiveRadiance = emissive;\n#ifdef USE_COLOR\n\ttotalEmissiveRadiance *= vColor.rgb;\n#endif'
+    );
+  };
+  return material;
+};
+
+// Flags the instance buffers for upload and refreshes the bounds used for raycasting
+// (hover picking) and culling, since the instances move every frame.
+export const commitInstances = (mesh) => {
+  mesh.instanceMatrix.needsUpdate = true;
+  if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+  mesh.computeBoundingSphere();
+};
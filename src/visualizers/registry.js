@@ -0,0 +1,43 @@
+// --- Visualizer Registry ---
+// Every visualizer mode is a plain definition object:
+//   {
+//     id: 'bars',              // Lowercase letters, digits and dashes; stored in presets and links
+//     name: 'Bars',            // Shown in the mode selector and as its settings group
+//     icon: 'M4 20v-6 ...',    // SVG path data on a 24×24 grid, drawn as a 2px stroke
+//     settings: [...],         // Settings schema fields (see settings/settings.js), optional
+//     bandMapped: false,       // Lays out the spectrum with the band mapper, so the frequency scale applies
+//     minFftSize: 4096,        // Analyser FFT size to run at (at least) while active, optional
+//     component: BarsVisualizer,
+//   }
+// The component renders inside the scene's <Canvas> and gets `{ audio, settings, palette,
+// artworkUrl }`: `audio` is the shared analysis frame (see audio/analysisEngine.js), which
+// changes in place every tick, so read it inside useFrame; beats come through useBeat.
+// `settings` is the whole settings object, including the visualizer's own fields.
+//
+// Definitions must be registered before the app renders (see index.js), because their
+// settings are part of the saved settings. The component itself can be React.lazy(), so a
+// heavy visualizer only downloads when it is first picked. Setting keys share one namespace
+// with the app's own settings, so prefix them with the id.
+
+const visualizers = new Map();
+
+const ID_PATTERN = /^[a-z0-9-]+$/;
+
+export const registerVisualizer = ({ id, name, icon = null, settings = [], bandMapped = false, minFftSize = 0, component }) => {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) throw new Error(`Visualizer id "${id}" must use lowercase letters, digits and dashes.`);
+  if (visualizers.has(id)) throw new Error(`A visualizer with the id "${id}" is already registered.`);
+  if (!name || !component) throw new Error(`Visualizer "${id}" needs a name and a component.`);
+
+  const taken = new Set([...visualizers.values()].flatMap((visualizer) => visualizer.settings.map((field) => field.key)));
+  const clash = settings.find((field) => taken.has(field.key));
+  if (clash) throw new Error(`Visualizer "${id}" reuses the setting key "${clash.key}".`);
+
+  const definition = Object.freeze({ id, name, icon, settings, bandMapped, minFftSize, component });
+  visualizers.set(id, definition);
+  return definition;
+};
+
+// In registration order, which is the order of the mode selector and the 1-9 shortcuts
+export const getVisualizers = () => [...visualizers.values()];
+
+export const getVisualizer = (id) => visualizers.get(id) ?? null;